@@ -0,0 +1,91 @@
+/**
+ * FILE CONNECTOR - STRICT ISOLATION
+ *
+ * Generic connector for sources that ship files (dumps, feeds, archives),
+ * built from config. Same rules as the mock connector: NO database access,
+ * NO hashing, NO deduplication, NO alerts, NO business logic.
+ *
+ * ONLY allowed to:
+ * - Read files
+ * - Parse data
+ * - Map fields to canonical format (RAW ONLY)
+ *
+ * Formats, compression and field maps are handled by connectors/formats.js.
+ * A source is usually registered from a JSON config file through
+ * CONNECTOR_MODULES (see connectors/index.js), e.g.
+ *
+ *   {
+ *     "type": "file",
+ *     "bulkFile": "./data/nm_ocd/notices.ndjson.gz",
+ *     "recentFile": "./data/nm_ocd/feed.atom",
+ *     "fields": { "source_key": "id", "published_at": "updated", "region": { "value": "NM" } }
+ *   }
+ */
+
+const path = require('path');
+const { readRecords } = require('./formats');
+
+/**
+ * Create a connector for file-based sources
+ * @param {Object} options
+ *   bulkFile   - file holding the full dataset (required; relative to the project root)
+ *   recentFile - file holding the recent feed (default bulkFile)
+ *   format     - csv, json, ndjson or xml (default: detected per file)
+ *   fields     - canonical field -> row field map (see formats.createMapper)
+ *   csv, itemsPath, itemTag - reader options (see formats.js)
+ */
+function createFileConnector(options) {
+  if (!options || !options.bulkFile) {
+    throw new Error('File connector needs a bulkFile');
+  }
+
+  const resolve = (file) => path.resolve(__dirname, '..', file);
+
+  /**
+   * Stream the full dataset
+   */
+  function streamBulk() {
+    return readRecords(resolve(options.bulkFile), options);
+  }
+
+  /**
+   * Stream the recent feed, leaving out records published before the window
+   * @param {number} hours - window length when no window is given
+   * @param {Object} window - { since, cursor } (files have no cursor)
+   */
+  async function* streamRecent(hours = 72, window = {}) {
+    const since = window.since
+      ? new Date(window.since).getTime()
+      : Date.now() - hours * 60 * 60 * 1000;
+
+    for await (const record of readRecords(resolve(options.recentFile || options.bulkFile), options)) {
+      if (!(new Date(record.published_at).getTime() < since)) {
+        yield record;
+      }
+    }
+  }
+
+  /**
+   * Collect a stream into an array
+   */
+  async function collect(stream) {
+    const records = [];
+
+    for await (const record of stream) {
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  return {
+    fetchBulk: () => collect(streamBulk()),
+    fetchRecent: (hours, window) => collect(streamRecent(hours, window)),
+    streamBulk,
+    streamRecent
+  };
+}
+
+module.exports = {
+  createFileConnector
+};
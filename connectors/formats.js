@@ -0,0 +1,656 @@
+/**
+ * FORMAT READERS - STRICT ISOLATION
+ *
+ * Streams the rows of source files into the canonical record shape, so a new
+ * source that ships files needs config and not code. Same rules as the
+ * connectors: NO database access, NO hashing, NO deduplication, NO alerts,
+ * NO business logic.
+ *
+ * Formats (options.format, or detected from the extension, then the first bytes):
+ *   csv    - .csv, header row names the fields (options.csv: csv-parser options)
+ *   json   - .json, an array of objects (or the array at options.itemsPath),
+ *            streamed one element at a time
+ *   ndjson - .ndjson/.jsonl, one object per line
+ *   xml    - .xml/.rss/.atom, one row per RSS <item> / Atom <entry>
+ *            (or options.itemTag); child elements become fields
+ * Compressed input is unpacked first: gzip (.gz, or 1f 8b) around any format,
+ * and zip archives (.zip, or PK\x03\x04) whose entries are read one after
+ * another. Archive entries of an unknown format are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline, Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const csv = require('csv-parser');
+
+const CANONICAL_FIELDS = [
+  'source_key',
+  'published_at',
+  'title',
+  'entity_name_raw',
+  'region',
+  'record_id',
+  'status',
+  'document_url'
+];
+
+// File extension -> format
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xml': 'xml',
+  '.rss': 'xml',
+  '.atom': 'xml'
+};
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const noop = () => {};
+
+/**
+ * Read a dotted path ("author.name") out of a row; a repeated XML element is
+ * an array, and a name applied to one reads its first element
+ */
+function getPath(value, dottedPath) {
+  return dottedPath.split('.').reduce((current, key) => {
+    if (Array.isArray(current) && !/^\d+$/.test(key)) {
+      current = current[0];
+    }
+    return current === null || current === undefined ? undefined : current[key];
+  }, value);
+}
+
+/**
+ * Build a row -> canonical record mapper from a field map
+ * @param {Object} fields - canonical field -> dotted path in the row, or
+ *   { value } for a constant (e.g. { "region": { "value": "TX" } }); unmapped
+ *   canonical fields are read from the row field of the same name
+ */
+function createMapper(fields = {}) {
+  const names = [...new Set([...CANONICAL_FIELDS, ...Object.keys(fields)])];
+
+  return (row) => {
+    const record = {};
+
+    for (const name of names) {
+      const spec = fields[name] ?? name;
+      record[name] = typeof spec === 'object' && spec !== null
+        ? spec.value
+        : getPath(row, spec);
+    }
+
+    record.raw_json = row;
+    return record;
+  };
+}
+
+/**
+ * Record format of a file, from its name or its first bytes (null if unknown)
+ */
+function detectFormat(name, head = Buffer.alloc(0)) {
+  const byExtension = EXTENSIONS[path.extname(name).toLowerCase()];
+
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+
+  if (text.startsWith('<')) {
+    return 'xml';
+  }
+  if (text.startsWith('[')) {
+    return 'json';
+  }
+  if (text.startsWith('{')) {
+    return 'ndjson';
+  }
+  return null;
+}
+
+/**
+ * Compression of a file, from its name or its first bytes (null if none)
+ */
+function detectCompression(name, head = Buffer.alloc(0)) {
+  if (/\.gz(ip)?$/i.test(name) || head.subarray(0, 2).equals(GZIP_MAGIC)) {
+    return 'gzip';
+  }
+  if (/\.zip$/i.test(name) || head.subarray(0, 4).equals(ZIP_MAGIC)) {
+    return 'zip';
+  }
+  return null;
+}
+
+/**
+ * Take the first chunk of a byte stream without losing it
+ * @returns {{ head: Buffer, stream: Readable }}
+ */
+async function peek(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  async function* replay() {
+    if (first.done) {
+      return;
+    }
+    yield first.value;
+    yield* { [Symbol.asyncIterator]: () => iterator };
+  }
+
+  return {
+    head: first.done ? Buffer.alloc(0) : Buffer.from(first.value),
+    stream: Readable.from(replay(), { objectMode: false })
+  };
+}
+
+/**
+ * Rows of a CSV stream
+ */
+function readCsv(stream, options) {
+  return pipeline(stream, csv(options.csv), noop);
+}
+
+/**
+ * Rows of a JSON document holding an array (at options.itemsPath), read as the
+ * text arrives: the document is scanned for the array and each element is
+ * parsed on its own, so only one row is held in memory at a time
+ */
+async function* readJson(stream, options, name) {
+  const target = options.itemsPath ? options.itemsPath.split('.') : [];
+  const decoder = new StringDecoder('utf8');
+  const invalid = message => new Error(`${name}: invalid JSON (${message})`);
+  const notArray = () => new Error(
+    `${name} must hold a JSON array of records` +
+    (options.itemsPath ? ` at "${options.itemsPath}"` : '')
+  );
+
+  // Open containers: { array: true, index } or
+  // { array: false, key, expectKey, expectColon }
+  const stack = [];
+  // Whether the open containers lead to options.itemsPath
+  const atTarget = () => stack.length === target.length &&
+    stack.every((frame, depth) => (frame.array ? String(frame.index) : frame.key) === target[depth]);
+
+  let valueExpected = true;
+  let inString = false;
+  let escaped = false;
+  let done = false;       // the top-level value is complete
+  let itemsDepth = -1;    // stack depth inside the row array (-2 once it closed)
+  let keyText = null;     // text read so far of the object key being read
+  let itemText = null;    // text read so far of the row being read
+  let first = true;
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    if (first && text) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+
+    let keyStart = 0;
+    let itemStart = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+
+          if (keyText !== null) {
+            try {
+              stack[stack.length - 1].key = JSON.parse(`"${keyText}${text.slice(keyStart, i)}"`);
+            } catch (error) {
+              throw invalid(error.message);
+            }
+            keyText = null;
+          }
+        }
+        continue;
+      }
+
+      if (char === ' ' || char === '\n' || char === '\r' || char === '\t') {
+        continue;
+      }
+
+      // A row ends at the comma or bracket that follows it in the row array
+      if (itemText !== null && stack.length === itemsDepth && (char === ',' || char === ']')) {
+        let row;
+        try {
+          row = JSON.parse(itemText + text.slice(itemStart, i));
+        } catch (error) {
+          throw invalid(error.message);
+        }
+        itemText = null;
+        yield row;
+      }
+
+      if (done) {
+        throw invalid(`unexpected "${char}" after the end of the document`);
+      }
+
+      const top = stack[stack.length - 1];
+
+      if (top && !top.array && top.expectKey) {
+        if (char === '"') {
+          top.expectKey = false;
+          top.expectColon = true;
+          inString = true;
+
+          if (itemText === null) {
+            keyText = '';
+            keyStart = i + 1;
+          }
+          continue;
+        }
+        if (char !== '}') {
+          throw invalid(`expected a key, found "${char}"`);
+        }
+      }
+
+      if (valueExpected && char !== ']') {
+        valueExpected = false;
+
+        if (stack.length === 0 && char !== '{' && char !== '[') {
+          throw notArray();
+        }
+
+        if (stack.length === itemsDepth) {
+          itemText = '';
+          itemStart = i;
+        } else if (itemsDepth === -1 && atTarget()) {
+          if (char !== '[') {
+            throw notArray();
+          }
+          itemsDepth = stack.length + 1;
+        }
+      }
+
+      switch (char) {
+        case '{':
+          stack.push({ array: false, key: null, expectKey: true, expectColon: false });
+          break;
+        case '[':
+          stack.push({ array: true, index: 0 });
+          valueExpected = true;
+          break;
+        case '}':
+        case ']':
+          if (!top || top.array !== (char === ']')) {
+            throw invalid(`unexpected "${char}"`);
+          }
+          if (stack.length === itemsDepth) {
+            itemsDepth = -2;
+          }
+          stack.pop();
+          valueExpected = false;
+          done = stack.length === 0;
+          break;
+        case ':':
+          if (!top || !top.expectColon) {
+            throw invalid('unexpected ":"');
+          }
+          top.expectColon = false;
+          valueExpected = true;
+          break;
+        case ',':
+          if (!top) {
+            throw invalid('unexpected ","');
+          }
+          if (top.array) {
+            top.index++;
+            valueExpected = true;
+          } else {
+            top.expectKey = true;
+          }
+          break;
+        case '"':
+          inString = true;
+          break;
+        default:
+          // Numbers and literals: checked by JSON.parse when they are in a row
+          break;
+      }
+    }
+
+    if (keyText !== null) {
+      keyText += text.slice(keyStart);
+    }
+    if (itemText !== null) {
+      itemText += text.slice(itemStart);
+    }
+  }
+
+  if (inString || stack.length > 0 || !done) {
+    throw invalid('unexpected end of input');
+  }
+  if (itemsDepth === -1) {
+    throw notArray();
+  }
+}
+
+/**
+ * Rows of an NDJSON stream (blank lines are ignored)
+ */
+async function* readNdjson(stream, options, name) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${name}: invalid JSON on line ${lineNumber} (${error.message})`);
+    }
+  }
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Text content of an element: CDATA sections verbatim, entities decoded
+ */
+function decodeText(text) {
+  return text
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => (part.startsWith('<![CDATA[')
+      ? part.slice(9, -3)
+      : part.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, code) => {
+        if (code[0] === '#') {
+          return String.fromCodePoint(
+            code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+          );
+        }
+        return XML_ENTITIES[code.toLowerCase()];
+      })))
+    .join('')
+    .trim();
+}
+
+/**
+ * Attributes of a start tag
+ */
+function parseAttributes(text = '') {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    attributes[match[1]] = decodeText(match[2] ?? match[3]);
+  }
+
+  return attributes;
+}
+
+/**
+ * Child elements of an XML fragment as an object. An element with only text
+ * is a string; one with attributes or children is an object (its text under
+ * "#text"); a repeated element is an array.
+ */
+function parseElements(xml) {
+  const result = {};
+  const pattern = /<([\w:.-]+)(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+  let match;
+
+  while ((match = pattern.exec(xml))) {
+    const [, tag, attributeText, content = ''] = match;
+    const attributes = parseAttributes(attributeText);
+    const nested = /^\s*<[\w:.-]/.test(content) ? parseElements(content) : null;
+    let value;
+
+    if (nested) {
+      value = { ...attributes, ...nested };
+    } else if (Object.keys(attributes).length > 0) {
+      const text = decodeText(content);
+      value = text ? { ...attributes, '#text': text } : attributes;
+    } else {
+      value = decodeText(content);
+    }
+
+    if (!(tag in result)) {
+      result[tag] = value;
+    } else if (Array.isArray(result[tag])) {
+      result[tag].push(value);
+    } else {
+      result[tag] = [result[tag], value];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rows of an RSS/Atom feed, one per item element, read as the text arrives
+ */
+async function* readXml(stream, options) {
+  const tags = options.itemTag ? [options.itemTag] : ['item', 'entry'];
+  const itemPattern = new RegExp(`<(${tags.join('|')})(\\s[^>]*)?>([\\s\\S]*?)</\\1\\s*>`, 'g');
+  const startPattern = new RegExp(`<(${tags.join('|')})[\\s>]`);
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let match;
+    let consumed = 0;
+    itemPattern.lastIndex = 0;
+
+    while ((match = itemPattern.exec(buffer))) {
+      yield { ...parseAttributes(match[2]), ...parseElements(match[3]) };
+      consumed = itemPattern.lastIndex;
+    }
+
+    // Keep only an unfinished item (or a tag cut off by the chunk boundary)
+    const rest = buffer.slice(consumed);
+    const start = rest.search(startPattern);
+    buffer = start !== -1 ? rest.slice(start) : rest.slice(Math.max(0, rest.lastIndexOf('<')));
+  }
+}
+
+// Format -> row reader (byte stream, options, name for messages)
+const READERS = {
+  csv: readCsv,
+  json: readJson,
+  ndjson: readNdjson,
+  xml: readXml
+};
+
+/**
+ * Entries of a zip archive, in the order they are stored
+ * (deflate or stored entries; zip64 and encrypted archives are not supported)
+ * @returns {Array<{ name: string, open: Function }>}
+ */
+async function listZipEntries(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    // End of central directory record (followed by an optional comment)
+    const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end === -1) {
+      throw new Error(`${path.basename(filePath)} is not a readable zip archive`);
+    }
+
+    const count = tail.readUInt16LE(end + 10);
+    const directoryLength = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error(`${path.basename(filePath)}: zip64 archives are not supported`);
+    }
+
+    const directory = Buffer.alloc(directoryLength);
+    await handle.read(directory, 0, directoryLength, directoryOffset);
+
+    const entries = [];
+    let position = 0;
+
+    for (let i = 0; i < count; i++) {
+      const flags = directory.readUInt16LE(position + 8);
+      const method = directory.readUInt16LE(position + 10);
+      const compressedSize = directory.readUInt32LE(position + 20);
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const headerOffset = directory.readUInt32LE(position + 42);
+      const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+
+      position += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) {
+        continue;
+      }
+      if (flags & 0x1) {
+        throw new Error(`${path.basename(filePath)}: ${name} is encrypted`);
+      }
+      if (method !== 0 && method !== 8) {
+        throw new Error(`${path.basename(filePath)}: ${name} uses unsupported compression ${method}`);
+      }
+
+      // The data follows the local header, whose name/extra lengths may differ
+      const local = Buffer.alloc(30);
+      await handle.read(local, 0, 30, headerOffset);
+      const dataStart = headerOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+      entries.push({
+        name,
+        open: () => {
+          if (compressedSize === 0) {
+            return Readable.from([], { objectMode: false });
+          }
+
+          const data = fs.createReadStream(filePath, {
+            start: dataStart,
+            end: dataStart + compressedSize - 1
+          });
+          return method === 8 ? pipeline(data, zlib.createInflateRaw(), noop) : data;
+        }
+      });
+    }
+
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Stream the rows of a byte stream
+ * @param {string} name - file name, for detection and messages
+ * @param {Object} options - { format, csv, itemsPath, itemTag }
+ */
+async function* readStream(stream, name, options = {}) {
+  const { head, stream: input } = await peek(stream);
+  const compression = detectCompression(name, head);
+
+  if (compression === 'gzip') {
+    yield* readStream(
+      pipeline(input, zlib.createGunzip(), noop),
+      name.replace(/\.gz(ip)?$/i, ''),
+      options
+    );
+    return;
+  }
+
+  if (compression === 'zip') {
+    input.destroy();
+    throw new Error(`${name}: zip archives can only be read from a file`);
+  }
+
+  const format = options.format || detectFormat(name, head);
+
+  if (!READERS[format]) {
+    input.destroy();
+    throw new Error(
+      `Unsupported file type for "${name}" ` +
+      `(supported: ${Object.keys(EXTENSIONS).join(', ')}, optionally .gz or in a .zip)`
+    );
+  }
+
+  yield* READERS[format](input, options, name);
+}
+
+/**
+ * Stream the rows of a file (entries of a zip archive one after another)
+ * Rows are read from disk only as fast as the consumer pulls them.
+ * @param {Object} options - { format, csv, itemsPath, itemTag }
+ */
+async function* readFile(filePath, options = {}) {
+  const name = path.basename(filePath);
+  const head = Buffer.alloc(4);
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    await handle.read(head, 0, 4, 0);
+  } finally {
+    await handle.close();
+  }
+
+  if (detectCompression(name, head) !== 'zip') {
+    yield* readStream(fs.createReadStream(filePath), name, options);
+    return;
+  }
+
+  for (const entry of await listZipEntries(filePath)) {
+    const entryName = path.basename(entry.name);
+
+    // Hidden files and macOS resource forks
+    if (entryName.startsWith('.') || entry.name.startsWith('__MACOSX/')) {
+      continue;
+    }
+
+    const { head: entryHead, stream } = await peek(entry.open());
+
+    if (!options.format && !detectCompression(entryName, entryHead) &&
+        !detectFormat(entryName, entryHead)) {
+      stream.destroy();
+      continue;
+    }
+
+    yield* readStream(stream, entryName, options);
+  }
+}
+
+/**
+ * Stream the canonical records of a file
+ * @param {Object} options - reader options plus fields (see createMapper)
+ */
+async function* readRecords(filePath, options = {}) {
+  const map = createMapper(options.fields);
+
+  for await (const row of readFile(filePath, options)) {
+    yield map(row);
+  }
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  createMapper,
+  detectFormat,
+  detectCompression,
+  readStream,
+  readFile,
+  readRecords
+};
@@ -0,0 +1,458 @@
+/**
+ * HTTP CONNECTOR - STRICT ISOLATION
+ *
+ * Generic connector for regulator portals that publish paged JSON APIs (or
+ * NDJSON dumps and RSS/Atom feeds, see options.format).
+ * Same rules as the mock connector: NO database access, NO hashing, NO
+ * deduplication, NO alerts, NO business logic.
+ *
+ * ONLY allowed to:
+ * - Fetch pages over HTTP(S)
+ * - Parse data
+ * - Map fields to canonical format (RAW ONLY)
+ *
+ * Each source gets a module that configures one and is registered through
+ * CONNECTOR_MODULES, e.g. connectors/tx_rrc_connector.js:
+ *
+ *   module.exports = createHttpConnector({
+ *     bulkUrl: 'https://portal.example.gov/api/permits',
+ *     pagination: { type: 'next', nextPath: 'links.next' },
+ *     itemsPath: 'data',
+ *     sinceParam: 'updated_since'
+ *   });
+ *
+ * Pagination (options.pagination.type):
+ *   page   - ?page=1,2,... (pageParam, startPage, sizeParam, pageSize)
+ *   offset - ?offset=0,100,... (offsetParam, limitParam, pageSize)
+ *   next   - follow the next link: a URL at nextPath in a JSON body, or the
+ *            Link header's rel="next" when nextPath is unset
+ * page/offset stop at the first page with fewer than pageSize items; any type
+ * fails after pagination.maxPages pages.
+ *
+ * Requests are conditional: a page fetched before is requested with
+ * If-None-Match / If-Modified-Since, and a 304 replays the items kept from
+ * last time. Pages are kept in memory by URL without the window parameters
+ * (sinceParam, cursorParam), so recent runs reuse them too; only the
+ * options.cacheSize most recently used pages are kept. 429 and 5xx
+ * responses and network errors are retried with exponential backoff,
+ * honoring Retry-After.
+ */
+
+const http = require('http');
+const https = require('https');
+const { Readable } = require('stream');
+const { createMapper, readStream } = require('./formats');
+
+const DEFAULT_PAGINATION = {
+  type: 'page',
+  pageParam: 'page',
+  startPage: 1,
+  sizeParam: 'per_page',
+  offsetParam: 'offset',
+  limitParam: 'limit',
+  pageSize: 100,
+  nextPath: null,
+  maxPages: 10000 // guards against a portal that ignores the page parameter
+};
+
+// Response format -> Accept header
+const ACCEPT = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson, application/json',
+  xml: 'application/atom+xml, application/rss+xml, application/xml, text/xml'
+};
+
+const DEFAULT_RETRY = {
+  maxAttempts: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+/**
+ * Map a source item to the canonical record shape (same field names)
+ */
+function toCanonical(item) {
+  return {
+    source_key: item.source_key,
+    published_at: item.published_at,
+    title: item.title,
+    entity_name_raw: item.entity_name_raw,
+    region: item.region,
+    record_id: item.record_id,
+    status: item.status,
+    document_url: item.document_url,
+    raw_json: item
+  };
+}
+
+/**
+ * Read a dotted path ("links.next") out of an object
+ */
+function getPath(value, dottedPath) {
+  if (!dottedPath) {
+    return value;
+  }
+
+  return dottedPath.split('.').reduce(
+    (current, key) => (current === null || current === undefined ? undefined : current[key]),
+    value
+  );
+}
+
+/**
+ * URL of the Link header's rel="next" entry
+ */
+function parseNextLink(header) {
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(',')) {
+    const match = /<([^>]+)>\s*;\s*rel="?next"?/i.exec(part);
+
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Milliseconds a Retry-After header asks to wait (seconds or an HTTP date)
+ */
+function parseRetryAfter(header, now = Date.now()) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = new Date(header).getTime();
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error for a response that is not retried (or still failing after retries)
+ */
+class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create a connector for a paged JSON API
+ * @param {Object} options
+ *   bulkUrl      - URL of the full dataset (required)
+ *   recentUrl    - URL of the recent feed (default bulkUrl)
+ *   query        - query parameters sent with every request
+ *   headers      - request headers (e.g. Authorization)
+ *   pagination   - see above
+ *   format       - json (default), ndjson or xml (RSS/Atom, one item per <item>/<entry>)
+ *   itemsPath    - json: dotted path to the item array in the body (unset: the body is the array)
+ *   itemTag      - xml: element holding one item (default item and entry)
+ *   sinceParam   - recent runs: query parameter given the window start (ISO 8601)
+ *   cursorParam  - recent runs: query parameter given the window cursor, when there is one
+ *   fields       - canonical field -> item field map (see formats.createMapper)
+ *   map          - item -> canonical record (overrides fields; default: fields of the same name)
+ *   retry        - { maxAttempts, baseDelayMs, maxDelayMs }
+ *   timeoutMs    - per request (default 30000)
+ *   cacheSize    - pages kept for conditional requests (default 1000, 0: none)
+ */
+function createHttpConnector(options) {
+  if (!options || !options.bulkUrl) {
+    throw new Error('HTTP connector needs a bulkUrl');
+  }
+
+  const pagination = { ...DEFAULT_PAGINATION, ...options.pagination };
+  const retry = { ...DEFAULT_RETRY, ...options.retry };
+  const timeoutMs = options.timeoutMs || 30000;
+  const cacheSize = options.cacheSize ?? 1000;
+  const format = options.format || 'json';
+  const map = options.map || (options.fields ? createMapper(options.fields) : toCanonical);
+
+  if (!['page', 'offset', 'next'].includes(pagination.type)) {
+    throw new Error(`Unknown pagination type "${pagination.type}" (page, offset or next)`);
+  }
+
+  if (!ACCEPT[format]) {
+    throw new Error(`Unknown format "${format}" (${Object.keys(ACCEPT).join(', ')})`);
+  }
+
+  // URL (see cacheKey) -> { etag, lastModified, items, next } of the last 200
+  // response, least recently used first
+  const cache = new Map();
+
+  /**
+   * Cache key of a page: its URL without the window parameters, which change
+   * with every recent run
+   */
+  function cacheKey(url) {
+    const key = new URL(url);
+
+    for (const param of [options.sinceParam, options.cursorParam]) {
+      if (param) {
+        key.searchParams.delete(param);
+      }
+    }
+
+    return key.href;
+  }
+
+  /**
+   * Keep a page, dropping the least recently used beyond cacheSize
+   */
+  function remember(key, page) {
+    cache.delete(key);
+
+    if (cacheSize <= 0) {
+      return;
+    }
+
+    cache.set(key, page);
+
+    while (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  /**
+   * One GET, resolved with the status, headers and raw body
+   */
+  function send(url, headers) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, { headers, timeout: timeoutMs }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Request to ${url.href} timed out`)));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Items of an NDJSON or XML response body
+   */
+  async function parseItems(text, url) {
+    const items = [];
+    const rows = readStream(Readable.from([Buffer.from(text)]), url.pathname, {
+      format,
+      itemTag: options.itemTag
+    });
+
+    for await (const row of rows) {
+      items.push(row);
+    }
+
+    return items;
+  }
+
+  /**
+   * GET a page, conditionally if it was fetched before, retrying 429/5xx
+   * @returns {{ items: Object[], next: string|null }}
+   */
+  async function fetchPage(url) {
+    const key = cacheKey(url);
+    const cached = cache.get(key);
+    const headers = { Accept: ACCEPT[format], ...options.headers };
+
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      let failure;
+
+      try {
+        response = await send(url, headers);
+      } catch (error) {
+        failure = error;
+      }
+
+      if (response && response.status === 304 && cached) {
+        remember(key, cached);
+        return cached;
+      }
+
+      if (response && response.status >= 200 && response.status < 300) {
+        let body = null;
+        let items;
+
+        if (format === 'json') {
+          try {
+            body = JSON.parse(response.body);
+          } catch (error) {
+            throw new HttpError(`Invalid JSON from ${url.href}: ${error.message}`, response.status);
+          }
+
+          items = getPath(body, options.itemsPath);
+        } else {
+          try {
+            items = await parseItems(response.body, url);
+          } catch (error) {
+            throw new HttpError(`Invalid ${format} from ${url.href}: ${error.message}`, response.status);
+          }
+        }
+
+        if (!Array.isArray(items)) {
+          throw new HttpError(
+            `No item array at "${options.itemsPath || '(body)'}" in response from ${url.href}`,
+            response.status
+          );
+        }
+
+        const page = {
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null,
+          items,
+          next: pagination.type === 'next'
+            ? (pagination.nextPath && body
+              ? getPath(body, pagination.nextPath) || null
+              : parseNextLink(response.headers.link))
+            : null
+        };
+
+        if (page.etag || page.lastModified) {
+          remember(key, page);
+        } else {
+          cache.delete(key);
+        }
+        return page;
+      }
+
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      const reason = response ? `HTTP ${response.status}` : failure.message;
+
+      if (!retryable || attempt >= retry.maxAttempts) {
+        throw new HttpError(
+          `GET ${url.href} failed: ${reason}` +
+          (retryable ? ` (after ${attempt} attempts)` : ''),
+          response ? response.status : null
+        );
+      }
+
+      const backoff = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+      const delay = (response && parseRetryAfter(response.headers['retry-after'])) ??
+        backoff / 2 + Math.random() * backoff / 2;
+
+      await sleep(Math.min(delay, retry.maxDelayMs));
+    }
+  }
+
+  /**
+   * Yield every item of a paged resource, one page at a time
+   */
+  async function* readPages(baseUrl, params) {
+    const first = new URL(baseUrl);
+
+    for (const [key, value] of Object.entries({ ...options.query, ...params })) {
+      first.searchParams.set(key, value);
+    }
+
+    let url = first;
+    let index = 0;
+
+    while (url) {
+      if (index >= pagination.maxPages) {
+        throw new HttpError(`${baseUrl} returned more than ${pagination.maxPages} pages`, null);
+      }
+
+      if (pagination.type === 'page') {
+        url.searchParams.set(pagination.pageParam, pagination.startPage + index);
+        url.searchParams.set(pagination.sizeParam, pagination.pageSize);
+      } else if (pagination.type === 'offset') {
+        url.searchParams.set(pagination.offsetParam, index * pagination.pageSize);
+        url.searchParams.set(pagination.limitParam, pagination.pageSize);
+      }
+
+      const page = await fetchPage(url);
+
+      for (const item of page.items) {
+        yield map(item);
+      }
+
+      index++;
+
+      if (pagination.type === 'next') {
+        url = page.next ? new URL(page.next, url) : null;
+      } else {
+        url = page.items.length >= pagination.pageSize ? new URL(url) : null;
+      }
+    }
+  }
+
+  /**
+   * Collect a stream into an array
+   */
+  async function collect(stream) {
+    const records = [];
+
+    for await (const record of stream) {
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Stream the full dataset
+   */
+  function streamBulk() {
+    return readPages(options.bulkUrl, {});
+  }
+
+  /**
+   * Stream the recent feed from the window start (and cursor)
+   * @param {number} hours - window length when no window is given
+   * @param {Object} window - { since, cursor }
+   */
+  function streamRecent(hours = 72, window = {}) {
+    const since = window.since
+      ? new Date(window.since)
+      : new Date(Date.now() - hours * 60 * 60 * 1000);
+    const params = {};
+
+    if (options.sinceParam) {
+      params[options.sinceParam] = since.toISOString();
+    }
+    if (options.cursorParam && window.cursor) {
+      params[options.cursorParam] = window.cursor;
+    }
+
+    return readPages(options.recentUrl || options.bulkUrl, params);
+  }
+
+  return {
+    fetchBulk: () => collect(streamBulk()),
+    fetchRecent: (hours, window) => collect(streamRecent(hours, window)),
+    streamBulk,
+    streamRecent
+  };
+}
+
+module.exports = {
+  createHttpConnector,
+  toCanonical,
+  HttpError
+};
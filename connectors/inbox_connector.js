@@ -0,0 +1,30 @@
+/**
+ * INBOX CONNECTOR - STRICT ISOLATION
+ *
+ * Reads the files regulators drop into the inbox directory (SFTP drop).
+ * Same rules as the mock connector: NO database access, NO hashing, NO
+ * deduplication, NO alerts, NO business logic. Which files to read, and
+ * archiving them afterwards, is left to the inbox service.
+ *
+ * ONLY allowed to:
+ * - Read files
+ * - Parse data
+ * - Map fields to canonical format (RAW ONLY)
+ *
+ * Any format connectors/formats.js reads is accepted (CSV, JSON, NDJSON,
+ * RSS/Atom, gzipped or in a zip archive); rows use the canonical field names.
+ */
+
+const { readRecords } = require('./formats');
+
+/**
+ * Stream the canonical records of a dropped file
+ * Rows are read from disk only as fast as the consumer pulls them.
+ */
+function streamFile(filePath) {
+  return readRecords(filePath);
+}
+
+module.exports = {
+  streamFile
+};
@@ -0,0 +1,182 @@
+/**
+ * Connector Registry
+ * Maps connector names to connector modules so one pipeline can serve several sources
+ *
+ * Every connector must expose:
+ * - fetchBulk()                - full master dataset
+ * - fetchRecent(hours, window) - records published since window.since
+ *
+ * `window` is { since, cursor }: since is a Date (the source's watermark, or
+ * `hours` ago when there is none), cursor the source_cursor of the last record
+ * ingested (null if none). Sources that page by cursor should resume from it
+ * and set source_cursor on the records they return; the rest filter by since.
+ *
+ * Connectors may also expose streaming variants that return async iterables
+ * (streamBulk(), streamRecent(hours, window)) for sources too large to hold in memory.
+ *
+ * Sources served by the generic file or HTTP connectors need no module of
+ * their own: CONNECTOR_MODULES may point at a JSON config file whose "type"
+ * ("file" or "http") picks the factory and whose other keys are its options.
+ *
+ * The registry itself follows the same isolation rules as the connectors:
+ * no database access, no hashing, no business logic.
+ */
+
+const path = require('path');
+const { createFileConnector } = require('./file_connector');
+const { createHttpConnector } = require('./http_connector');
+require('dotenv').config();
+
+const CONNECTOR_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+const connectors = new Map();
+
+// Connector config "type" -> factory
+const CONNECTOR_FACTORIES = {
+  file: createFileConnector,
+  http: createHttpConnector
+};
+
+/**
+ * Register a connector under a name
+ * @param {string} name - Connector name (lowercase, e.g. "tx_rrc")
+ * @param {Object} connector - Module exposing fetchBulk/fetchRecent
+ */
+function registerConnector(name, connector) {
+  if (!CONNECTOR_NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid connector name "${name}": use lowercase letters, digits and underscores`
+    );
+  }
+
+  for (const fn of ['fetchBulk', 'fetchRecent']) {
+    if (!connector || typeof connector[fn] !== 'function') {
+      throw new Error(`Connector "${name}" must expose ${fn}()`);
+    }
+  }
+
+  connectors.set(name, connector);
+}
+
+/**
+ * Build a connector from a config object ({ type, ...factory options })
+ */
+function createConfiguredConnector(config) {
+  const { type, ...options } = config || {};
+  const factory = CONNECTOR_FACTORIES[type];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown connector type "${type}" (supported: ${Object.keys(CONNECTOR_FACTORIES).join(', ')})`
+    );
+  }
+
+  return factory(options);
+}
+
+/**
+ * Load connectors listed in CONNECTOR_MODULES
+ * Format: name=path[,name=path...] with paths relative to the project root;
+ * a .json path is a connector config (see createConfiguredConnector)
+ */
+function loadConfiguredConnectors(spec = process.env.CONNECTOR_MODULES) {
+  if (!spec) {
+    return;
+  }
+
+  for (const entry of spec.split(',')) {
+    const [name, modulePath] = entry.split('=').map(part => part && part.trim());
+
+    if (!name || !modulePath) {
+      throw new Error(`Invalid CONNECTOR_MODULES entry: "${entry}"`);
+    }
+
+    const resolved = path.resolve(__dirname, '..', modulePath);
+
+    registerConnector(
+      name,
+      path.extname(resolved).toLowerCase() === '.json'
+        ? createConfiguredConnector(require(resolved))
+        : require(resolved)
+    );
+  }
+}
+
+/**
+ * Name of the connector used when none is requested
+ */
+function getDefaultConnectorName() {
+  return process.env.INGEST_CONNECTOR || 'mock';
+}
+
+/**
+ * Check whether a connector is registered
+ */
+function hasConnector(name) {
+  return connectors.has(name);
+}
+
+/**
+ * Get a connector by name (falls back to the configured default)
+ * @returns {{ name: string, connector: Object }}
+ */
+function getConnector(name = null) {
+  const connectorName = name || getDefaultConnectorName();
+  const connector = connectors.get(connectorName);
+
+  if (!connector) {
+    throw new Error(
+      `Unknown connector "${connectorName}". Registered: ${listConnectors().join(', ')}`
+    );
+  }
+
+  return { name: connectorName, connector };
+}
+
+/**
+ * Open a connector's bulk feed, preferring the streaming interface
+ * @returns {AsyncIterable<Object>|Promise<Object[]>}
+ */
+function openBulk(connector) {
+  return typeof connector.streamBulk === 'function'
+    ? connector.streamBulk()
+    : connector.fetchBulk();
+}
+
+/**
+ * Open a connector's recent feed, preferring the streaming interface
+ * @param {Object} window - { since, cursor } (default: the last `hours` hours)
+ * @returns {AsyncIterable<Object>|Promise<Object[]>}
+ */
+function openRecent(connector, hours = 72, window = null) {
+  const recentWindow = window || {
+    since: new Date(Date.now() - hours * 60 * 60 * 1000),
+    cursor: null
+  };
+
+  return typeof connector.streamRecent === 'function'
+    ? connector.streamRecent(hours, recentWindow)
+    : connector.fetchRecent(hours, recentWindow);
+}
+
+/**
+ * List registered connector names
+ */
+function listConnectors() {
+  return Array.from(connectors.keys());
+}
+
+registerConnector('mock', require('./mock_connector'));
+loadConfiguredConnectors();
+
+module.exports = {
+  registerConnector,
+  createConfiguredConnector,
+  loadConfiguredConnectors,
+  getDefaultConnectorName,
+  hasConnector,
+  getConnector,
+  listConnectors,
+  openBulk,
+  openRecent
+};
@@ -16,59 +16,71 @@
 
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
+const { readFile } = require('./formats');
+
+/**
+ * Map a source row to the canonical record shape
+ */
+function toCanonical(row) {
+  return {
+    source_key: row.source_key,
+    published_at: row.published_at,
+    title: row.title,
+    entity_name_raw: row.entity_name_raw,
+    region: row.region,
+    record_id: row.record_id,
+    status: row.status,
+    document_url: row.document_url,
+    raw_json: row
+  };
+}
 
 /**
  * Fetch recent records
- * @param {number} hours - informational only
+ * @param {number} hours - window length when no window is given
+ * @param {Object} window - { since, cursor }; rows published before since are
+ *   left out (the mock feed has no cursor)
  */
-async function fetchRecent(hours = 72) {
+async function fetchRecent(hours = 72, window = {}) {
   const filePath = path.join(__dirname, '../mock_data/recent.json');
   const fileContent = fs.readFileSync(filePath, 'utf8');
   const data = JSON.parse(fileContent);
+  const since = window.since
+    ? new Date(window.since).getTime()
+    : Date.now() - hours * 60 * 60 * 1000;
+
+  return data
+    .filter(row => !(new Date(row.published_at).getTime() < since))
+    .map(toCanonical);
+}
 
-  return data.map(record => ({
-    source_key: record.source_key,
-    published_at: record.published_at,
-    title: record.title,
-    entity_name_raw: record.entity_name_raw,
-    region: record.region,
-    record_id: record.record_id,
-    status: record.status,
-    document_url: record.document_url,
-    raw_json: record
-  }));
+/**
+ * Stream bulk records one at a time
+ * Rows are read from disk only as fast as the consumer pulls them.
+ */
+async function* streamBulk() {
+  const filePath = path.join(__dirname, '../mock_data/bulk.csv');
+
+  for await (const row of readFile(filePath)) {
+    yield toCanonical(row);
+  }
 }
 
 /**
  * Fetch bulk records
  */
 async function fetchBulk() {
-  return new Promise((resolve, reject) => {
-    const filePath = path.join(__dirname, '../mock_data/bulk.csv');
-    const records = [];
+  const records = [];
+
+  for await (const record of streamBulk()) {
+    records.push(record);
+  }
 
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        records.push({
-          source_key: row.source_key,
-          published_at: row.published_at,
-          title: row.title,
-          entity_name_raw: row.entity_name_raw,
-          region: row.region,
-          record_id: row.record_id,
-          status: row.status,
-          document_url: row.document_url,
-          raw_json: row
-        });
-      })
-      .on('end', () => resolve(records))
-      .on('error', reject);
-  });
+  return records;
 }
 
 module.exports = {
   fetchRecent,
-  fetchBulk
+  fetchBulk,
+  streamBulk
 };
@@ -1,5 +1,8 @@
 -- Database Schema for Regulatory Records Ingestion Pipeline
 
+-- Trigram similarity for fuzzy entity matching
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Users table with subscription plans
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
@@ -8,6 +11,33 @@ CREATE TABLE users (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Canonical entities (one per normalized name; merged entities point at their target)
+CREATE TABLE entities (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL, -- display name (first raw name seen)
+    name_norm VARCHAR(255) UNIQUE NOT NULL,
+    merged_into_id INTEGER REFERENCES entities(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_entities_name_norm_trgm ON entities USING gin (name_norm gin_trgm_ops);
+CREATE INDEX idx_entities_merged_into_id ON entities(merged_into_id);
+
+-- Fuzzy match candidates proposed when a new entity is created, for admin review
+CREATE TABLE entity_match_candidates (
+    id SERIAL PRIMARY KEY,
+    entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE, -- the new entity
+    candidate_entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    similarity REAL NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'rejected')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    UNIQUE (entity_id, candidate_entity_id)
+);
+
+CREATE INDEX idx_entity_match_candidates_status ON entity_match_candidates(status);
+
 -- Records table for regulatory data
 CREATE TABLE records (
     id SERIAL PRIMARY KEY,
@@ -16,13 +46,20 @@ CREATE TABLE records (
     title TEXT NOT NULL,
     entity_name_raw VARCHAR(255) NOT NULL,
     entity_name_norm VARCHAR(255) NOT NULL,
+    entity_id INTEGER REFERENCES entities(id), -- canonical entity (follows merges)
     region VARCHAR(10) NOT NULL,
     record_id VARCHAR(100) NOT NULL,
-    status VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL, -- as published by the regulator
+    canonical_status VARCHAR(20) CHECK (canonical_status IN ('filed', 'pending', 'approved', 'rejected', 'withdrawn', 'closed')), -- NULL: unmapped
     document_url TEXT,
     raw_json JSONB NOT NULL,
     content_hash VARCHAR(64) NOT NULL,
-    last_source_type TEXT NOT NULL,
+    last_source_type TEXT NOT NULL, -- "<connector>:<mode>", e.g. "tx_rrc:bulk"
+    last_source_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- last full write by last_source_type
+    last_run_id INTEGER, -- ingestion_runs.id that last wrote this row
+    last_seen_run_id INTEGER, -- last reconciled bulk run that contained this row
+    withdrawn_at TIMESTAMP, -- set when the record disappears from its bulk master
+    withdrawn_run_id INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -31,25 +68,261 @@ CREATE TABLE records (
 CREATE INDEX idx_records_source_key ON records(source_key);
 CREATE INDEX idx_records_content_hash ON records(content_hash);
 CREATE INDEX idx_records_entity_name_norm ON records(entity_name_norm);
+CREATE INDEX idx_records_entity_id ON records(entity_id);
 CREATE INDEX idx_records_region ON records(region);
+CREATE INDEX idx_records_canonical_status ON records(canonical_status);
+CREATE INDEX idx_records_last_source_type ON records(last_source_type);
 
 -- Ingestion runs logging table
 CREATE TABLE ingestion_runs (
     id SERIAL PRIMARY KEY,
-    source_type VARCHAR(50) NOT NULL,
+    source_type VARCHAR(50) NOT NULL, -- "<connector>:<mode>", e.g. "tx_rrc:bulk"
     started_at TIMESTAMP NOT NULL,
     finished_at TIMESTAMP,
     records_fetched INTEGER DEFAULT 0,
     records_inserted INTEGER DEFAULT 0,
     records_updated INTEGER DEFAULT 0,
+    records_invalid INTEGER DEFAULT 0,
+    records_withdrawn INTEGER DEFAULT 0,
+    records_skipped INTEGER DEFAULT 0,
+    records_failed INTEGER DEFAULT 0,
+    lock_pid INTEGER, -- backend holding the source's advisory lock while running
+    completed BOOLEAN NOT NULL DEFAULT FALSE, -- ran to the end (possibly with record errors)
+    batch_commit BOOLEAN NOT NULL DEFAULT FALSE, -- committed per batch; resumable until completed
+    params JSONB, -- batch_commit runs: options reapplied on resume
+    checkpoint_offset INTEGER NOT NULL DEFAULT 0, -- source records consumed and committed
+    checkpoint_key VARCHAR(255), -- source_key of the last consumed record
+    resume_count INTEGER NOT NULL DEFAULT 0,
+    rolled_back_at TIMESTAMP, -- the run's changes were undone (POST /api/ingestion/runs/:id/rollback)
+    source_file VARCHAR(255), -- inbox drops: name of the file ingested
+    source_checksum VARCHAR(64), -- inbox drops: SHA-256 of the file, so each file is ingested once
     error TEXT
 );
 
+CREATE INDEX idx_ingestion_runs_source_checksum ON ingestion_runs(source_checksum)
+    WHERE source_checksum IS NOT NULL;
+
+-- Ingestion jobs: queued runs drained by the API server's worker
+CREATE TABLE ingestion_jobs (
+    id SERIAL PRIMARY KEY,
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('bulk', 'recent')),
+    connector VARCHAR(32) NOT NULL,
+    params JSONB NOT NULL DEFAULT '{}', -- ingestRecords options (and hours for recent runs)
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    records_processed INTEGER NOT NULL DEFAULT 0,
+    current_batch INTEGER NOT NULL DEFAULT 0,
+    run_id INTEGER, -- ingestion_runs.id once the run has committed
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_ingestion_jobs_status ON ingestion_jobs(status);
+
+-- Schedules: cron-driven ingestion jobs queued by the API server's scheduler
+CREATE TABLE schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    cron_expression VARCHAR(100) NOT NULL, -- five fields, evaluated in UTC
+    connector VARCHAR(32) NOT NULL,
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('bulk', 'recent')),
+    options JSONB NOT NULL DEFAULT '{}', -- job params (and hours for recent runs)
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMP, -- NULL while disabled
+    last_fired_at TIMESTAMP,
+    last_run_at TIMESTAMP, -- last firing that queued a job
+    last_status VARCHAR(20) CHECK (last_status IN ('queued', 'skipped', 'failed')),
+    last_error TEXT,
+    last_job_id INTEGER, -- ingestion_jobs.id
+    skipped_runs INTEGER NOT NULL DEFAULT 0, -- firings skipped while the previous run was going
+    missed_runs INTEGER NOT NULL DEFAULT 0, -- firings that fell due while no scheduler ran
+    last_missed_at TIMESTAMP, -- latest firing that was missed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_schedules_next_run_at ON schedules(next_run_at) WHERE enabled;
+
+-- Source watermarks: how far recent runs of each source have read, advanced
+-- only when a run commits; the next recent run fetches from here
+CREATE TABLE source_watermarks (
+    source VARCHAR(32) PRIMARY KEY, -- connector name (sourceLocks.sourceOf)
+    published_at TIMESTAMP, -- latest published_at ingested
+    cursor TEXT, -- source_cursor of the last record ingested, for sources that page by cursor
+    run_id INTEGER, -- ingestion_runs.id of the run that last advanced it
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Watermarks replaced by a run, restored if that run is rolled back
+CREATE TABLE source_watermark_history (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(32) NOT NULL,
+    published_at TIMESTAMP,
+    cursor TEXT,
+    run_id INTEGER, -- run that had set the replaced watermark
+    superseded_by_run_id INTEGER NOT NULL, -- run that replaced it
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_source_watermark_history_superseded
+    ON source_watermark_history(superseded_by_run_id);
+
+-- Push nonces: nonces of signed push requests seen recently, so a captured
+-- request cannot be replayed; kept for twice the timestamp tolerance
+CREATE TABLE push_nonces (
+    partner VARCHAR(32) NOT NULL,
+    nonce VARCHAR(128) NOT NULL,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (partner, nonce)
+);
+
+CREATE INDEX idx_push_nonces_received_at ON push_nonces(received_at);
+
+-- Record versions: every prior state of a record, saved before it is overwritten
+CREATE TABLE record_versions (
+    id SERIAL PRIMARY KEY,
+    record_id INTEGER NOT NULL REFERENCES records(id) ON DELETE CASCADE,
+    run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE SET NULL, -- run that wrote this state
+    source_type TEXT NOT NULL,
+    superseded_by_run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+    snapshot JSONB NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    raw_json JSONB, -- with source_at, the rest of the row restored by a run rollback
+    source_at TIMESTAMP, -- records.last_source_at of this state
+    valid_from TIMESTAMP NOT NULL,
+    valid_to TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_record_versions_record_id ON record_versions(record_id);
+
+-- Dead letters: records that failed to ingest (or were quarantined as invalid),
+-- kept for inspection and replay
+CREATE TABLE dead_letters (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+    source_key VARCHAR(255),
+    source_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    error_class VARCHAR(100) NOT NULL,
+    error_message TEXT NOT NULL,
+    reason VARCHAR(20) NOT NULL DEFAULT 'failed' CHECK (reason IN ('failed', 'invalid')),
+    errors JSONB, -- full validation error list for quarantined records
+    attempts INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'replayed')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+CREATE INDEX idx_dead_letters_status ON dead_letters(status);
+CREATE INDEX idx_dead_letters_source_key ON dead_letters(source_key);
+
+-- Precedence decisions: every time a source's change to a record owned by
+-- another source was applied, partially applied or rejected by the policy
+CREATE TABLE precedence_decisions (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+    record_id INTEGER REFERENCES records(id) ON DELETE CASCADE,
+    source_key VARCHAR(255) NOT NULL,
+    incoming_source_type TEXT NOT NULL,
+    existing_source_type TEXT NOT NULL,
+    incoming_rank INTEGER NOT NULL,
+    existing_rank INTEGER NOT NULL,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('applied', 'partial', 'rejected')),
+    reason VARCHAR(50) NOT NULL,
+    fields JSONB, -- fields updated by a partial decision
+    incoming_hash VARCHAR(64), -- content_hash of the incoming record
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_precedence_decisions_source_key ON precedence_decisions(source_key);
+CREATE INDEX idx_precedence_decisions_record_id ON precedence_decisions(record_id, incoming_source_type);
+CREATE INDEX idx_precedence_decisions_run_id ON precedence_decisions(run_id);
+
+-- Status transitions: every change of a record's status (the first status
+-- included), flagged when the canonical lifecycle does not allow it
+CREATE TABLE status_transitions (
+    id SERIAL PRIMARY KEY,
+    record_id INTEGER NOT NULL REFERENCES records(id) ON DELETE CASCADE,
+    run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+    source_type TEXT NOT NULL,
+    from_status VARCHAR(50), -- NULL for the record's first status
+    to_status VARCHAR(50) NOT NULL,
+    from_canonical VARCHAR(20),
+    to_canonical VARCHAR(20),
+    flag VARCHAR(20) CHECK (flag IN ('invalid_transition', 'unmapped_status')), -- NULL: allowed
+    transitioned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP
+);
+
+CREATE INDEX idx_status_transitions_record_id ON status_transitions(record_id, transitioned_at);
+CREATE INDEX idx_status_transitions_run_id ON status_transitions(run_id);
+CREATE INDEX idx_status_transitions_flagged ON status_transitions(transitioned_at)
+    WHERE flag IS NOT NULL AND reviewed_at IS NULL;
+
+-- Run ledger: what each run did to each record, and why
+CREATE TABLE ingestion_run_items (
+    id BIGSERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES ingestion_runs(id) ON DELETE CASCADE,
+    source_key VARCHAR(255),
+    action VARCHAR(20) NOT NULL
+        CHECK (action IN ('inserted', 'updated', 'skipped', 'failed', 'invalid')),
+    reason VARCHAR(50), -- unchanged, precedence, field_precedence
+    record_id INTEGER, -- records.id (kept if the record is deleted)
+    error TEXT,
+    hash_before VARCHAR(64), -- records.content_hash before the run touched it
+    hash_after VARCHAR(64), -- and after
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_ingestion_run_items_run_id ON ingestion_run_items(run_id, action);
+CREATE INDEX idx_ingestion_run_items_source_key ON ingestion_run_items(source_key);
+
+-- Entity name aliases (admin-managed). Both names are stored as typed and
+-- rule-normalized; records whose normalized name equals alias_norm get canonical_norm
+CREATE TABLE entity_aliases (
+    id SERIAL PRIMARY KEY,
+    alias VARCHAR(255) NOT NULL,
+    alias_norm VARCHAR(255) UNIQUE NOT NULL,
+    canonical_name VARCHAR(255) NOT NULL,
+    canonical_norm VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_alias_differs CHECK (alias_norm <> canonical_norm)
+);
+
+CREATE INDEX idx_entity_aliases_canonical_norm ON entity_aliases(canonical_norm);
+
+-- Reference vocabularies used by record validation (schemas/records/*.json).
+-- Regions: codes a record's region may take
+CREATE TABLE regions (
+    code VARCHAR(10) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL
+);
+
+-- Statuses allowed per region. Rows with a NULL region are the vocabulary of
+-- every region that has none of its own
+CREATE TABLE region_statuses (
+    id SERIAL PRIMARY KEY,
+    region VARCHAR(10) REFERENCES regions(code) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL,
+    UNIQUE (region, status)
+);
+
+-- UNIQUE above treats NULL regions as distinct, so the shared vocabulary
+-- needs its own index
+CREATE UNIQUE INDEX idx_region_statuses_shared ON region_statuses(status) WHERE region IS NULL;
+
 -- Alert rules table
 CREATE TABLE alert_rules (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     entity_name_norm VARCHAR(255),
+    entity_id INTEGER REFERENCES entities(id), -- set with entity_name_norm; re-pointed on merge
     region VARCHAR(10),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT check_at_least_one_filter CHECK (
@@ -63,7 +336,7 @@ CREATE TABLE alert_logs (
     alert_rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
     record_id INTEGER NOT NULL REFERENCES records(id) ON DELETE CASCADE,
     triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    action_type VARCHAR(20) NOT NULL CHECK (action_type IN ('insert', 'update'))
+    action_type VARCHAR(20) NOT NULL CHECK (action_type IN ('insert', 'update', 'withdrawn'))
 );
 
 -- Insert sample users
@@ -71,3 +344,66 @@ INSERT INTO users (email, plan) VALUES
     ('starter@example.com', 'starter'),
     ('pro@example.com', 'pro'),
     ('team@example.com', 'team');
+
+-- Seed reference vocabularies: US states (and DC), and the default statuses
+INSERT INTO regions (code, name) VALUES
+    ('AL', 'Alabama'),
+    ('AK', 'Alaska'),
+    ('AZ', 'Arizona'),
+    ('AR', 'Arkansas'),
+    ('CA', 'California'),
+    ('CO', 'Colorado'),
+    ('CT', 'Connecticut'),
+    ('DE', 'Delaware'),
+    ('DC', 'District of Columbia'),
+    ('FL', 'Florida'),
+    ('GA', 'Georgia'),
+    ('HI', 'Hawaii'),
+    ('ID', 'Idaho'),
+    ('IL', 'Illinois'),
+    ('IN', 'Indiana'),
+    ('IA', 'Iowa'),
+    ('KS', 'Kansas'),
+    ('KY', 'Kentucky'),
+    ('LA', 'Louisiana'),
+    ('ME', 'Maine'),
+    ('MD', 'Maryland'),
+    ('MA', 'Massachusetts'),
+    ('MI', 'Michigan'),
+    ('MN', 'Minnesota'),
+    ('MS', 'Mississippi'),
+    ('MO', 'Missouri'),
+    ('MT', 'Montana'),
+    ('NE', 'Nebraska'),
+    ('NV', 'Nevada'),
+    ('NH', 'New Hampshire'),
+    ('NJ', 'New Jersey'),
+    ('NM', 'New Mexico'),
+    ('NY', 'New York'),
+    ('NC', 'North Carolina'),
+    ('ND', 'North Dakota'),
+    ('OH', 'Ohio'),
+    ('OK', 'Oklahoma'),
+    ('OR', 'Oregon'),
+    ('PA', 'Pennsylvania'),
+    ('RI', 'Rhode Island'),
+    ('SC', 'South Carolina'),
+    ('SD', 'South Dakota'),
+    ('TN', 'Tennessee'),
+    ('TX', 'Texas'),
+    ('UT', 'Utah'),
+    ('VT', 'Vermont'),
+    ('VA', 'Virginia'),
+    ('WA', 'Washington'),
+    ('WV', 'West Virginia'),
+    ('WI', 'Wisconsin'),
+    ('WY', 'Wyoming');
+
+INSERT INTO region_statuses (region, status) VALUES
+    (NULL, 'Filed'),
+    (NULL, 'Pending'),
+    (NULL, 'Approved'),
+    (NULL, 'Rejected'),
+    (NULL, 'Scheduled'),
+    (NULL, 'Withdrawn'),
+    (NULL, 'Closed');
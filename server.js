@@ -7,12 +7,30 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const connector = require('./connectors/mock_connector');
+const connectors = require('./connectors');
 const db = require('./src/services/database');
 const ingestionService = require('./src/services/ingestion');
 const alertsService = require('./src/services/alerts');
 const exportService = require('./src/services/export');
-const { errorHandler, asyncHandler } = require('./src/services/errors');
+const deadLetterService = require('./src/services/deadLetters');
+const recordHistoryService = require('./src/services/recordHistory');
+const entityNameService = require('./src/services/entityNames');
+const entityService = require('./src/services/entities');
+const precedenceService = require('./src/services/precedence');
+const ingestionJobService = require('./src/services/jobs');
+const sourceLockService = require('./src/services/sourceLocks');
+const scheduleService = require('./src/services/schedules');
+const statusLifecycleService = require('./src/services/statusLifecycle');
+const rollbackService = require('./src/services/rollbacks');
+const watermarkService = require('./src/services/watermarks');
+const inboxService = require('./src/services/inbox');
+const pushService = require('./src/services/push');
+const {
+  errorHandler,
+  asyncHandler,
+  NotFoundError,
+  ValidationError
+} = require('./src/services/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -51,8 +69,13 @@ app.use((req, res, next) => {
   next();
 });
 
-// Body parser with size limits
-app.use(express.json({ limit: '10mb' }));
+// Body parser with size limits (the raw body is kept for push signatures)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security headers
@@ -86,6 +109,8 @@ app.get('/health', asyncHandler(async (req, res) => {
   const dbHealth = await db.healthCheck();
   const dbStats = db.getStats();
   const ingestionMetrics = ingestionService.getMetrics();
+  const sourceLocks = await sourceLockService.getLocks();
+  const missedSchedules = await scheduleService.getMissedRuns();
 
   res.json({
     status: 'healthy',
@@ -96,6 +121,13 @@ app.get('/health', asyncHandler(async (req, res) => {
       stats: dbStats
     },
     ingestion: ingestionMetrics,
+    jobs: ingestionJobService.getStats(),
+    scheduler: {
+      ...scheduleService.getStats(),
+      missed: missedSchedules
+    },
+    inbox: inboxService.getStats(),
+    sourceLocks,
     memory: {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
@@ -115,26 +147,69 @@ app.get('/api/metrics', asyncHandler(async (req, res) => {
 
 // INGESTION ENDPOINTS
 
+/**
+ * Resolve the connector named in the request body (or the configured default)
+ */
+function resolveConnector(req) {
+  const name = req.body.connector || connectors.getDefaultConnectorName();
+
+  if (!connectors.hasConnector(name)) {
+    throw new NotFoundError('Connector', name);
+  }
+
+  return connectors.getConnector(name);
+}
+
+app.get('/api/connectors', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: connectors.getDefaultConnectorName(),
+      connectors: connectors.listConnectors()
+    }
+  });
+}));
+
+// Ingest endpoints queue a job and return 202; poll /api/ingestion/jobs/:id
+
 app.post('/api/ingest/bulk', ingestionLimiter, asyncHandler(async (req, res) => {
+  const { name } = resolveConnector(req);
   const options = {
     batchSize: parseInt(req.body.batchSize) || 100,
-    validate: req.body.validate !== false
+    validate: req.body.validate !== false,
+    onInvalid: req.body.onInvalid || 'reject',
+    setBased: req.body.setBased === true,
+    reconcile: req.body.reconcile === true,
+    dryRun: req.body.dryRun === true,
+    waitForLock: req.body.wait === true,
+    commitPerBatch: req.body.commitPerBatch === true,
+    tombstoneThreshold: req.body.tombstoneThreshold !== undefined
+      ? parseFloat(req.body.tombstoneThreshold)
+      : undefined
   };
 
-  const records = await connector.fetchBulk();
-  const result = await ingestionService.ingestRecords(records, 'bulk', options);
-  
-  res.status(200).json({
+  const job = await ingestionJobService.enqueue('bulk', name, options);
+
+  res.status(202).location(`/api/ingestion/jobs/${job.id}`).json({
     success: true,
-    data: result
+    data: job
   });
 }));
 
 app.post('/api/ingest/recent', ingestionLimiter, asyncHandler(async (req, res) => {
   const hours = parseInt(req.body.hours) || 72;
+  const { name } = resolveConnector(req);
   const options = {
+    hours,
     batchSize: parseInt(req.body.batchSize) || 100,
-    validate: req.body.validate !== false
+    validate: req.body.validate !== false,
+    onInvalid: req.body.onInvalid || 'reject',
+    dryRun: req.body.dryRun === true,
+    waitForLock: req.body.wait === true,
+    // Manual re-pull: start the window at `since`, or ignore the watermark
+    // and take the last `hours` hours
+    since: req.body.since || undefined,
+    ignoreWatermark: req.body.ignoreWatermark === true
   };
 
   if (hours < 1 || hours > 168) {
@@ -143,15 +218,137 @@ app.post('/api/ingest/recent', ingestionLimiter, asyncHandler(async (req, res) =
     });
   }
 
-  const records = await connector.fetchRecent(hours);
-  const result = await ingestionService.ingestRecords(records, 'recent', options);
-  
-  res.status(200).json({
+  const job = await ingestionJobService.enqueue('recent', name, options);
+
+  res.status(202).location(`/api/ingestion/jobs/${job.id}`).json({
+    success: true,
+    data: job
+  });
+}));
+
+// Partners push records (signed, see src/services/push.js); ingested at once
+app.post(
+  '/api/ingest/push',
+  ingestionLimiter,
+  express.raw({ type: 'application/x-ndjson', limit: '10mb' }),
+  asyncHandler(async (req, res) => {
+    const format = req.is('application/x-ndjson') ? 'ndjson' : req.is('application/json') ? 'json' : null;
+
+    if (!format) {
+      return res.status(415).json({
+        error: 'Content-Type must be application/json or application/x-ndjson'
+      });
+    }
+
+    const body = format === 'ndjson' ? req.body : req.rawBody;
+    const records = pushService.parseRecords(body || Buffer.alloc(0), format);
+    const partner = await pushService.verify(
+      {
+        partner: req.get('X-Push-Partner'),
+        timestamp: req.get('X-Push-Timestamp'),
+        nonce: req.get('X-Push-Nonce'),
+        signature: req.get('X-Push-Signature')
+      },
+      body || Buffer.alloc(0)
+    );
+
+    const result = await pushService.ingest(partner, records);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+app.get('/api/ingestion/jobs', asyncHandler(async (req, res) => {
+  const options = {
+    status: req.query.status || null,
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const jobs = await ingestionJobService.getJobs(options);
+
+  res.json({
+    success: true,
+    data: jobs
+  });
+}));
+
+app.get('/api/ingestion/jobs/:id', asyncHandler(async (req, res) => {
+  const jobId = parseInt(req.params.id);
+
+  const job = await ingestionJobService.getJob(jobId);
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+app.delete('/api/ingestion/jobs/:id', asyncHandler(async (req, res) => {
+  const jobId = parseInt(req.params.id);
+
+  const job = await ingestionJobService.cancelJob(jobId);
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+app.get('/api/ingestion/runs/:id', asyncHandler(async (req, res) => {
+  const runId = parseInt(req.params.id);
+  const options = {
+    action: req.query.action || null,
+    sourceKey: req.query.sourceKey || null,
+    limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const result = await ingestionService.getRun(runId, options);
+
+  res.json({
     success: true,
     data: result
   });
 }));
 
+// Undo a run's changes: restore the records it updated, delete those it inserted
+app.post('/api/ingestion/runs/:id/rollback', ingestionLimiter, asyncHandler(async (req, res) => {
+  const runId = parseInt(req.params.id);
+
+  const result = await rollbackService.rollbackRun(runId, {
+    force: req.body.force === true,
+    waitForLock: req.body.wait === true
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// Resume an interrupted commitPerBatch run from its checkpoint (queued as a job)
+app.post('/api/ingestion/runs/:id/resume', ingestionLimiter, asyncHandler(async (req, res) => {
+  const runId = parseInt(req.params.id);
+
+  const run = await ingestionService.getResumableRun(runId);
+  const { connector } = ingestionService.parseSourceType(run.source_type);
+
+  const job = await ingestionJobService.enqueue(
+    'bulk',
+    connector || connectors.getDefaultConnectorName(),
+    { resumeRunId: runId, waitForLock: req.body.wait === true }
+  );
+
+  res.status(202).location(`/api/ingestion/jobs/${job.id}`).json({
+    success: true,
+    data: job
+  });
+}));
+
 app.get('/api/ingestion/history', asyncHandler(async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 10, 100);
   const offset = parseInt(req.query.offset) || 0;
@@ -166,6 +363,123 @@ app.get('/api/ingestion/history', asyncHandler(async (req, res) => {
   });
 }));
 
+app.get('/api/ingestion/watermarks', asyncHandler(async (req, res) => {
+  const watermarks = await watermarkService.getWatermarks();
+
+  res.json({
+    success: true,
+    data: watermarks
+  });
+}));
+
+app.get('/api/ingestion/dead-letters', asyncHandler(async (req, res) => {
+  const options = {
+    status: req.query.status || null,
+    reason: req.query.reason || null,
+    runId: req.query.runId ? parseInt(req.query.runId) : null,
+    sourceType: req.query.sourceType || null,
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const result = await deadLetterService.getDeadLetters(options);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+app.post('/api/ingestion/dead-letters/replay', ingestionLimiter, asyncHandler(async (req, res) => {
+  const { ids } = req.body;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({
+      error: 'ids must be a non-empty array of dead letter ids'
+    });
+  }
+
+  const result = await ingestionService.replayDeadLetters(
+    ids.map(id => parseInt(id)),
+    { validate: req.body.validate !== false }
+  );
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// SCHEDULE ENDPOINTS
+
+app.get('/api/schedules', asyncHandler(async (req, res) => {
+  const schedules = await scheduleService.getSchedules();
+
+  res.json({
+    success: true,
+    data: schedules
+  });
+}));
+
+app.get('/api/schedules/:id', asyncHandler(async (req, res) => {
+  const scheduleId = parseInt(req.params.id);
+
+  const schedule = await scheduleService.getSchedule(scheduleId);
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+}));
+
+app.post('/api/schedules', asyncHandler(async (req, res) => {
+  const { name, cron, connector, mode, options, enabled } = req.body;
+
+  const schedule = await scheduleService.createSchedule({
+    name,
+    cron,
+    connector,
+    mode,
+    options,
+    enabled
+  });
+
+  res.status(201).json({
+    success: true,
+    data: schedule
+  });
+}));
+
+app.patch('/api/schedules/:id', asyncHandler(async (req, res) => {
+  const scheduleId = parseInt(req.params.id);
+  const { name, cron, connector, mode, options, enabled } = req.body;
+
+  const schedule = await scheduleService.updateSchedule(scheduleId, {
+    name,
+    cron,
+    connector,
+    mode,
+    options,
+    enabled
+  });
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+}));
+
+app.delete('/api/schedules/:id', asyncHandler(async (req, res) => {
+  const scheduleId = parseInt(req.params.id);
+
+  const schedule = await scheduleService.deleteSchedule(scheduleId);
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+}));
+
 // ALERT ENDPOINTS
 
 app.post('/api/alerts', asyncHandler(async (req, res) => {
@@ -270,6 +584,7 @@ app.get('/api/export/csv', asyncHandler(async (req, res) => {
 
   const filters = {
     entity_name_norm: req.query.entityNameNorm,
+    entity_id: req.query.entityId ? parseInt(req.query.entityId) : null,
     region: req.query.region,
     date_from: req.query.dateFrom,
     date_to: req.query.dateTo
@@ -303,19 +618,248 @@ app.get('/api/export/stats', asyncHandler(async (req, res) => {
   });
 }));
 
+// ENTITY NAME ENDPOINTS
+
+app.get('/api/entity-names/normalize', asyncHandler(async (req, res) => {
+  const { name } = req.query;
+
+  if (!name) {
+    return res.status(400).json({
+      error: 'name query parameter is required'
+    });
+  }
+
+  await entityNameService.loadAliases();
+
+  res.json({
+    success: true,
+    data: {
+      name,
+      normalized: entityNameService.normalize(name)
+    }
+  });
+}));
+
+app.get('/api/entity-aliases', asyncHandler(async (req, res) => {
+  const aliases = await entityNameService.getAliases();
+
+  res.json({
+    success: true,
+    data: aliases
+  });
+}));
+
+app.post('/api/entity-aliases', asyncHandler(async (req, res) => {
+  const { alias, canonicalName } = req.body;
+
+  const result = await db.transaction(async (client) => {
+    return await entityNameService.createAlias(alias, canonicalName, client);
+  });
+
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+}));
+
+app.delete('/api/entity-aliases/:aliasId', asyncHandler(async (req, res) => {
+  const aliasId = parseInt(req.params.aliasId);
+
+  const deleted = await entityNameService.deleteAlias(aliasId);
+
+  res.json({
+    success: true,
+    data: deleted
+  });
+}));
+
+// ENTITY ENDPOINTS
+
+app.get('/api/entities', asyncHandler(async (req, res) => {
+  const options = {
+    search: req.query.search || null,
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const result = await entityService.getEntities(options);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+app.get('/api/entities/candidates', asyncHandler(async (req, res) => {
+  const options = {
+    status: req.query.status || 'pending',
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const candidates = await entityService.getCandidates(options);
+
+  res.json({
+    success: true,
+    data: candidates
+  });
+}));
+
+app.post('/api/entities/candidates/:candidateId/reject', asyncHandler(async (req, res) => {
+  const candidateId = parseInt(req.params.candidateId);
+
+  const candidate = await entityService.rejectCandidate(candidateId);
+
+  res.json({
+    success: true,
+    data: candidate
+  });
+}));
+
+app.get('/api/entities/:id', asyncHandler(async (req, res) => {
+  const entityId = parseInt(req.params.id);
+
+  const entity = await entityService.getEntity(entityId);
+
+  res.json({
+    success: true,
+    data: entity
+  });
+}));
+
+app.post('/api/entities/:id/merge', asyncHandler(async (req, res) => {
+  const entityId = parseInt(req.params.id);
+  const { sourceIds } = req.body;
+
+  const result = await db.transaction(async (client) => {
+    return await entityService.mergeEntities(entityId, sourceIds, client);
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+app.post('/api/entities/:id/split', asyncHandler(async (req, res) => {
+  const entityId = parseInt(req.params.id);
+  const { entityIds } = req.body;
+
+  const result = await db.transaction(async (client) => {
+    return await entityService.splitEntities(entityId, entityIds, client);
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// PRECEDENCE ENDPOINTS
+
+app.get('/api/precedence/policy', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: precedenceService.getPolicy()
+  });
+}));
+
+app.get('/api/precedence/decisions', asyncHandler(async (req, res) => {
+  const options = {
+    sourceKey: req.query.sourceKey || null,
+    runId: req.query.runId ? parseInt(req.query.runId) : null,
+    outcome: req.query.outcome || null,
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const result = await precedenceService.getDecisions(options);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// STATUS LIFECYCLE ENDPOINTS
+
+app.get('/api/statuses/mapping', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: statusLifecycleService.getMapping()
+  });
+}));
+
+app.get('/api/statuses/transitions', asyncHandler(async (req, res) => {
+  const options = {
+    recordId: req.query.recordId ? parseInt(req.query.recordId) : null,
+    runId: req.query.runId ? parseInt(req.query.runId) : null,
+    flagged: req.query.flagged === 'true',
+    reviewed: req.query.reviewed === undefined ? null : req.query.reviewed === 'true',
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+
+  const result = await statusLifecycleService.getTransitions(options);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+app.post('/api/statuses/transitions/:id/review', asyncHandler(async (req, res) => {
+  const transitionId = parseInt(req.params.id);
+
+  const transition = await statusLifecycleService.reviewTransition(transitionId);
+
+  res.json({
+    success: true,
+    data: transition
+  });
+}));
+
 // UTILITY ENDPOINTS
 
 app.get('/api/records', asyncHandler(async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 50, 100);
   const offset = parseInt(req.query.offset) || 0;
+  const { canonicalStatus, region } = req.query;
+
+  const conditions = [];
+  const params = [];
+
+  if (canonicalStatus) {
+    const { lifecycle } = statusLifecycleService.getMapping();
+
+    if (!lifecycle.includes(canonicalStatus)) {
+      throw new ValidationError(
+        `canonicalStatus must be one of: ${lifecycle.join(', ')}`,
+        'canonicalStatus'
+      );
+    }
+    params.push(canonicalStatus);
+    conditions.push(`canonical_status = $${params.length}`);
+  }
+
+  if (region) {
+    params.push(region);
+    conditions.push(`region = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
   const result = await db.transaction(async (client) => {
     const records = await client.query(
-      'SELECT * FROM records ORDER BY published_at DESC LIMIT $1 OFFSET $2',
-      [limit, offset]
+      `SELECT * FROM records ${whereClause}
+       ORDER BY published_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
     );
 
-    const countResult = await client.query('SELECT COUNT(*) as total FROM records');
+    const countResult = await client.query(
+      `SELECT COUNT(*) as total FROM records ${whereClause}`,
+      params
+    );
 
     return {
       records: records.rows,
@@ -333,6 +877,17 @@ app.get('/api/records', asyncHandler(async (req, res) => {
   });
 }));
 
+app.get('/api/records/:id/history', asyncHandler(async (req, res) => {
+  const recordId = parseInt(req.params.id);
+
+  const history = await recordHistoryService.getHistory(recordId);
+
+  res.json({
+    success: true,
+    data: history
+  });
+}));
+
 app.get('/api/users', asyncHandler(async (req, res) => {
   const result = await db.transaction(async (client) => {
     return await client.query('SELECT id, email, plan, created_at FROM users ORDER BY id');
@@ -368,6 +923,10 @@ async function gracefulShutdown(signal) {
   }
 
   try {
+    await scheduleService.stop();
+    await inboxService.stop();
+    // A running job stops at its next batch and goes back to the queue
+    await ingestionJobService.stop();
     await db.shutdown();
     console.log('Database connections closed');
     
@@ -403,6 +962,10 @@ async function startServer() {
     // Refresh alert cache
     await alertsService.refreshCache();
 
+    ingestionJobService.start();
+    scheduleService.start();
+    inboxService.start();
+
     server = app.listen(PORT, () => {
       console.log(`\n╔═══════════════════════════════════════════════════════╗`);
       console.log(`║     INGESTION PIPELINE - API SERVER       ║`);
@@ -414,9 +977,26 @@ async function startServer() {
       console.log('    GET    /health                           - Health check');
       console.log('    GET    /api/metrics                      - Service metrics\n');
       console.log('  Ingestion:');
-      console.log('    POST   /api/ingest/bulk                  - Run bulk ingestion');
-      console.log('    POST   /api/ingest/recent                - Run recent ingestion');
-      console.log('    GET    /api/ingestion/history            - Get ingestion logs\n');
+      console.log('    GET    /api/connectors                   - List registered connectors');
+      console.log('    POST   /api/ingest/bulk                  - Queue bulk ingestion (dryRun to preview)');
+      console.log('    POST   /api/ingest/recent                - Queue recent ingestion from the watermark (dryRun to preview)');
+      console.log('    POST   /api/ingest/push                  - Partner push (HMAC-signed JSON array or NDJSON)');
+      console.log('    GET    /api/ingestion/jobs               - List ingestion jobs');
+      console.log('    GET    /api/ingestion/jobs/:id           - Job status and progress');
+      console.log('    DELETE /api/ingestion/jobs/:id           - Cancel a job');
+      console.log('    GET    /api/ingestion/runs/:id           - Run with per-record items');
+      console.log('    POST   /api/ingestion/runs/:id/resume    - Resume an interrupted run');
+      console.log('    POST   /api/ingestion/runs/:id/rollback  - Undo a run (force: despite later changes)');
+      console.log('    GET    /api/ingestion/history            - Get ingestion logs');
+      console.log('    GET    /api/ingestion/watermarks         - How far recent runs of each source have read');
+      console.log('    GET    /api/ingestion/dead-letters       - List failed records');
+      console.log('    POST   /api/ingestion/dead-letters/replay - Replay failed records\n');
+      console.log('  Schedules:');
+      console.log('    GET    /api/schedules                    - List schedules');
+      console.log('    GET    /api/schedules/:id                - Get schedule');
+      console.log('    POST   /api/schedules                    - Create schedule');
+      console.log('    PATCH  /api/schedules/:id                - Update schedule');
+      console.log('    DELETE /api/schedules/:id                - Delete schedule\n');
       console.log('  Alerts:');
       console.log('    POST   /api/alerts                       - Create alert rule');
       console.log('    GET    /api/alerts/user/:userId          - Get user alerts');
@@ -426,8 +1006,28 @@ async function startServer() {
       console.log('  Export:');
       console.log('    GET    /api/export/csv?userId=X          - Export to CSV');
       console.log('    GET    /api/export/stats?userId=X        - Get export stats\n');
+      console.log('  Entity Names:');
+      console.log('    GET    /api/entity-names/normalize?name=X - Preview normalization');
+      console.log('    GET    /api/entity-aliases               - List aliases');
+      console.log('    POST   /api/entity-aliases               - Create alias');
+      console.log('    DELETE /api/entity-aliases/:aliasId      - Delete alias\n');
+      console.log('  Entities:');
+      console.log('    GET    /api/entities                     - List entities');
+      console.log('    GET    /api/entities/candidates          - Fuzzy match candidates');
+      console.log('    POST   /api/entities/candidates/:id/reject - Dismiss a candidate');
+      console.log('    GET    /api/entities/:id                 - Get entity');
+      console.log('    POST   /api/entities/:id/merge           - Merge entities into this one');
+      console.log('    POST   /api/entities/:id/split           - Undo merges\n');
+      console.log('  Precedence:');
+      console.log('    GET    /api/precedence/policy            - Current precedence policy');
+      console.log('    GET    /api/precedence/decisions         - Recorded precedence decisions\n');
+      console.log('  Statuses:');
+      console.log('    GET    /api/statuses/mapping             - Raw to canonical status mapping');
+      console.log('    GET    /api/statuses/transitions         - Status transitions (flagged=true to review)');
+      console.log('    POST   /api/statuses/transitions/:id/review - Mark a flagged transition reviewed\n');
       console.log('  Utility:');
-      console.log('    GET    /api/records                      - Get all records');
+      console.log('    GET    /api/records                      - Get records (canonicalStatus, region filters)');
+      console.log('    GET    /api/records/:id/history          - Get record version history');
       console.log('    GET    /api/users                        - Get all users\n');
       console.log('─'.repeat(60));
       console.log('\nPress Ctrl+C to stop the server\n');
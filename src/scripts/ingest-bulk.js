@@ -3,40 +3,97 @@
  * Production-ready bulk data ingestion
  */
 
-const connector = require('../../connectors/mock_connector');
+const connectors = require('../../connectors');
 const ingestionService = require('../services/ingestion');
 const db = require('../services/database');
 
-async function runBulkIngestion() {
+async function runBulkIngestion(
+  connectorName = null,
+  setBased = false,
+  onInvalid = 'reject',
+  reconcile = false,
+  dryRun = false,
+  waitForLock = false,
+  commitPerBatch = false,
+  resumeRunId = null
+) {
   console.log('=== Starting Bulk Ingestion ===\n');
   
   try {
+    // A resumed run reads the connector it started with
+    if (resumeRunId) {
+      const run = await ingestionService.getResumableRun(resumeRunId);
+      connectorName = ingestionService.parseSourceType(run.source_type).connector;
+      console.log(`Resuming run ${resumeRunId} from record ${run.checkpoint_offset}`);
+    }
+
+    const { name, connector } = connectors.getConnector(connectorName);
     
-    // Fetch bulk data from connector
-    console.log('Fetching bulk records from connector...');
-    const records = await connector.fetchBulk();
-    console.log(`Fetched ${records.length} records\n`);
-    
-    // Display sample records
-    console.log('Sample records:');
-    records.slice(0, 2).forEach(r => {
-      console.log(`  - ${r.source_key}: ${r.title} (${r.entity_name_raw})`);
-    });
-    console.log();
+    // Open bulk feed (streamed when the connector supports it)
+    console.log(`Fetching bulk records from connector "${name}"...`);
+    const records = await connectors.openBulk(connector);
+
+    if (Array.isArray(records)) {
+      console.log(`Fetched ${records.length} records\n`);
+
+      // Display sample records
+      console.log('Sample records:');
+      records.slice(0, 2).forEach(r => {
+        console.log(`  - ${r.source_key}: ${r.title} (${r.entity_name_raw})`);
+      });
+      console.log();
+    } else {
+      console.log('Streaming records from connector\n');
+    }
     
     // Ingest records with validation and batch processing
     console.log('Ingesting records...');
     const result = await ingestionService.ingestRecords(records, 'bulk', {
       validate: true,
-      batchSize: 100
+      onInvalid,
+      batchSize: 100,
+      connector: name,
+      setBased,
+      reconcile,
+      dryRun,
+      waitForLock,
+      commitPerBatch,
+      resumeRunId
     });
     
+    if (result.dryRun) {
+      console.log('\n=== Dry Run (nothing written) ===');
+      console.log(`Would Insert: ${result.recordsInserted}`);
+      console.log(`Would Update: ${result.recordsUpdated}`);
+      console.log(`Would Skip: ${result.recordsSkipped}`);
+      console.log(`Would Fail: ${result.recordsFailed}`);
+      console.log(`Invalid: ${result.recordsInvalid}`);
+      console.log(`Alerts That Would Fire: ${result.alertsTriggered}`);
+      result.plan
+        .filter(item => item.action !== 'skip')
+        .forEach(item => {
+          const detail = item.changes
+            ? item.changes.map(c => c.field).join(', ')
+            : item.reason || '';
+          console.log(`  - ${item.action} ${item.sourceKey}${detail ? ` (${detail})` : ''}`);
+        });
+      if (result.planTruncated) {
+        console.log('  ... (plan truncated)');
+      }
+      return;
+    }
+    
     console.log('\n=== Ingestion Complete ===');
     console.log(`Run ID: ${result.runId}`);
     console.log(`Records Fetched: ${result.recordsFetched}`);
     console.log(`Records Inserted: ${result.recordsInserted}`);
     console.log(`Records Updated: ${result.recordsUpdated}`);
     console.log(`Records Skipped: ${result.recordsSkipped}`);
+    console.log(`Records Invalid: ${result.recordsInvalid}`);
+    if (result.reconciliation) {
+      console.log(`Records Withdrawn: ${result.recordsWithdrawn}` +
+        (result.reconciliation.skipped ? ` (skipped: ${result.reconciliation.reason})` : ''));
+    }
     console.log(`Processing Time: ${result.processingTime}ms`);
     
     // Show metrics
@@ -58,8 +115,21 @@ async function runBulkIngestion() {
 }
 
 // Run if called directly
+// Usage: node src/scripts/ingest-bulk.js [--connector=<name>] [--set-based] [--quarantine] [--reconcile] [--dry-run] [--wait]
+//        [--commit-per-batch] [--resume=<runId>]
 if (require.main === module) {
-  runBulkIngestion();
+  const connectorArg = process.argv.find(arg => arg.startsWith('--connector='));
+  const resumeArg = process.argv.find(arg => arg.startsWith('--resume='));
+  runBulkIngestion(
+    connectorArg ? connectorArg.split('=')[1] : null,
+    process.argv.includes('--set-based'),
+    process.argv.includes('--quarantine') ? 'quarantine' : 'reject',
+    process.argv.includes('--reconcile'),
+    process.argv.includes('--dry-run'),
+    process.argv.includes('--wait'),
+    process.argv.includes('--commit-per-batch'),
+    resumeArg ? parseInt(resumeArg.split('=')[1]) : null
+  );
 }
 
 module.exports = runBulkIngestion;
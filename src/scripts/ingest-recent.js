@@ -1,21 +1,41 @@
 /**
  * Recent Ingestion Script
- * Production-ready recent data ingestion (last 72 hours)
+ * Production-ready recent data ingestion: everything published since the
+ * source's watermark (the last 72 hours on a source's first run)
  */
 
-const connector = require('../../connectors/mock_connector');
+const connectors = require('../../connectors');
 const ingestionService = require('../services/ingestion');
+const watermarkService = require('../services/watermarks');
 const db = require('../services/database');
 
-async function runRecentIngestion(hours = 72) {
-  console.log(`=== Starting Recent Ingestion (last ${hours} hours) ===\n`);
+/**
+ * @param {Object} windowOptions - manual re-pull: { since } starts the window
+ *   at a given date, { ignoreWatermark: true } uses the last `hours` hours
+ */
+async function runRecentIngestion(
+  hours = 72,
+  connectorName = null,
+  onInvalid = 'reject',
+  dryRun = false,
+  waitForLock = false,
+  windowOptions = {}
+) {
+  console.log('=== Starting Recent Ingestion ===\n');
   
   try {
+    const { name, connector } = connectors.getConnector(connectorName);
+    const window = await watermarkService.getWindow(
+      watermarkService.sourceOf(name),
+      { hours, ...windowOptions }
+    );
     
     // Fetch recent data from connector
-    console.log(`Fetching records from last ${hours} hours...`);
-    // hours parameter is informational; filtering happens in ingestion service
-    const records = await connector.fetchRecent(hours);
+    console.log(
+      `Fetching records published since ${window.since.toISOString()} ` +
+      `(${window.fromWatermark ? 'watermark' : 'window start'}) via connector "${name}"...`
+    );
+    const records = await connector.fetchRecent(hours, window);
     console.log(`Fetched ${records.length} records\n`);
     
     // Display sample records
@@ -29,16 +49,47 @@ async function runRecentIngestion(hours = 72) {
     console.log('Ingesting records...');
     const result = await ingestionService.ingestRecords(records, 'recent', {
       validate: true,
-      batchSize: 100
+      onInvalid,
+      batchSize: 100,
+      connector: name,
+      since: window.since,
+      dryRun,
+      waitForLock
     });
     
+    if (result.dryRun) {
+      console.log('\n=== Dry Run (nothing written) ===');
+      console.log(`Would Insert: ${result.recordsInserted}`);
+      console.log(`Would Update: ${result.recordsUpdated}`);
+      console.log(`Would Skip: ${result.recordsSkipped}`);
+      console.log(`Would Fail: ${result.recordsFailed}`);
+      console.log(`Invalid: ${result.recordsInvalid}`);
+      console.log(`Alerts That Would Fire: ${result.alertsTriggered}`);
+      result.plan
+        .filter(item => item.action !== 'skip')
+        .forEach(item => {
+          const detail = item.changes
+            ? item.changes.map(c => c.field).join(', ')
+            : item.reason || '';
+          console.log(`  - ${item.action} ${item.sourceKey}${detail ? ` (${detail})` : ''}`);
+        });
+      if (result.planTruncated) {
+        console.log('  ... (plan truncated)');
+      }
+      return;
+    }
+    
     console.log('\n=== Ingestion Complete ===');
     console.log(`Run ID: ${result.runId}`);
     console.log(`Records Fetched: ${result.recordsFetched}`);
     console.log(`Records Inserted: ${result.recordsInserted}`);
     console.log(`Records Updated: ${result.recordsUpdated}`);
     console.log(`Records Skipped: ${result.recordsSkipped}`);
+    console.log(`Records Invalid: ${result.recordsInvalid}`);
     console.log(`Processing Time: ${result.processingTime}ms`);
+    if (result.watermark) {
+      console.log(`Watermark: ${new Date(result.watermark.published_at).toISOString()}`);
+    }
     
     // Show metrics
     const metrics = ingestionService.getMetrics();
@@ -59,8 +110,23 @@ async function runRecentIngestion(hours = 72) {
 }
 
 // Run if called directly
+// Usage: node src/scripts/ingest-recent.js [--connector=<name>] [--quarantine] [--dry-run] [--wait]
+//          [--hours=<n>] [--since=<date>] [--ignore-watermark]
 if (require.main === module) {
-  runRecentIngestion();
+  const connectorArg = process.argv.find(arg => arg.startsWith('--connector='));
+  const hoursArg = process.argv.find(arg => arg.startsWith('--hours='));
+  const sinceArg = process.argv.find(arg => arg.startsWith('--since='));
+  runRecentIngestion(
+    hoursArg ? parseInt(hoursArg.split('=')[1]) : 72,
+    connectorArg ? connectorArg.split('=')[1] : null,
+    process.argv.includes('--quarantine') ? 'quarantine' : 'reject',
+    process.argv.includes('--dry-run'),
+    process.argv.includes('--wait'),
+    {
+      since: sinceArg ? sinceArg.split('=')[1] : null,
+      ignoreWatermark: process.argv.includes('--ignore-watermark')
+    }
+  );
 }
 
 module.exports = runRecentIngestion;
@@ -0,0 +1,38 @@
+/**
+ * Record Rehash Script
+ * Recomputes the stored content_hash of records after the hash inputs
+ * changed, without updating the records themselves
+ */
+
+const ingestionService = require('../services/ingestion');
+const db = require('../services/database');
+
+async function runRehash(batchSize = 500) {
+  console.log('=== Starting Record Rehash ===\n');
+
+  try {
+    const result = await ingestionService.rehashRecords(batchSize);
+
+    console.log('\n=== Rehash Complete ===');
+    console.log(`Records Scanned: ${result.recordsScanned}`);
+    console.log(`Records Rehashed: ${result.recordsRehashed}`);
+
+  } catch (error) {
+    console.error('\nRehash failed:', error.message);
+    if (process.env.NODE_ENV === 'development') {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    await db.shutdown();
+  }
+}
+
+// Run if called directly
+// Usage: node src/scripts/rehash-records.js [--batch-size=<n>]
+if (require.main === module) {
+  const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+  runRehash(batchArg ? parseInt(batchArg.split('=')[1]) || 500 : 500);
+}
+
+module.exports = runRehash;
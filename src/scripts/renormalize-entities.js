@@ -0,0 +1,39 @@
+/**
+ * Entity Re-normalization Script
+ * Re-applies entity name normalization (rules + alias table) to stored
+ * records and alert rules
+ */
+
+const entityNameService = require('../services/entityNames');
+const db = require('../services/database');
+
+async function runRenormalization(batchSize = 500) {
+  console.log('=== Starting Entity Re-normalization ===\n');
+
+  try {
+    const result = await entityNameService.renormalizeRecords(batchSize);
+
+    console.log('\n=== Re-normalization Complete ===');
+    console.log(`Records Scanned: ${result.recordsScanned}`);
+    console.log(`Records Updated: ${result.recordsUpdated}`);
+    console.log(`Alert Rules Updated: ${result.alertRulesUpdated}`);
+
+  } catch (error) {
+    console.error('\nRe-normalization failed:', error.message);
+    if (process.env.NODE_ENV === 'development') {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    await db.shutdown();
+  }
+}
+
+// Run if called directly
+// Usage: node src/scripts/renormalize-entities.js [--batch-size=<n>]
+if (require.main === module) {
+  const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+  runRenormalization(batchArg ? parseInt(batchArg.split('=')[1]) || 500 : 500);
+}
+
+module.exports = runRenormalization;
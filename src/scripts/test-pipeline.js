@@ -3,10 +3,33 @@
  * Tests all pipeline features with senior-level services
  */
 
-const connector = require('../../connectors/mock_connector');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const connectors = require('../../connectors');
+const { createHttpConnector } = require('../../connectors/http_connector');
+const formats = require('../../connectors/formats');
 const ingestionService = require('../services/ingestion');
 const alertsService = require('../services/alerts');
 const exportService = require('../services/export');
+const deadLetterService = require('../services/deadLetters');
+const recordHistoryService = require('../services/recordHistory');
+const entityNameService = require('../services/entityNames');
+const entityService = require('../services/entities');
+const precedenceService = require('../services/precedence');
+const ingestionJobService = require('../services/jobs');
+const sourceLockService = require('../services/sourceLocks');
+const scheduleService = require('../services/schedules');
+const recordSchemaService = require('../services/recordSchemas');
+const statusLifecycleService = require('../services/statusLifecycle');
+const rollbackService = require('../services/rollbacks');
+const watermarkService = require('../services/watermarks');
+const inboxService = require('../services/inbox');
+const pushService = require('../services/push');
+const { SourceLockedError, CancelledError, ValidationError } = require('../services/errors');
 const db = require('../services/database');
 
 async function runTests() {
@@ -21,6 +44,8 @@ async function runTests() {
     // Refresh alert cache
     await alertsService.refreshCache();
     
+    const { name: connectorName, connector } = connectors.getConnector('mock');
+    
     // TEST 1: BULK INGESTION
     console.log('TEST 1: Bulk Ingestion');
     console.log('─'.repeat(60));
@@ -30,7 +55,8 @@ async function runTests() {
     
     const bulkResult = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
       validate: true,
-      batchSize: 100
+      batchSize: 100,
+      connector: connectorName
     });
     console.log(`Inserted: ${bulkResult.recordsInserted}, Updated: ${bulkResult.recordsUpdated}`);
     console.log(`Run ID: ${bulkResult.runId}, Processing Time: ${bulkResult.processingTime}ms\n`);
@@ -44,7 +70,8 @@ async function runTests() {
     
     const recentResult = await ingestionService.ingestRecords(recentRecords, 'recent', {
       validate: true,
-      batchSize: 100
+      batchSize: 100,
+      connector: connectorName
     });
     console.log(`Inserted: ${recentResult.recordsInserted}, Updated: ${recentResult.recordsUpdated}`);
     console.log(`Skipped: ${recentResult.recordsSkipped} (idempotent - no change)\n`);
@@ -54,7 +81,8 @@ async function runTests() {
     console.log('─'.repeat(60));
     
     const repeatResult = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
-      validate: true
+      validate: true,
+      connector: connectorName
     });
     console.log(`Re-ingestion: Inserted: ${repeatResult.recordsInserted}, Updated: ${repeatResult.recordsUpdated}, Skipped: ${repeatResult.recordsSkipped}`);
     
@@ -276,6 +304,1844 @@ async function runTests() {
       console.log('  Continuing with tests...\n');
     }
     
+    // TEST 13: STREAMING INGESTION
+    console.log('TEST 13: Streaming Ingestion (async iterable)');
+    console.log('─'.repeat(60));
+    
+    const streamResult = await ingestionService.ingestRecords(connector.streamBulk(), 'bulk', {
+      validate: true,
+      batchSize: 2,
+      connector: connectorName
+    });
+    console.log(`Streamed: Fetched: ${streamResult.recordsFetched}, Inserted: ${streamResult.recordsInserted}, ` +
+                `Updated: ${streamResult.recordsUpdated}, Skipped: ${streamResult.recordsSkipped}`);
+    
+    if (streamResult.recordsFetched === bulkRecords.length && streamResult.recordsInserted === 0) {
+      console.log('  PASS: Streamed run matches array run metrics\n');
+    } else {
+      console.log('  FAIL: Streamed run metrics differ from array run\n');
+    }
+    
+    // TEST 14: SET-BASED UPSERT
+    console.log('TEST 14: Set-based Upsert (staging table)');
+    console.log('─'.repeat(60));
+    
+    const setBasedResult = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
+      validate: true,
+      connector: connectorName,
+      setBased: true
+    });
+    console.log(`Set-based: Inserted: ${setBasedResult.recordsInserted}, ` +
+                `Updated: ${setBasedResult.recordsUpdated}, Skipped: ${setBasedResult.recordsSkipped}`);
+    
+    if (setBasedResult.recordsInserted === repeatResult.recordsInserted &&
+        setBasedResult.recordsUpdated === repeatResult.recordsUpdated &&
+        setBasedResult.recordsSkipped === repeatResult.recordsSkipped) {
+      console.log('  PASS: Set-based counts match row-by-row counts\n');
+    } else {
+      console.log('  FAIL: Set-based counts differ from row-by-row counts\n');
+    }
+    
+    // TEST 15: PER-RECORD SAVEPOINTS
+    console.log('TEST 15: Failed Record Isolation (savepoints)');
+    console.log('─'.repeat(60));
+    
+    const isolationRecords = [
+      {
+        source_key: 'TEST-SP-001',
+        published_at: '2026-01-28T10:00:00Z',
+        title: 'Savepoint Check',
+        entity_name_raw: 'Savepoint Test Co',
+        region: 'ZZ',
+        record_id: 'SP-1',
+        status: 'Filed'
+      },
+      {
+        source_key: 'TEST-SP-002',
+        published_at: '2026-01-28T10:00:00Z',
+        title: 'Savepoint Check (bad row)',
+        entity_name_raw: 'Savepoint Test Co',
+        region: 'REGION-TOO-LONG', // exceeds VARCHAR(10), fails in Postgres
+        record_id: 'SP-2',
+        status: 'Filed'
+      },
+      {
+        source_key: 'TEST-SP-003',
+        published_at: '2026-01-28T10:00:00Z',
+        title: 'Savepoint Check',
+        entity_name_raw: 'Savepoint Test Co',
+        region: 'ZZ',
+        record_id: 'SP-3',
+        status: 'Filed'
+      }
+    ];
+    
+    const isolationResult = await ingestionService.ingestRecords(isolationRecords, 'bulk', {
+      validate: false,
+      connector: connectorName
+    });
+    console.log(`Inserted: ${isolationResult.recordsInserted}, Failed: ${isolationResult.recordsFailed}`);
+    
+    if (isolationResult.recordsInserted === 2 && isolationResult.recordsFailed === 1) {
+      console.log('  PASS: Bad row failed alone, remaining rows committed\n');
+    } else {
+      console.log('  FAIL: Bad row affected other records\n');
+    }
+    
+    // TEST 16: DEAD LETTERS
+    console.log('TEST 16: Dead Letters and Replay');
+    console.log('─'.repeat(60));
+    
+    const deadLetters = await deadLetterService.getDeadLetters({
+      status: 'pending',
+      runId: isolationResult.runId
+    });
+    const badRowLetter = deadLetters.deadLetters.find(d => d.source_key === 'TEST-SP-002');
+    
+    if (badRowLetter) {
+      console.log(`  PASS: Dead letter ${badRowLetter.id} recorded (${badRowLetter.error_class})`);
+      
+      // Still invalid, so the replay fails again and bumps the attempt count
+      const replayResult = await ingestionService.replayDeadLetters([badRowLetter.id], { validate: false });
+      const afterReplay = await deadLetterService.getDeadLetters({ runId: isolationResult.runId });
+      const attempts = afterReplay.deadLetters.find(d => d.id === badRowLetter.id).attempts;
+      
+      if (replayResult.recordsFailed === 1 && attempts === 2) {
+        console.log('  PASS: Failed replay kept the dead letter and counted the attempt');
+      } else {
+        console.log(`  FAIL: Unexpected replay outcome (failed: ${replayResult.recordsFailed}, attempts: ${attempts})`);
+      }
+      
+      // A replay writes the source's records, so it needs the source's lock
+      await db.transaction(async (client) => {
+        await sourceLockService.acquire(client, sourceLockService.sourceOf(connectorName));
+        
+        try {
+          await ingestionService.replayDeadLetters([badRowLetter.id], { validate: false });
+          console.log('  FAIL: Replay ran while its source was locked\n');
+        } catch (err) {
+          if (err instanceof SourceLockedError) {
+            console.log(`  PASS: Replay refused while its source was locked - ${err.message}\n`);
+          } else {
+            console.log(`  FAIL: Unexpected error - ${err.message}\n`);
+          }
+        }
+      });
+    } else {
+      console.log('  FAIL: No dead letter recorded for failed record\n');
+    }
+    
+    // TEST 17: QUARANTINE MODE
+    console.log('TEST 17: Quarantine Invalid Records');
+    console.log('─'.repeat(60));
+    
+    const quarantineResult = await ingestionService.ingestRecords([
+      {
+        source_key: 'TEST-Q-001',
+        published_at: '2026-01-28T10:00:00Z',
+        title: 'Quarantine Check',
+        entity_name_raw: 'Quarantine Test Co',
+        region: 'WY',
+        record_id: 'Q-1',
+        status: 'Filed'
+      },
+      {
+        source_key: 'TEST-Q-002',
+        published_at: 'not-a-date',
+        title: 'Quarantine Check (malformed)',
+        entity_name_raw: 'Quarantine Test Co',
+        region: 'texas',
+        record_id: 'Q-2'
+      }
+    ], 'bulk', {
+      validate: true,
+      onInvalid: 'quarantine',
+      connector: connectorName
+    });
+    console.log(`Inserted: ${quarantineResult.recordsInserted}, Invalid: ${quarantineResult.recordsInvalid}`);
+    
+    const quarantined = await deadLetterService.getDeadLetters({
+      reason: 'invalid',
+      runId: quarantineResult.runId
+    });
+    const quarantinedLetter = quarantined.deadLetters[0];
+    
+    if (quarantineResult.recordsInserted === 1 &&
+        quarantineResult.recordsInvalid === 1 &&
+        quarantinedLetter && quarantinedLetter.errors.length === 3) {
+      console.log('  PASS: Invalid record quarantined with all 3 errors, valid record ingested\n');
+    } else {
+      console.log('  FAIL: Quarantine did not set the invalid record aside\n');
+    }
+    
+    // TEST 18: RECORD VERSION HISTORY
+    console.log('TEST 18: Record Version History');
+    console.log('─'.repeat(60));
+    
+    const historyRecord = {
+      source_key: 'TEST-H-001',
+      published_at: '2026-01-28T10:00:00Z',
+      title: 'History Check',
+      entity_name_raw: 'History Test Co',
+      region: 'WY',
+      record_id: 'H-1',
+      status: 'Pending'
+    };
+    
+    await ingestionService.ingestRecords([historyRecord], 'bulk', { connector: connectorName });
+    await ingestionService.ingestRecords(
+      [{ ...historyRecord, status: 'Approved' }],
+      'bulk',
+      { connector: connectorName }
+    );
+    
+    const historyRow = await db.query("SELECT id FROM records WHERE source_key = 'TEST-H-001'");
+    const history = await recordHistoryService.getHistory(historyRow.rows[0].id);
+    const lastChange = history.versions[history.versions.length - 1].changes;
+    
+    console.log(`Versions: ${history.versions.length}`);
+    
+    if (history.versions.length >= 2 &&
+        lastChange.length === 1 &&
+        lastChange[0].field === 'status' &&
+        lastChange[0].from === 'Pending' &&
+        lastChange[0].to === 'Approved') {
+      console.log('  PASS: Status change Pending -> Approved captured\n');
+    } else {
+      console.log('  FAIL: Version history did not capture the status change\n');
+    }
+    
+    // TEST 19: TOMBSTONES
+    console.log('TEST 19: Withdrawn Record Reconciliation');
+    console.log('─'.repeat(60));
+    
+    // The TEST-* records above came from the same source but are not in bulk.csv,
+    // so they are a large share of the source: the safety threshold must hold
+    const guardedResult = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
+      connector: connectorName,
+      reconcile: true,
+      tombstoneThreshold: 0.1
+    });
+    
+    if (guardedResult.reconciliation.skipped && guardedResult.recordsWithdrawn === 0) {
+      console.log(`  PASS: Threshold stopped reconciliation (${guardedResult.reconciliation.reason})`);
+    } else {
+      console.log('  FAIL: Threshold did not stop reconciliation');
+    }
+    
+    // Records of the same source last written by its recent feed, or before
+    // source types named the connector, are reconciled too
+    const recentOnlyRecord = {
+      source_key: 'TEST-TB-001',
+      published_at: '2026-01-28T10:00:00Z',
+      title: 'Recent Feed Only',
+      entity_name_raw: 'Tombstone Test Co',
+      region: 'WY',
+      record_id: 'TB-1',
+      status: 'Filed'
+    };
+    await ingestionService.ingestRecords([recentOnlyRecord], 'recent', {
+      connector: connectorName,
+      since: '2000-01-01T00:00:00Z'
+    });
+    await ingestionService.ingestRecords(
+      [{ ...recentOnlyRecord, source_key: 'TEST-TB-002', record_id: 'TB-2' }],
+      'bulk'
+    );
+    
+    const reconcileResult = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
+      connector: connectorName,
+      reconcile: true,
+      tombstoneThreshold: 1
+    });
+    
+    const withdrawnCheck = await db.query(
+      `SELECT source_key FROM records WHERE withdrawn_at IS NOT NULL ORDER BY source_key`
+    );
+    const withdrawnKeys = withdrawnCheck.rows.map(r => r.source_key);
+    console.log(`Withdrawn: ${reconcileResult.recordsWithdrawn} (${withdrawnKeys.join(', ')})`);
+    
+    if (reconcileResult.recordsWithdrawn > 0 &&
+        withdrawnKeys.every(key => key.startsWith('TEST-'))) {
+      console.log('  PASS: Only records missing from the bulk master were withdrawn');
+    } else {
+      console.log('  FAIL: Unexpected withdrawn records');
+    }
+    
+    if (withdrawnKeys.includes('TEST-TB-001') && withdrawnKeys.includes('TEST-TB-002')) {
+      console.log('  PASS: Records last written by the recent feed or a legacy run were withdrawn');
+    } else {
+      console.log('  FAIL: Recent-feed or legacy record missing from bulk was not withdrawn');
+    }
+    
+    // A key another source owns is left as it is, even when this run delivers it
+    const foreignRecord = { ...recentOnlyRecord, source_key: 'TEST-TB-003', record_id: 'TB-3' };
+    await ingestionService.ingestRecords([foreignRecord], 'bulk', { connector: connectorName });
+    await db.query(
+      `UPDATE records SET last_source_type = 'other_source:bulk', withdrawn_at = NOW()
+       WHERE source_key = 'TEST-TB-003'`
+    );
+    
+    const foreignRun = await ingestionService.ingestRecords([...bulkRecords, foreignRecord], 'bulk', {
+      connector: connectorName,
+      reconcile: true,
+      tombstoneThreshold: 1
+    });
+    const foreignRow = await db.query(
+      "SELECT withdrawn_at, last_seen_run_id FROM records WHERE source_key = 'TEST-TB-003'"
+    );
+    
+    if (foreignRow.rows[0].withdrawn_at !== null &&
+        foreignRow.rows[0].last_seen_run_id !== foreignRun.runId) {
+      console.log('  PASS: Another source\'s record was not marked seen or reinstated\n');
+    } else {
+      console.log('  FAIL: Another source\'s record was marked seen by this run\n');
+    }
+    
+    // TEST 20: DRY RUN
+    console.log('TEST 20: Dry Run');
+    console.log('─'.repeat(60));
+    
+    const runsBefore = await db.query('SELECT COUNT(*) as count FROM ingestion_runs');
+    const recordsBefore = await db.query('SELECT COUNT(*) as count FROM records');
+    
+    const dryRunResult = await ingestionService.ingestRecords(
+      [
+        { ...historyRecord, status: 'Rejected' },
+        { ...historyRecord, source_key: 'TEST-D-001', record_id: 'D-1' }
+      ],
+      'bulk',
+      { connector: connectorName, dryRun: true }
+    );
+    
+    const runsAfter = await db.query('SELECT COUNT(*) as count FROM ingestion_runs');
+    const recordsAfter = await db.query('SELECT COUNT(*) as count FROM records');
+    const plannedUpdate = dryRunResult.plan.find(item => item.sourceKey === 'TEST-H-001');
+    
+    console.log(`Plan: ${dryRunResult.plan.map(item => `${item.action} ${item.sourceKey}`).join(', ')}`);
+    
+    if (dryRunResult.recordsInserted === 1 &&
+        dryRunResult.recordsUpdated === 1 &&
+        plannedUpdate.changes.length === 1 &&
+        plannedUpdate.changes[0].to === 'Rejected') {
+      console.log('  PASS: Planned insert and update with field diff');
+    } else {
+      console.log('  FAIL: Dry run plan is wrong');
+    }
+    
+    if (runsAfter.rows[0].count === runsBefore.rows[0].count &&
+        recordsAfter.rows[0].count === recordsBefore.rows[0].count) {
+      console.log('  PASS: Dry run wrote nothing\n');
+    } else {
+      console.log('  FAIL: Dry run wrote to the database\n');
+    }
+    
+    // TEST 21: ENTITY NAME NORMALIZATION
+    console.log('TEST 21: Entity Name Normalization');
+    console.log('─'.repeat(60));
+    
+    const variants = ['Acme Energy LLC', 'ACME ENERGY, L.L.C.', 'Acme Energy'];
+    const variantNorms = new Set(variants.map(name => entityNameService.normalize(name)));
+    console.log(`Variants: ${variants.join(' | ')} -> ${[...variantNorms].join(', ')}`);
+    
+    if (variantNorms.size === 1 && variantNorms.has('acme energy')) {
+      console.log('  PASS: Suffix and punctuation variants share one name');
+    } else {
+      console.log('  FAIL: Variants normalized differently');
+    }
+    
+    const alias = await entityNameService.createAlias('Acme Power', 'Acme Energy LLC');
+    await ingestionService.ingestRecords(
+      [{ ...historyRecord, source_key: 'TEST-N-001', entity_name_raw: 'ACME POWER, INC.' }],
+      'bulk',
+      { connector: connectorName }
+    );
+    
+    const aliasedRow = await db.query(
+      "SELECT entity_name_norm FROM records WHERE source_key = 'TEST-N-001'"
+    );
+    
+    if (aliasedRow.rows[0].entity_name_norm === 'acme energy') {
+      console.log('  PASS: Alias mapped "ACME POWER, INC." to "acme energy"');
+    } else {
+      console.log(`  FAIL: Alias not applied (${aliasedRow.rows[0].entity_name_norm})`);
+    }
+    
+    await entityNameService.deleteAlias(alias.id);
+    const renormalized = await entityNameService.renormalizeRecords();
+    
+    const renormalizedRow = await db.query(
+      "SELECT entity_name_norm FROM records WHERE source_key = 'TEST-N-001'"
+    );
+    
+    if (renormalized.recordsUpdated >= 1 &&
+        renormalizedRow.rows[0].entity_name_norm === 'acme power') {
+      console.log('  PASS: Re-normalize applied the alias removal to stored records');
+    } else {
+      console.log('  FAIL: Re-normalize did not update the stored record');
+    }
+    
+    // The source still delivers the same content: nothing to update
+    const redelivered = await ingestionService.ingestRecords(
+      [{ ...historyRecord, source_key: 'TEST-N-001', entity_name_raw: 'ACME POWER, INC.' }],
+      'bulk',
+      { connector: connectorName }
+    );
+    const renormalizedVersions = await db.query(
+      `SELECT v.snapshot FROM record_versions v
+       JOIN records r ON r.id = v.record_id
+       WHERE r.source_key = 'TEST-N-001'`
+    );
+    
+    if (redelivered.recordsUpdated === 0 &&
+        renormalizedVersions.rows.some(v => v.snapshot.entity_name_norm === 'acme energy')) {
+      console.log('  PASS: Re-normalized record kept its history and is not updated again');
+    } else {
+      console.log(`  FAIL: Re-delivery updated ${redelivered.recordsUpdated} records, ` +
+        `${renormalizedVersions.rows.length} versions kept`);
+    }
+    
+    // A hash stored under older hash inputs is recomputed in place
+    const staleHashRow = await db.query(
+      `UPDATE records SET content_hash = 'legacy' WHERE source_key = 'TEST-N-001'
+       RETURNING id, updated_at, (SELECT COUNT(*) FROM record_versions v WHERE v.record_id = records.id) AS versions`
+    );
+    const rehashed = await ingestionService.rehashRecords();
+    const rehashedRow = await db.query(
+      `SELECT r.*, (SELECT COUNT(*) FROM record_versions v WHERE v.record_id = r.id) AS versions
+       FROM records r WHERE r.source_key = 'TEST-N-001'`
+    );
+    const rehashRedelivered = await ingestionService.ingestRecords(
+      [{ ...historyRecord, source_key: 'TEST-N-001', entity_name_raw: 'ACME POWER, INC.' }],
+      'bulk',
+      { connector: connectorName }
+    );
+    
+    if (rehashed.recordsRehashed >= 1 &&
+        rehashedRow.rows[0].content_hash === ingestionService.generateContentHash(rehashedRow.rows[0]) &&
+        rehashedRow.rows[0].versions === staleHashRow.rows[0].versions &&
+        rehashedRow.rows[0].updated_at.getTime() === staleHashRow.rows[0].updated_at.getTime() &&
+        rehashRedelivered.recordsUpdated === 0) {
+      console.log('  PASS: Rehash recomputed the stored hash without a version or update\n');
+    } else {
+      console.log(`  FAIL: Rehash changed ${rehashed.recordsRehashed} records, ` +
+        `re-delivery updated ${rehashRedelivered.recordsUpdated}\n`);
+    }
+    
+    // TEST 22: CANONICAL ENTITIES
+    console.log('TEST 22: Canonical Entities (match, merge, split)');
+    console.log('─'.repeat(60));
+    
+    await ingestionService.ingestRecords(
+      [
+        { ...historyRecord, source_key: 'TEST-E-001', entity_name_raw: 'Permian Basin Operating LLC' },
+        { ...historyRecord, source_key: 'TEST-E-002', entity_name_raw: 'Permian Basin Operating Co' },
+        { ...historyRecord, source_key: 'TEST-E-003', entity_name_raw: 'Permian Basin Operatng' }
+      ],
+      'bulk',
+      { connector: connectorName }
+    );
+    
+    const entityRows = await db.query(
+      "SELECT source_key, entity_id FROM records WHERE source_key LIKE 'TEST-E-%' ORDER BY source_key"
+    );
+    const [primaryId, sameNameId, typoId] = entityRows.rows.map(r => r.entity_id);
+    
+    if (primaryId && primaryId === sameNameId && typoId !== primaryId) {
+      console.log(`  PASS: Records linked to entities ${primaryId} and ${typoId}`);
+    } else {
+      console.log('  FAIL: Records not linked to the expected entities');
+    }
+    
+    const candidates = await entityService.getCandidates();
+    if (candidates.some(c => c.entity_id === typoId && c.candidate_entity_id === primaryId)) {
+      console.log('  PASS: Misspelled name proposed as a match candidate');
+    } else {
+      console.log('  FAIL: No match candidate for the misspelled name');
+    }
+    
+    const teamUser = await db.query("SELECT id FROM users WHERE plan = 'team' LIMIT 1");
+    const typoRule = await alertsService.createAlertRule(
+      teamUser.rows[0].id,
+      'Permian Basin Operatng',
+      null
+    );
+    
+    const merge = await db.transaction(client =>
+      entityService.mergeEntities(primaryId, [typoId], client)
+    );
+    const mergedRule = await db.query('SELECT entity_id FROM alert_rules WHERE id = $1', [typoRule.alert.id]);
+    
+    if (merge.recordsRepointed === 1 &&
+        merge.alertRulesRepointed === 1 &&
+        mergedRule.rows[0].entity_id === primaryId &&
+        await entityService.findEntityId('permian basin operatng') === primaryId) {
+      console.log('  PASS: Merge re-pointed records, alert rule and name');
+    } else {
+      console.log('  FAIL: Merge did not re-point everything');
+    }
+    
+    const split = await db.transaction(client =>
+      entityService.splitEntities(primaryId, [typoId], client)
+    );
+    const splitRow = await db.query("SELECT entity_id FROM records WHERE source_key = 'TEST-E-003'");
+    
+    if (split.recordsRepointed === 1 &&
+        split.alertRulesRepointed === 1 &&
+        splitRow.rows[0].entity_id === typoId) {
+      console.log('  PASS: Split restored the separate entity\n');
+    } else {
+      console.log('  FAIL: Split did not restore the entity\n');
+    }
+    
+    await alertsService.deleteAlertRule(typoRule.alert.id, teamUser.rows[0].id);
+
+    // TEST 23: SOURCE PRECEDENCE POLICY
+    console.log('TEST 23: Source Precedence Policy');
+    console.log('─'.repeat(60));
+
+    // Recent runs only keep records published in the last 72 hours
+    const precedenceRecord = {
+      ...historyRecord,
+      source_key: 'TEST-P-001',
+      record_id: 'P-1',
+      published_at: new Date().toISOString()
+    };
+    const recentChange = { ...precedenceRecord, title: 'Retitled by Recent', status: 'Approved' };
+
+    await ingestionService.ingestRecords([precedenceRecord], 'bulk', { connector: connectorName });
+    const rejectedRun = await ingestionService.ingestRecords(
+      [recentChange], 'recent', { connector: connectorName }
+    );
+
+    if (rejectedRun.recordsSkipped === 1) {
+      console.log('  PASS: Default policy kept recent from overriding bulk');
+    } else {
+      console.log('  FAIL: Recent overrode bulk under the default policy');
+    }
+    
+    // The same rejected change delivered again is not logged again
+    await ingestionService.ingestRecords([recentChange], 'recent', { connector: connectorName });
+    const repeatedDecisions = await precedenceService.getDecisions({ sourceKey: 'TEST-P-001' });
+    
+    if (repeatedDecisions.pagination.total === 1) {
+      console.log('  PASS: A repeated rejected change was logged once');
+    } else {
+      console.log(`  FAIL: A repeated rejected change was logged ${repeatedDecisions.pagination.total} times`);
+    }
+
+    precedenceService.setPolicy({ fields: { recent: ['status'] } });
+    await ingestionService.ingestRecords([recentChange], 'recent', { connector: connectorName });
+
+    const partialRow = await db.query(
+      "SELECT title, status, last_source_type FROM records WHERE source_key = 'TEST-P-001'"
+    );
+
+    if (partialRow.rows[0].status === 'Approved' &&
+        partialRow.rows[0].title === precedenceRecord.title &&
+        partialRow.rows[0].last_source_type === `${connectorName}:bulk`) {
+      console.log('  PASS: Field-level precedence let recent update status but not title');
+    } else {
+      console.log('  FAIL: Field-level precedence not applied');
+    }
+
+    await db.query(
+      "UPDATE records SET last_source_at = NOW() - INTERVAL '2 days' WHERE source_key = 'TEST-P-001'"
+    );
+    precedenceService.setPolicy({ freshnessHours: 24 });
+    await ingestionService.ingestRecords([recentChange], 'recent', { connector: connectorName });
+
+    const staleRow = await db.query(
+      "SELECT title, last_source_type FROM records WHERE source_key = 'TEST-P-001'"
+    );
+
+    if (staleRow.rows[0].title === recentChange.title &&
+        staleRow.rows[0].last_source_type === `${connectorName}:recent`) {
+      console.log('  PASS: Recent overrode bulk after the freshness window');
+    } else {
+      console.log('  FAIL: Freshness window not applied');
+    }
+
+    precedenceService.setPolicy({});
+
+    const decisions = await precedenceService.getDecisions({ sourceKey: 'TEST-P-001' });
+    const outcomes = decisions.decisions.map(d => `${d.outcome}/${d.reason}`).reverse();
+    console.log(`Decisions: ${outcomes.join(', ')}`);
+
+    if (outcomes.join(',') === 'rejected/rank,partial/field_precedence,applied/stale') {
+      console.log('  PASS: Every precedence decision was recorded\n');
+    } else {
+      console.log('  FAIL: Precedence decisions not recorded as expected\n');
+    }
+
+    // TEST 24: INGESTION JOBS
+    console.log('TEST 24: Ingestion Jobs');
+    console.log('─'.repeat(60));
+
+    const cancelledJob = await ingestionJobService.enqueue('bulk', connectorName, {});
+    const cancelled = await ingestionJobService.cancelJob(cancelledJob.id);
+
+    if (cancelled.status === 'cancelled') {
+      console.log('  PASS: Queued job cancelled before it started');
+    } else {
+      console.log(`  FAIL: Queued job not cancelled (${cancelled.status})`);
+    }
+
+    // Two jobs: the worker must go on to the second once the first is done
+    const queuedJob = await ingestionJobService.enqueue('bulk', connectorName, { batchSize: 2 });
+    const nextJob = await ingestionJobService.enqueue('bulk', connectorName, {});
+    ingestionJobService.start();
+
+    let job = queuedJob;
+    let secondJob = nextJob;
+    const deadline = Date.now() + 30000;
+    while ([job.status, secondJob.status].some(status => ['queued', 'running'].includes(status)) &&
+           Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      job = await ingestionJobService.getJob(queuedJob.id);
+      secondJob = await ingestionJobService.getJob(nextJob.id);
+    }
+    // Let the worker finish its bookkeeping for the last job
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const workerIdle = !ingestionJobService.getStats().busy;
+    await ingestionJobService.stop();
+
+    console.log(`Job ${job.id}: ${job.status}, ${job.records_processed} records in ${job.current_batch} batches`);
+
+    if (job.status === 'succeeded' &&
+        job.run_id === job.result.runId &&
+        job.records_processed === bulkRecords.length) {
+      console.log('  PASS: Worker ran the queued job and recorded its progress');
+    } else {
+      console.log('  FAIL: Queued job did not complete');
+    }
+
+    if (secondJob.status === 'succeeded' && workerIdle) {
+      console.log('  PASS: Worker went on to the next queued job and then went idle');
+    } else {
+      console.log(`  FAIL: Next job ${secondJob.status}, worker ${workerIdle ? 'idle' : 'still busy'}`);
+    }
+
+    // A job that fails mid-run keeps the run id it can be resumed from
+    const failingJob = await ingestionJobService.enqueue('bulk', connectorName, { commitPerBatch: true });
+    await ingestionJobService.updateProgress(failingJob.id, {
+      recordsProcessed: 2,
+      currentBatch: 1,
+      runId: job.run_id
+    });
+    await ingestionJobService.finishJob(failingJob.id, 'failed', { error: 'Connection lost' });
+    const failedJob = await ingestionJobService.getJob(failingJob.id);
+
+    if (failedJob.status === 'failed' && failedJob.run_id === job.run_id) {
+      console.log('  PASS: Failed job keeps its resumable run id');
+    } else {
+      console.log(`  FAIL: Failed job lost its run id (${failedJob.run_id})`);
+    }
+    
+    // A job waiting for its source's lock keeps its heartbeat and is not re-queued
+    const heartbeatInterval = ingestionJobService.heartbeatInterval;
+    ingestionJobService.heartbeatInterval = 100;
+    let waitingJob;
+    
+    await db.transaction(async (client) => {
+      await sourceLockService.acquire(client, sourceLockService.sourceOf(connectorName));
+      
+      const lockedJob = await ingestionJobService.enqueue('bulk', connectorName, { waitForLock: true });
+      ingestionJobService.start();
+      
+      const claimDeadline = Date.now() + 10000;
+      while ((await ingestionJobService.getJob(lockedJob.id)).status === 'queued' &&
+             Date.now() < claimDeadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      
+      await db.query(
+        "UPDATE ingestion_jobs SET updated_at = NOW() - INTERVAL '1 hour' WHERE id = $1",
+        [lockedJob.id]
+      );
+      await new Promise(resolve => setTimeout(resolve, 500));
+      await ingestionJobService.requeueStale();
+      waitingJob = await ingestionJobService.getJob(lockedJob.id);
+    });
+    
+    let lockedJobDone = waitingJob;
+    const lockDeadline = Date.now() + 30000;
+    while (['queued', 'running'].includes(lockedJobDone.status) && Date.now() < lockDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      lockedJobDone = await ingestionJobService.getJob(waitingJob.id);
+    }
+    await ingestionJobService.stop();
+    ingestionJobService.heartbeatInterval = heartbeatInterval;
+    
+    if (waitingJob.status === 'running' &&
+        waitingJob.updated_at > new Date(Date.now() - 60000) &&
+        lockedJobDone.status === 'succeeded') {
+      console.log('  PASS: Job waiting for the lock kept its heartbeat and ran once the lock was free');
+    } else {
+      console.log(`  FAIL: Waiting job was ${waitingJob.status}, then ${lockedJobDone.status}`);
+    }
+    
+    // A job whose run still holds its lock is never re-queued, however old
+    await db.transaction(async (client) => {
+      const backend = await client.query('SELECT pg_backend_pid() AS pid');
+      const activeRun = await db.query(
+        `INSERT INTO ingestion_runs (source_type, started_at, lock_pid)
+         VALUES ($1, NOW(), $2) RETURNING id`,
+        [`${connectorName}:bulk`, backend.rows[0].pid]
+      );
+      const activeJob = await db.query(
+        `INSERT INTO ingestion_jobs (mode, connector, status, run_id, started_at, updated_at)
+         VALUES ('bulk', $1, 'running', $2, NOW(), NOW() - INTERVAL '1 hour')
+         RETURNING id`,
+        [connectorName, activeRun.rows[0].id]
+      );
+      
+      await ingestionJobService.requeueStale();
+      const activeState = await ingestionJobService.getJob(activeJob.rows[0].id);
+      
+      await db.query('UPDATE ingestion_runs SET finished_at = NOW() WHERE id = $1', [activeRun.rows[0].id]);
+      await ingestionJobService.finishJob(activeJob.rows[0].id, 'failed', { error: 'Test job' });
+      
+      if (activeState.status === 'running') {
+        console.log('  PASS: Job with an active run was not re-queued\n');
+      } else {
+        console.log(`  FAIL: Job with an active run was ${activeState.status}\n`);
+      }
+    });
+
+    // TEST 25: SOURCE LOCKS
+    console.log('TEST 25: Source Locks');
+    console.log('─'.repeat(60));
+
+    await db.transaction(async (client) => {
+      // Hold the source's lock as a concurrent run would
+      await sourceLockService.acquire(client, sourceLockService.sourceOf(connectorName));
+
+      const held = await sourceLockService.getLocks();
+      console.log(`Held locks: ${held.length}`);
+
+      try {
+        await ingestionService.ingestRecords(bulkRecords, 'bulk', { connector: connectorName });
+        console.log('  FAIL: Overlapping run was not refused');
+      } catch (err) {
+        if (err instanceof SourceLockedError && err.statusCode === 409) {
+          console.log(`  PASS: Overlapping run refused - ${err.message}`);
+        } else {
+          console.log(`  FAIL: Unexpected error - ${err.message}`);
+        }
+      }
+    });
+
+    const afterUnlock = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
+      connector: connectorName
+    });
+
+    if (afterUnlock.runId) {
+      console.log('  PASS: Source ingestible again once the lock was released');
+    } else {
+      console.log('  FAIL: Run after unlock did not complete');
+    }
+
+    // A push partner mapped to the connector's source shares its lock
+    sourceLockService.loadAliases(`lock_partner=${connectorName}`);
+
+    await db.transaction(async (client) => {
+      await sourceLockService.acquire(client, sourceLockService.sourceOf(connectorName));
+
+      try {
+        await ingestionService.ingestRecords(bulkRecords.slice(0, 1), 'push', { connector: 'lock_partner' });
+        console.log('  FAIL: Push partner wrote while its source was locked\n');
+      } catch (err) {
+        if (err instanceof SourceLockedError &&
+            sourceLockService.writersOf(connectorName).includes('lock_partner')) {
+          console.log(`  PASS: Writers mapped to one source share its lock - ${err.message}\n`);
+        } else {
+          console.log(`  FAIL: Unexpected error - ${err.message}\n`);
+        }
+      }
+    });
+
+    sourceLockService.loadAliases('');
+
+    // TEST 26: BATCH-COMMITTED RUNS AND RESUME
+    console.log('TEST 26: Batch-Committed Runs and Resume');
+    console.log('─'.repeat(60));
+
+    const resumeRecords = bulkRecords.map(r => ({
+      ...r,
+      source_key: `${r.source_key}-resume`
+    }));
+
+    let interruptedRunId = null;
+    try {
+      await ingestionService.ingestRecords(resumeRecords, 'bulk', {
+        connector: connectorName,
+        batchSize: 2,
+        commitPerBatch: true,
+        onProgress: (progress) => { interruptedRunId = progress.runId; },
+        shouldCancel: () => true
+      });
+      console.log('  FAIL: Run was not interrupted');
+    } catch (err) {
+      if (err instanceof CancelledError) {
+        console.log(`  PASS: Run interrupted after its first batch - ${err.message}`);
+      } else {
+        console.log(`  FAIL: Unexpected error - ${err.message}`);
+      }
+    }
+
+    const interrupted = await db.query(
+      'SELECT * FROM ingestion_runs WHERE id = $1',
+      [interruptedRunId]
+    );
+    const checkpointRow = interrupted.rows[0];
+    console.log(`Run ${interruptedRunId} checkpoint: ${checkpointRow.checkpoint_offset} (${checkpointRow.checkpoint_key})`);
+
+    if (checkpointRow.checkpoint_offset === 2 &&
+        checkpointRow.checkpoint_key === resumeRecords[1].source_key &&
+        checkpointRow.records_inserted === 2 &&
+        !checkpointRow.completed) {
+      console.log('  PASS: First batch committed and checkpointed');
+    } else {
+      console.log('  FAIL: Checkpoint not stored with the committed batch');
+    }
+
+    const resumed = await ingestionService.ingestRecords(resumeRecords, 'bulk', {
+      connector: connectorName,
+      resumeRunId: interruptedRunId
+    });
+
+    console.log(`Resumed run ${resumed.runId}: fetched ${resumed.recordsFetched}, inserted ${resumed.recordsInserted}`);
+
+    if (resumed.runId === interruptedRunId &&
+        resumed.resumed &&
+        resumed.recordsFetched === resumeRecords.length &&
+        resumed.recordsInserted === resumeRecords.length) {
+      console.log('  PASS: Resumed run continued from its checkpoint with metrics adding up');
+    } else {
+      console.log('  FAIL: Resumed run metrics do not cover the whole source');
+    }
+
+    try {
+      await ingestionService.getResumableRun(interruptedRunId);
+      console.log('  FAIL: Completed run still resumable\n');
+    } catch (err) {
+      console.log(`  PASS: Completed run can no longer be resumed - ${err.message}`);
+    }
+    
+    // An empty source is refused before a run row is created
+    const runsBeforeEmpty = await db.query('SELECT COUNT(*) as count FROM ingestion_runs');
+    try {
+      await ingestionService.ingestRecords((async function* () {})(), 'bulk', {
+        connector: connectorName,
+        commitPerBatch: true
+      });
+      console.log('  FAIL: Empty source was accepted\n');
+    } catch (err) {
+      const runsAfterEmpty = await db.query('SELECT COUNT(*) as count FROM ingestion_runs');
+      
+      if (err instanceof ValidationError &&
+          runsAfterEmpty.rows[0].count === runsBeforeEmpty.rows[0].count) {
+        console.log(`  PASS: Empty source refused without leaving a run - ${err.message}\n`);
+      } else {
+        console.log(`  FAIL: Empty source left a run behind - ${err.message}\n`);
+      }
+    }
+
+    // TEST 27: INGESTION SCHEDULES
+    console.log('TEST 27: Ingestion Schedules');
+    console.log('─'.repeat(60));
+
+    const schedule = await scheduleService.createSchedule({
+      name: `test-recent-${Date.now()}`,
+      cron: '*/30 * * * *',
+      connector: connectorName,
+      mode: 'recent',
+      options: { hours: 24 }
+    });
+    console.log(`Schedule ${schedule.id} next runs at ${schedule.next_run_at.toISOString()}`);
+
+    // Make it due, as if the scheduler had been down for two hours
+    await db.query(
+      'UPDATE schedules SET next_run_at = $2 WHERE id = $1',
+      [schedule.id, new Date(Date.now() - 2 * 60 * 60 * 1000)]
+    );
+
+    const missedBefore = await scheduleService.getMissedRuns();
+    await scheduleService.tick();
+    const fired = await scheduleService.getSchedule(schedule.id);
+
+    if (missedBefore.some(m => m.scheduleId === schedule.id && m.overdue) &&
+        fired.last_status === 'queued' &&
+        fired.last_job_status === 'queued' &&
+        fired.missed_runs >= 4 &&
+        fired.next_run_at > new Date()) {
+      console.log(`  PASS: Overdue schedule queued job ${fired.last_job_id} and counted ${fired.missed_runs} missed runs`);
+    } else {
+      console.log('  FAIL: Overdue schedule did not fire');
+    }
+
+    // Due again while its job is still queued (the worker is stopped)
+    await db.query(
+      'UPDATE schedules SET next_run_at = $2 WHERE id = $1',
+      [schedule.id, new Date(Date.now() - 60 * 1000)]
+    );
+    await scheduleService.tick();
+    const skipped = await scheduleService.getSchedule(schedule.id);
+
+    if (skipped.last_status === 'skipped' &&
+        skipped.skipped_runs === 1 &&
+        skipped.last_job_id === fired.last_job_id) {
+      console.log(`  PASS: Firing skipped - ${skipped.last_error}`);
+    } else {
+      console.log('  FAIL: Firing not skipped while the previous job was queued');
+    }
+
+    await ingestionJobService.cancelJob(fired.last_job_id);
+    await scheduleService.deleteSchedule(schedule.id);
+
+    try {
+      await scheduleService.createSchedule({ name: 'bad', cron: '61 * * * *', mode: 'bulk' });
+      console.log('  FAIL: Invalid cron expression accepted\n');
+    } catch (err) {
+      console.log(`  PASS: Invalid cron expression rejected - ${err.message}\n`);
+    }
+
+    // TEST 28: RUN LEDGER
+    console.log('TEST 28: Run Ledger');
+    console.log('─'.repeat(60));
+
+    const ledgerRun = await ingestionService.ingestRecords(bulkRecords, 'bulk', {
+      connector: connectorName
+    });
+    const ledger = await ingestionService.getRun(ledgerRun.runId, { limit: 1000 });
+    const skippedItems = await ingestionService.getRun(ledgerRun.runId, { action: 'skipped' });
+
+    console.log(`Run ${ledger.run.id}: ${ledger.pagination.total} items`);
+
+    const countOf = action => ledger.items.filter(item => item.action === action).length;
+
+    if (ledger.pagination.total === bulkRecords.length &&
+        countOf('inserted') === ledgerRun.recordsInserted &&
+        countOf('updated') === ledgerRun.recordsUpdated &&
+        skippedItems.pagination.total === ledgerRun.recordsSkipped &&
+        skippedItems.items.every(item => item.reason && item.hash_before === item.hash_after)) {
+      console.log('  PASS: Every record of the run is in the ledger with its action and hashes');
+    } else {
+      console.log('  FAIL: Ledger does not match the run totals');
+    }
+
+    try {
+      await ingestionService.getRun(2147483647);
+      console.log('  FAIL: Unknown run returned\n');
+    } catch (err) {
+      console.log(`  PASS: Unknown run rejected - ${err.message}\n`);
+    }
+
+    // TEST 29: RECORD SCHEMAS AND REFERENCE VOCABULARIES
+    console.log('TEST 29: Record Schemas and Reference Vocabularies');
+    console.log('─'.repeat(60));
+
+    await recordSchemaService.refreshReferenceData();
+
+    const schemaRecord = ingestionService.normalizeRecord({
+      source_key: 'TEST-RS-001',
+      published_at: '2026-01-28T10:00:00Z',
+      title: 'Schema Check',
+      entity_name_raw: 'Schema Test Co',
+      region: 'ZZ',
+      record_id: 'RS-1',
+      status: 'Aproved'
+    });
+    const schemaErrors = ingestionService.getValidationErrors(schemaRecord);
+    const ruleAt = pointer => (schemaErrors.find(error => error.path === pointer) || {}).rule;
+
+    if (ruleAt('/region') === 'reference:regions' && ruleAt('/status') === 'reference:statuses') {
+      console.log('  PASS: Unknown region and misspelled status rejected with path and rule');
+    } else {
+      console.log(`  FAIL: Unexpected schema errors: ${JSON.stringify(schemaErrors)}`);
+    }
+
+    await db.query("INSERT INTO region_statuses (region, status) VALUES ('WY', 'Permitted')");
+    await recordSchemaService.refreshReferenceData();
+
+    const wyoming = { ...schemaRecord, region: 'WY' };
+    const regionalOk = ingestionService.getValidationErrors({ ...wyoming, status: 'Permitted' }).length === 0;
+    const defaultRejected = ingestionService.getValidationErrors({ ...wyoming, status: 'Filed' }).length === 1;
+
+    await db.query("DELETE FROM region_statuses WHERE region = 'WY'");
+    await recordSchemaService.refreshReferenceData();
+
+    if (regionalOk && defaultRejected) {
+      console.log('  PASS: A region with its own statuses uses them instead of the default vocabulary');
+    } else {
+      console.log('  FAIL: Region-specific statuses not applied');
+    }
+
+    recordSchemaService.setSchema('test_strict', {
+      allOf: [{ $ref: 'default' }],
+      properties: { record_id: { type: 'string', pattern: '^RS-[0-9]+$' } }
+    });
+
+    const strictErrors = ingestionService.getValidationErrors(
+      { ...wyoming, status: 'Filed', record_id: 'rs1' },
+      'test_strict'
+    );
+    const defaultErrors = ingestionService.getValidationErrors({ ...wyoming, status: 'Filed', record_id: 'rs1' });
+
+    recordSchemaService.removeSchema('test_strict');
+
+    if (strictErrors.length === 1 && strictErrors[0].path === '/record_id' && defaultErrors.length === 0) {
+      console.log('  PASS: Source-specific schema adds its rules on top of the default');
+    } else {
+      console.log('  FAIL: Source-specific schema not applied');
+    }
+
+    // Numeric ids were accepted before record schemas, and still are
+    const numericResult = await ingestionService.ingestRecords(
+      [{ ...wyoming, source_key: 'TEST-RS-002', status: 'Filed', record_id: 4711 }],
+      'bulk',
+      { connector: connectorName }
+    );
+    const numericRow = (await db.query(
+      "SELECT record_id FROM records WHERE source_key = 'TEST-RS-002'"
+    )).rows[0];
+
+    if (numericResult.recordsInserted === 1 && numericRow && numericRow.record_id === '4711') {
+      console.log('  PASS: Record with a numeric record_id ingested');
+    } else {
+      console.log(`  FAIL: Numeric record_id not ingested (${JSON.stringify(numericRow)})`);
+    }
+    
+    // A numeric source_key matches its stored (text) record in set-based runs
+    // too (without falling back to row-by-row processing)
+    const numericKeyRecord = { ...wyoming, source_key: 4712, status: 'Filed', record_id: 'RS-3' };
+    await ingestionService.ingestRecords([numericKeyRecord], 'bulk', { connector: connectorName, setBased: true });
+    
+    let numericKeyResults = null;
+    try {
+      const { records: numericKeyPrepared } = ingestionService.prepareRecords(
+        [numericKeyRecord], null, true, 0, 'reject', connectorName
+      );
+      numericKeyResults = await db.transaction(client => ingestionService.processBatchSetBased(
+        client,
+        numericKeyPrepared,
+        ingestionService.buildSourceType('bulk', connectorName),
+        ingestionService.createMetrics()
+      ));
+    } catch (err) {
+      console.log(`Set-based re-run failed: ${err.message}`);
+    }
+    
+    if (numericKeyResults &&
+        numericKeyResults.length === 1 &&
+        numericKeyResults[0].action === 'skipped' &&
+        numericKeyResults[0].reason === 'unchanged') {
+      console.log('  PASS: Numeric source_key matched its stored record');
+    } else {
+      console.log(`  FAIL: Numeric source_key re-run: ${JSON.stringify(numericKeyResults)}`);
+    }
+    
+    // The shared vocabulary (no region) holds each status once
+    try {
+      await db.query("INSERT INTO region_statuses (region, status) VALUES (NULL, 'Filed')");
+      console.log('  FAIL: Duplicate shared status accepted\n');
+    } catch (err) {
+      console.log('  PASS: Duplicate shared status refused\n');
+    }
+
+    // TEST 30: STATUS LIFECYCLE
+    console.log('TEST 30: Canonical Status Lifecycle');
+    console.log('─'.repeat(60));
+
+    const lifecycleRecord = {
+      source_key: 'TEST-SL-001',
+      published_at: '2026-01-28T10:00:00Z',
+      title: 'Lifecycle Check',
+      entity_name_raw: 'Lifecycle Test Co',
+      region: 'WY',
+      record_id: 'SL-1',
+      status: 'Scheduled'
+    };
+
+    for (const status of ['Scheduled', 'Approved', 'Filed']) {
+      await ingestionService.ingestRecords(
+        [{ ...lifecycleRecord, status }],
+        'bulk',
+        { connector: connectorName }
+      );
+    }
+
+    const lifecycleRow = await db.query(
+      "SELECT id, status, canonical_status FROM records WHERE source_key = 'TEST-SL-001'"
+    );
+    const lifecycleId = lifecycleRow.rows[0].id;
+    const lifecycle = await statusLifecycleService.getTransitions({ recordId: lifecycleId });
+    const flaggedTransitions = await statusLifecycleService.getTransitions({
+      recordId: lifecycleId,
+      flagged: true
+    });
+
+    console.log(`Transitions: ${lifecycle.transitions.map(t => `${t.from_status} -> ${t.to_status}`).reverse().join(', ')}`);
+
+    if (lifecycleRow.rows[0].status === 'Filed' &&
+        lifecycleRow.rows[0].canonical_status === 'filed' &&
+        lifecycle.pagination.total === 3 &&
+        flaggedTransitions.pagination.total === 1 &&
+        flaggedTransitions.transitions[0].from_canonical === 'approved' &&
+        flaggedTransitions.transitions[0].flag === 'invalid_transition') {
+      console.log('  PASS: Raw status kept, every transition stored, Approved -> Filed flagged');
+    } else {
+      console.log('  FAIL: Status transitions not tracked as expected');
+    }
+
+    await statusLifecycleService.reviewTransition(flaggedTransitions.transitions[0].id);
+    const awaitingReview = await statusLifecycleService.getTransitions({
+      recordId: lifecycleId,
+      flagged: true,
+      reviewed: false
+    });
+
+    if (awaitingReview.pagination.total === 0) {
+      console.log('  PASS: Reviewed transition no longer awaits review');
+    } else {
+      console.log('  FAIL: Reviewed transition still awaits review');
+    }
+
+    statusLifecycleService.setMapping({ sources: { [connectorName]: { Permitted: 'approved' } } });
+    const sourceMapped = statusLifecycleService.canonicalize('PERMITTED', connectorName);
+    const otherSource = statusLifecycleService.canonicalize('Permitted', 'another_source');
+    statusLifecycleService.setMapping({});
+
+    if (sourceMapped === 'approved' && otherSource === null) {
+      console.log('  PASS: Per-source mapping applies to its own source only\n');
+    } else {
+      console.log('  FAIL: Per-source mapping not applied\n');
+    }
+
+    // TEST 31: RUN ROLLBACK
+    console.log('TEST 31: Run Rollback');
+    console.log('─'.repeat(60));
+
+    const rollbackRecord = {
+      source_key: 'TEST-RB-001',
+      published_at: '2026-01-28T10:00:00Z',
+      title: 'Rollback Check',
+      entity_name_raw: 'Rollback Test Co',
+      region: 'WY',
+      record_id: 'RB-1',
+      status: 'Pending'
+    };
+    const rollbackStatus = async () => (await db.query(
+      "SELECT status, content_hash FROM records WHERE source_key = 'TEST-RB-001'"
+    )).rows[0];
+
+    await ingestionService.ingestRecords([rollbackRecord], 'bulk', { connector: connectorName });
+    const goodState = await rollbackStatus();
+
+    // A "corrupted" run: changes the record and adds one that should not exist
+    const corruptRun = await ingestionService.ingestRecords([
+      { ...rollbackRecord, status: 'Rejected', title: 'Corrupted' },
+      { ...rollbackRecord, source_key: 'TEST-RB-002', record_id: 'RB-2' }
+    ], 'bulk', { connector: connectorName });
+
+    const rollback = await rollbackService.rollbackRun(corruptRun.runId);
+    const restoredState = await rollbackStatus();
+    const insertedLeft = await db.query("SELECT id FROM records WHERE source_key = 'TEST-RB-002'");
+
+    if (rollback.recordsRestored === 1 &&
+        rollback.recordsDeleted === 1 &&
+        restoredState.status === 'Pending' &&
+        restoredState.content_hash === goodState.content_hash &&
+        insertedLeft.rows.length === 0) {
+      console.log('  PASS: Updated record restored and inserted record deleted');
+    } else {
+      console.log(`  FAIL: Rollback did not restore the prior state (${JSON.stringify(rollback)})`);
+    }
+
+    try {
+      await rollbackService.rollbackRun(corruptRun.runId);
+      console.log('  FAIL: Run rolled back twice');
+    } catch (err) {
+      console.log(`  PASS: Second rollback refused - ${err.message}`);
+    }
+
+    const earlierRun = await ingestionService.ingestRecords(
+      [{ ...rollbackRecord, status: 'Approved' }],
+      'bulk',
+      { connector: connectorName }
+    );
+    await ingestionService.ingestRecords(
+      [{ ...rollbackRecord, status: 'Closed' }],
+      'bulk',
+      { connector: connectorName }
+    );
+
+    try {
+      await rollbackService.rollbackRun(earlierRun.runId);
+      console.log('  FAIL: Rollback over later changes was not refused');
+    } catch (err) {
+      console.log(`  PASS: Rollback over later changes refused - ${err.message}`);
+    }
+
+    const forced = await rollbackService.rollbackRun(earlierRun.runId, { force: true });
+
+    if (forced.forced && (await rollbackStatus()).status === 'Pending') {
+      console.log('  PASS: Forced rollback restored the state before the run\n');
+    } else {
+      console.log('  FAIL: Forced rollback did not restore the record\n');
+    }
+
+    // TEST 32: RECENT WINDOW AND WATERMARKS
+    console.log('TEST 32: Recent Window and Watermarks');
+    console.log('─'.repeat(60));
+
+    // A source of its own: earlier tests' recent runs moved the mock watermark
+    const watermarkConnector = 'wm_test';
+    const watermarkSource = watermarkService.sourceOf(watermarkConnector);
+    await db.query('DELETE FROM source_watermarks WHERE source = $1', [watermarkSource]);
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const watermarkRecord = (n, published) => ({
+      source_key: `TEST-WM-00${n}`,
+      published_at: published,
+      title: `Watermark Check ${n}`,
+      entity_name_raw: 'Watermark Test Co',
+      region: 'WY',
+      record_id: `WM-${n}`,
+      status: 'Filed',
+      source_cursor: `cursor-${n}`
+    });
+    const stale = watermarkRecord(1, hoursAgo(100));
+    const older = watermarkRecord(2, hoursAgo(10));
+    const newest = watermarkRecord(3, hoursAgo(5));
+
+    const firstWindow = await watermarkService.getWindow(watermarkSource, { hours: 24 });
+    const firstRun = await ingestionService.ingestRecords([stale, older, newest], 'recent', {
+      connector: watermarkConnector,
+      since: firstWindow.since
+    });
+    const reachedAt = (watermark) => watermark && new Date(watermark.published_at).getTime();
+
+    if (!firstWindow.fromWatermark &&
+        firstRun.recordsInserted === 2 &&
+        reachedAt(firstRun.watermark) === new Date(newest.published_at).getTime() &&
+        firstRun.watermark.cursor === 'cursor-3') {
+      console.log('  PASS: Window honored and watermark set to the newest record');
+    } else {
+      console.log(`  FAIL: Unexpected first recent run (${JSON.stringify(firstRun)})`);
+    }
+
+    const nextWindow = await watermarkService.getWindow(watermarkSource, { hours: 24 });
+    const latest = watermarkRecord(4, hoursAgo(1));
+
+    await ingestionService.ingestRecords([newest, latest], 'recent', {
+      connector: watermarkConnector,
+      since: nextWindow.since,
+      dryRun: true
+    });
+
+    try {
+      await ingestionService.ingestRecords([newest, latest], 'recent', {
+        connector: watermarkConnector,
+        since: nextWindow.since,
+        shouldCancel: () => true
+      });
+    } catch (err) {
+      // Cancelled: rolled back with its watermark
+    }
+
+    const untouched = await watermarkService.getWatermark(watermarkSource);
+
+    if (nextWindow.fromWatermark &&
+        nextWindow.since.getTime() === new Date(newest.published_at).getTime() &&
+        reachedAt(untouched) === reachedAt(firstRun.watermark)) {
+      console.log('  PASS: Next window starts at the watermark; dry and cancelled runs leave it');
+    } else {
+      console.log('  FAIL: Watermark moved without a committed run');
+    }
+
+    const secondRun = await ingestionService.ingestRecords([newest, latest], 'recent', {
+      connector: watermarkConnector,
+      since: nextWindow.since
+    });
+
+    // A manual re-pull of an older window never moves the watermark back
+    const repullWindow = await watermarkService.getWindow(
+      watermarkSource,
+      { hours: 24, ignoreWatermark: true }
+    );
+    const repull = await ingestionService.ingestRecords([older], 'recent', {
+      connector: watermarkConnector,
+      since: repullWindow.since
+    });
+    const emptyRun = await ingestionService.ingestRecords([], 'recent', {
+      connector: watermarkConnector,
+      since: nextWindow.since
+    });
+
+    if (secondRun.recordsInserted === 1 &&
+        secondRun.recordsSkipped === 1 &&
+        reachedAt(repull.watermark) === new Date(latest.published_at).getTime() &&
+        repull.watermark.cursor === 'cursor-4' &&
+        emptyRun.recordsFetched === 0) {
+      console.log('  PASS: Watermark advanced, kept by a re-pull, empty run accepted');
+    } else {
+      console.log(`  FAIL: Unexpected watermark after re-pull (${JSON.stringify(repull.watermark)})`);
+    }
+
+    const undone = await rollbackService.rollbackRun(secondRun.runId);
+    const restoredWatermark = await watermarkService.getWatermark(watermarkSource);
+
+    if (undone.watermarkReleased &&
+        reachedAt(restoredWatermark) === reachedAt(firstRun.watermark) &&
+        restoredWatermark.cursor === 'cursor-3' &&
+        restoredWatermark.run_id === firstRun.runId) {
+      console.log('  PASS: Rolling back the run that set the watermark restores the one it replaced');
+    } else {
+      console.log(`  FAIL: Watermark after rollback: ${JSON.stringify(restoredWatermark)}`);
+    }
+
+    // A record that fails to write holds the watermark back, so the next run retries it
+    const failingRecord = { ...watermarkRecord(5, hoursAgo(0.5)), region: 'REGION-TOO-LONG' };
+    const afterFailing = watermarkRecord(6, hoursAgo(0.25));
+    const failingRun = await ingestionService.ingestRecords([failingRecord, afterFailing], 'recent', {
+      connector: watermarkConnector,
+      since: (await watermarkService.getWindow(watermarkSource, { hours: 24 })).since,
+      validate: false
+    });
+
+    if (failingRun.recordsFailed === 1 &&
+        failingRun.recordsInserted === 1 &&
+        reachedAt(failingRun.watermark) === new Date(failingRecord.published_at).getTime() &&
+        failingRun.watermark.cursor !== 'cursor-6') {
+      console.log('  PASS: Watermark stops before a record that failed to write\n');
+    } else {
+      console.log(`  FAIL: Watermark passed a failed record (${JSON.stringify(failingRun.watermark)})\n`);
+    }
+
+    // TEST 33: INBOX DROPS
+    console.log('TEST 33: Inbox Drops');
+    console.log('─'.repeat(60));
+
+    const inboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbox-test-'));
+    const inboxCsv = [
+      'source_key,published_at,title,entity_name_raw,region,record_id,status,document_url',
+      'TEST-INBOX-001,2026-02-01T09:00:00Z,Inbox Permit,Inbox Test Co,WY,IN-1,Filed,',
+      'TEST-INBOX-002,2026-02-01T10:00:00Z,Inbox Permit 2,Inbox Test Co,WY,IN-2,Pending,'
+    ].join('\n');
+    // Dropped files are only picked up once they have settled
+    const dropFile = (name, content) => {
+      const filePath = path.join(inboxDir, name);
+      fs.writeFileSync(filePath, content);
+      const settled = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(filePath, settled, settled);
+    };
+
+    dropFile('permits-0201.csv', inboxCsv);
+    dropFile('broken.json', '{ "not": "an array" }');
+    dropFile('upload.csv.part', inboxCsv);
+
+    const firstScan = await inboxService.scan(inboxDir);
+    const dropped = firstScan.find(summary => summary.file === 'permits-0201.csv');
+    const droppedRun = dropped && (await db.query(
+      'SELECT source_file, source_checksum, records_inserted FROM ingestion_runs WHERE id = $1',
+      [dropped.runId]
+    )).rows[0];
+
+    if (dropped && dropped.status === 'processed' &&
+        droppedRun.source_file === 'permits-0201.csv' &&
+        droppedRun.source_checksum === dropped.checksum &&
+        droppedRun.records_inserted === 2 &&
+        fs.existsSync(path.join(inboxDir, 'processed', 'permits-0201.csv.run.json'))) {
+      console.log('  PASS: File ingested, run records its name and checksum, archived with sidecar');
+    } else {
+      console.log(`  FAIL: Dropped file not processed (${JSON.stringify(firstScan)})`);
+    }
+
+    const broken = firstScan.find(summary => summary.file === 'broken.json');
+
+    if (broken && broken.status === 'failed' &&
+        fs.existsSync(path.join(inboxDir, 'failed', 'broken.json.run.json')) &&
+        fs.existsSync(path.join(inboxDir, 'upload.csv.part'))) {
+      console.log(`  PASS: Unreadable file archived to failed/ - ${broken.error}`);
+    } else {
+      console.log('  FAIL: Broken file or partial upload mishandled');
+    }
+
+    // The same content dropped again (under any name) is not ingested twice
+    dropFile('permits-0201-resend.csv', inboxCsv);
+    const secondScan = await inboxService.scan(inboxDir);
+
+    if (secondScan.length === 1 &&
+        secondScan[0].status === 'duplicate' &&
+        secondScan[0].runId === dropped.runId) {
+      console.log('  PASS: Re-dropped file recognized by checksum');
+    } else {
+      console.log(`  FAIL: Re-dropped file not detected (${JSON.stringify(secondScan)})`);
+    }
+
+    // A crash leaves files in processing/: the watcher moves them back on start
+    dropFile(path.join('processing', 'permits-0201.csv'), inboxCsv);
+    dropFile(
+      path.join('processing', 'permits-0202.csv'),
+      inboxCsv.replace(/TEST-INBOX-00/g, 'TEST-INBOX-10')
+    );
+    const recovered = await inboxService.recoverProcessing(inboxDir);
+    const recoveredScan = await inboxService.scan(inboxDir);
+    const recoveredStatuses = recoveredScan.map(summary => `${summary.file}:${summary.status}`).sort();
+
+    if (recovered.length === 2 &&
+        fs.readdirSync(path.join(inboxDir, 'processing')).length === 0 &&
+        recoveredStatuses.join(',') === 'permits-0201.csv:duplicate,permits-0202.csv:processed') {
+      console.log('  PASS: Files stuck in processing/ recovered, ingested or recognized as duplicates\n');
+    } else {
+      console.log(`  FAIL: Stuck files not recovered (${JSON.stringify(recoveredScan)})\n`);
+    }
+
+    fs.rmSync(inboxDir, { recursive: true, force: true });
+
+    // TEST 34: HTTP CONNECTOR
+    console.log('TEST 34: HTTP Polling Connector (local stub server)');
+    console.log('─'.repeat(60));
+
+    const stubItems = [1, 2, 3].map(n => ({
+      source_key: `TEST-HTTP-00${n}`,
+      published_at: '2026-02-02T09:00:00Z',
+      title: `HTTP Permit ${n}`,
+      entity_name_raw: 'HTTP Test Co',
+      region: 'WY',
+      record_id: `HTTP-${n}`,
+      status: 'Filed'
+    }));
+    const stubCounts = { notModified: 0, flaky: 0 };
+    const stub = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://stub');
+      const send = (status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(body === undefined ? undefined : JSON.stringify(body));
+      };
+
+      if (url.pathname === '/paged') {
+        const page = parseInt(url.searchParams.get('page'));
+        const size = parseInt(url.searchParams.get('per_page'));
+        const etag = `"page-${page}"`;
+
+        if (req.headers['if-none-match'] === etag) {
+          stubCounts.notModified++;
+          return send(304);
+        }
+        return send(200, { data: stubItems.slice((page - 1) * size, page * size) }, { ETag: etag });
+      }
+
+      if (url.pathname === '/linked') {
+        const offset = parseInt(url.searchParams.get('from') || '0');
+        return send(200, {
+          data: stubItems.slice(offset, offset + 2),
+          links: { next: offset + 2 < stubItems.length ? `/linked?from=${offset + 2}` : null }
+        });
+      }
+
+      // Rate limited, then down, then fine
+      if (url.pathname === '/flaky') {
+        stubCounts.flaky++;
+        if (stubCounts.flaky === 1) {
+          return send(429, { error: 'slow down' }, { 'Retry-After': '0' });
+        }
+        if (stubCounts.flaky === 2) {
+          return send(503, { error: 'unavailable' });
+        }
+        return send(200, stubItems);
+      }
+
+      send(404, { error: 'not found' });
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    const stubUrl = `http://127.0.0.1:${stub.address().port}`;
+    const fastRetry = { baseDelayMs: 10, maxDelayMs: 50 };
+
+    try {
+      const paged = createHttpConnector({
+        bulkUrl: `${stubUrl}/paged`,
+        itemsPath: 'data',
+        pagination: { type: 'page', pageSize: 2 }
+      });
+      const firstPull = await paged.fetchBulk();
+      const secondPull = await paged.fetchBulk();
+
+      if (firstPull.length === 3 &&
+          secondPull.length === 3 &&
+          stubCounts.notModified === 2 &&
+          firstPull[0].source_key === 'TEST-HTTP-001' &&
+          firstPull[0].raw_json.title === 'HTTP Permit 1') {
+        console.log('  PASS: Pages followed, 304s replay unchanged pages');
+      } else {
+        console.log(`  FAIL: Paged pull returned ${firstPull.length}/${secondPull.length} records, ${stubCounts.notModified} 304s`);
+      }
+
+      // Recent runs move the window every time; pages are cached without it,
+      // and only the cacheSize most recently used are kept
+      const recentPull = async (cacheSize) => {
+        const recent = createHttpConnector({
+          bulkUrl: `${stubUrl}/paged`,
+          itemsPath: 'data',
+          pagination: { type: 'page', pageSize: 2 },
+          sinceParam: 'since',
+          cacheSize
+        });
+        const before = stubCounts.notModified;
+
+        await recent.fetchRecent(72, { since: '2026-02-01T00:00:00Z' });
+        const records = await recent.fetchRecent(72, { since: '2026-02-02T00:00:00Z' });
+
+        return { records: records.length, notModified: stubCounts.notModified - before };
+      };
+      const cachedRecent = await recentPull(2);
+      const boundedRecent = await recentPull(1);
+
+      if (cachedRecent.records === 3 && cachedRecent.notModified === 2 &&
+          boundedRecent.records === 3 && boundedRecent.notModified === 0) {
+        console.log('  PASS: Recent pulls reuse cached pages across windows; cache size bounded');
+      } else {
+        console.log(`  FAIL: Recent cache ${JSON.stringify(cachedRecent)}, bounded ${JSON.stringify(boundedRecent)}`);
+      }
+
+      const linked = await createHttpConnector({
+        bulkUrl: `${stubUrl}/linked`,
+        itemsPath: 'data',
+        pagination: { type: 'next', nextPath: 'links.next' }
+      }).fetchBulk();
+      const flaky = await createHttpConnector({
+        bulkUrl: `${stubUrl}/flaky`,
+        pagination: { type: 'offset', pageSize: 10 },
+        retry: fastRetry
+      }).fetchBulk();
+
+      if (linked.length === 3 && flaky.length === 3 && stubCounts.flaky === 3) {
+        console.log('  PASS: Next links followed; 429 and 503 retried with backoff');
+      } else {
+        console.log(`  FAIL: linked ${linked.length}, flaky ${flaky.length} after ${stubCounts.flaky} requests`);
+      }
+
+      try {
+        await createHttpConnector({ bulkUrl: `${stubUrl}/missing`, retry: fastRetry }).fetchBulk();
+        console.log('  FAIL: 404 did not fail the pull');
+      } catch (err) {
+        console.log(`  PASS: Non-retryable status fails at once - ${err.message}`);
+      }
+
+      const httpRun = await ingestionService.ingestRecords(
+        paged.streamBulk(),
+        'bulk',
+        { connector: 'stub_http' }
+      );
+
+      if (httpRun.recordsInserted === 3) {
+        console.log('  PASS: HTTP records ingested in the canonical shape\n');
+      } else {
+        console.log(`  FAIL: Ingested ${httpRun.recordsInserted} of 3 HTTP records\n`);
+      }
+    } finally {
+      stub.close();
+    }
+
+    // TEST 35: PUSH INGESTION
+    console.log('TEST 35: Push Ingestion (HMAC-signed)');
+    console.log('─'.repeat(60));
+
+    pushService.loadPartners('test_partner=s3cret');
+    const pushBody = Buffer.from(JSON.stringify([
+      {
+        source_key: 'TEST-PUSH-001',
+        published_at: '2026-02-02T09:00:00Z',
+        title: 'Pushed Permit',
+        entity_name_raw: 'Push Test Co',
+        region: 'WY',
+        record_id: 'PU-1',
+        status: 'Filed'
+      },
+      {
+        source_key: 'TEST-PUSH-002',
+        published_at: '2026-02-02T10:00:00Z',
+        title: 'Pushed Permit 2',
+        entity_name_raw: 'Push Test Co',
+        region: 'WY',
+        record_id: 'PU-2',
+        status: 'Pending'
+      }
+    ]));
+    const pushTimestamp = String(Math.floor(Date.now() / 1000));
+    const pushNonce = `test-${Date.now()}`;
+    const pushHeaders = {
+      partner: 'test_partner',
+      timestamp: pushTimestamp,
+      nonce: pushNonce,
+      signature: pushService.sign('s3cret', pushTimestamp, pushNonce, pushBody)
+    };
+
+    const rejectsPush = async (headers, body) => {
+      try {
+        await pushService.verify(headers, body);
+        return null;
+      } catch (err) {
+        return err.statusCode === 401 ? err.message : null;
+      }
+    };
+
+    const pushPartner = await pushService.verify(pushHeaders, pushBody);
+    const pushRun = await pushService.ingest(pushPartner, pushService.parseRecords(pushBody));
+    const pushedRows = (await db.query(
+      "SELECT last_source_type FROM records WHERE source_key LIKE 'TEST-PUSH-%'"
+    )).rows;
+
+    if (pushRun.recordsInserted === 2 &&
+        pushedRows.length === 2 &&
+        pushedRows.every(row => row.last_source_type === 'test_partner:push')) {
+      console.log('  PASS: Signed push ingested under "test_partner:push"');
+    } else {
+      console.log(`  FAIL: Push not ingested as expected (${JSON.stringify(pushedRows)})`);
+    }
+
+    const replayed = await rejectsPush(pushHeaders, pushBody);
+    const tampered = await rejectsPush(
+      { ...pushHeaders, nonce: `${pushNonce}-b` },
+      pushBody
+    );
+    const staleTimestamp = String(Math.floor(Date.now() / 1000) - 3600);
+    const stalePush = await rejectsPush(
+      {
+        ...pushHeaders,
+        timestamp: staleTimestamp,
+        nonce: `${pushNonce}-c`,
+        signature: pushService.sign('s3cret', staleTimestamp, `${pushNonce}-c`, pushBody)
+      },
+      pushBody
+    );
+
+    if (replayed && tampered && stalePush) {
+      console.log(`  PASS: Replayed nonce, bad signature and stale timestamp rejected - ${replayed}`);
+    } else {
+      console.log(`  FAIL: replay ${replayed}, bad signature ${tampered}, stale ${stalePush}`);
+    }
+
+    const ndjson = pushService.parseRecords(
+      Buffer.from('{"source_key":"A"}\n\n{"source_key":"B"}\n'),
+      'ndjson'
+    );
+
+    if (ndjson.length === 2 && ndjson[1].source_key === 'B') {
+      console.log('  PASS: NDJSON body parsed one record per line');
+    } else {
+      console.log(`  FAIL: NDJSON parsed as ${JSON.stringify(ndjson)}`);
+    }
+
+    const rejectsBody = (body, format) => {
+      try {
+        pushService.parseRecords(Buffer.from(body), format);
+        return false;
+      } catch (err) {
+        return err.statusCode === 400;
+      }
+    };
+
+    if (rejectsBody('[null]') && rejectsBody('[1]') && rejectsBody('[[]]') &&
+        rejectsBody('{"source_key":"A"}\nnull\n', 'ndjson')) {
+      console.log('  PASS: Records that are not JSON objects rejected with 400\n');
+    } else {
+      console.log('  FAIL: Non-object records were not rejected\n');
+    }
+
+    // TEST 36: FORMAT READERS
+    console.log('TEST 36: Format Readers (NDJSON, Atom, gzip, zip)');
+    console.log('─'.repeat(60));
+
+    const formatsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'formats-test-'));
+    const formatRow = (n) => ({
+      source_key: `TEST-FMT-00${n}`,
+      published_at: '2026-02-03T09:00:00Z',
+      title: `Format Permit ${n}`,
+      entity_name_raw: 'Format Test Co',
+      region: 'WY',
+      record_id: `FMT-${n}`,
+      status: 'Filed'
+    });
+    const formatNdjson = (...ns) => ns.map(n => JSON.stringify(formatRow(n))).join('\n');
+    const formatCsv = (n) => {
+      const row = formatRow(n);
+      return `${Object.keys(row).join(',')}\n${Object.values(row).join(',')}\n`;
+    };
+    // Minimal zip writer (the reader takes sizes from the central directory
+    // and does not check CRCs, so they are left 0)
+    const buildZip = (entries) => {
+      const parts = [];
+      const directory = [];
+      let offset = 0;
+
+      for (const { name, content, deflate } of entries) {
+        const data = deflate ? zlib.deflateRawSync(content) : Buffer.from(content);
+        const nameBuffer = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        const central = Buffer.alloc(46);
+
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(Buffer.byteLength(content), 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(Buffer.byteLength(content), 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        parts.push(local, nameBuffer, data);
+        directory.push(central, nameBuffer);
+        offset += 30 + nameBuffer.length + data.length;
+      }
+
+      const directoryBuffer = Buffer.concat(directory);
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(directoryBuffer.length, 12);
+      end.writeUInt32LE(offset, 16);
+
+      return Buffer.concat([...parts, directoryBuffer, end]);
+    };
+    const readKeys = async (name, options) => {
+      const keys = [];
+      for await (const record of formats.readRecords(path.join(formatsDir, name), options)) {
+        keys.push(record.source_key);
+      }
+      return keys.join(',');
+    };
+
+    fs.writeFileSync(path.join(formatsDir, 'notices.ndjson.gz'), zlib.gzipSync(`${formatNdjson(1, 2)}\n\n`));
+    fs.writeFileSync(path.join(formatsDir, 'download'), zlib.gzipSync(formatNdjson(3)));
+    fs.writeFileSync(path.join(formatsDir, 'permits.zip'), buildZip([
+      { name: 'permits/a.csv', content: formatCsv(6), deflate: true },
+      { name: 'permits/b.csv', content: formatCsv(7), deflate: false },
+      { name: 'README.txt', content: 'Daily permit extract', deflate: true }
+    ]));
+    fs.writeFileSync(path.join(formatsDir, 'feed.atom'), [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      '  <title>Notices</title>',
+      ...[4, 5].map(n => [
+        '  <entry>',
+        `    <id>TEST-FMT-00${n}</id>`,
+        `    <title>Notice ${n} &amp; Order</title>`,
+        '    <updated>2026-02-03T10:00:00Z</updated>',
+        `    <link rel="alternate" href="https://example.com/notices/${n}"/>`,
+        '    <author><name>Format Test Co</name></author>',
+        '    <summary><![CDATA[Status: <b>Filed</b>]]></summary>',
+        '  </entry>'
+      ].join('\n')),
+      '</feed>'
+    ].join('\n'));
+
+    const gzipKeys = await readKeys('notices.ndjson.gz');
+    const sniffedKeys = await readKeys('download');
+
+    if (gzipKeys === 'TEST-FMT-001,TEST-FMT-002' && sniffedKeys === 'TEST-FMT-003') {
+      console.log('  PASS: Gzipped NDJSON read by extension and by magic bytes');
+    } else {
+      console.log(`  FAIL: gzip read ${gzipKeys}, sniffed ${sniffedKeys}`);
+    }
+
+    const zipKeys = await readKeys('permits.zip');
+
+    if (zipKeys === 'TEST-FMT-006,TEST-FMT-007') {
+      console.log('  PASS: Zip entries read in order (deflated and stored), README skipped');
+    } else {
+      console.log(`  FAIL: Zip read ${zipKeys}`);
+    }
+
+    const atomConnector = connectors.createConfiguredConnector({
+      type: 'file',
+      bulkFile: path.join(formatsDir, 'feed.atom'),
+      fields: {
+        source_key: 'id',
+        record_id: 'id',
+        published_at: 'updated',
+        entity_name_raw: 'author.name',
+        document_url: 'link.href',
+        region: { value: 'WY' },
+        status: { value: 'Filed' }
+      }
+    });
+    const atomRecords = await atomConnector.fetchBulk();
+    const atomRecord = atomRecords[0] || {};
+
+    if (atomRecords.length === 2 &&
+        atomRecord.title === 'Notice 4 & Order' &&
+        atomRecord.entity_name_raw === 'Format Test Co' &&
+        atomRecord.document_url === 'https://example.com/notices/4' &&
+        atomRecord.region === 'WY' &&
+        atomRecord.raw_json.summary === 'Status: <b>Filed</b>') {
+      console.log('  PASS: Atom entries mapped to canonical fields from config');
+    } else {
+      console.log(`  FAIL: Atom mapped as ${JSON.stringify(atomRecords)}`);
+    }
+
+    const atomRun = await ingestionService.ingestRecords(
+      atomConnector.streamBulk(),
+      'bulk',
+      { connector: 'fmt_test' }
+    );
+
+    if (atomRun.recordsInserted === 2) {
+      console.log('  PASS: Configured file connector ingested');
+    } else {
+      console.log(`  FAIL: Ingested ${atomRun.recordsInserted} of 2 Atom records`);
+    }
+
+    // JSON is read as it arrives: a row comes out long before the end of the
+    // document is read (streams only buffer a little ahead)
+    const jsonChunks = [
+      `{"meta":{"data":[]},"data":[${JSON.stringify(formatRow(8))},`,
+      ...Array(8).fill(' '.repeat(64 * 1024)),
+      `${JSON.stringify(formatRow(9))}]}`
+    ];
+    let jsonChunksRead = 0;
+    const jsonRows = formats.readStream(
+      Readable.from((function* () {
+        for (const chunk of jsonChunks) {
+          jsonChunksRead++;
+          yield Buffer.from(chunk);
+        }
+      })(), { objectMode: false }),
+      'permits.json',
+      { itemsPath: 'data' }
+    );
+    const firstJsonRow = await jsonRows.next();
+    const chunksBeforeFirstRow = jsonChunksRead;
+    const restJsonRows = [];
+    for await (const row of jsonRows) {
+      restJsonRows.push(row);
+    }
+
+    if (firstJsonRow.value.source_key === 'TEST-FMT-008' &&
+        chunksBeforeFirstRow < jsonChunks.length / 2 &&
+        restJsonRows.length === 1 &&
+        restJsonRows[0].source_key === 'TEST-FMT-009') {
+      console.log('  PASS: JSON array at itemsPath streamed one row at a time');
+    } else {
+      console.log(`  FAIL: JSON stream gave ${JSON.stringify(firstJsonRow.value)} after ${chunksBeforeFirstRow} chunks`);
+    }
+
+    fs.writeFileSync(path.join(formatsDir, 'notes.txt'), 'not records');
+
+    try {
+      await readKeys('notes.txt');
+      console.log('  FAIL: Unsupported file read\n');
+    } catch (err) {
+      console.log(`  PASS: Unsupported file rejected - ${err.message}\n`);
+    }
+
+    fs.rmSync(formatsDir, { recursive: true, force: true });
+
     // FINAL SUMMARY
     console.log('╔═══════════════════════════════════════════════════════╗');
     console.log('║                   TEST SUMMARY                        ║');
@@ -4,6 +4,8 @@
  */
 
 const db = require('./database');
+const entityNameService = require('./entityNames');
+const entityService = require('./entities');
 const { 
   ValidationError, 
   BusinessLogicError, 
@@ -12,6 +14,7 @@ const {
   DatabaseError
 } = require('./errors');
 
+const ACTION_TYPES = ['insert', 'update', 'withdrawn'];
 
 class AlertsService {
   constructor() {
@@ -147,6 +150,13 @@ class AlertsService {
       throw new ValidationError('region must be a 2-letter uppercase code');
     }
 
+    // Match the normalization applied to records ("Acme Energy, LLC" -> "acme energy")
+    const entityName = entityNameNorm;
+    if (entityNameNorm) {
+      await entityNameService.loadAliases(executor);
+      entityNameNorm = entityNameService.normalize(entityNameNorm);
+    }
+
     // Check user exists and get plan
     const plan = await this.getUserPlan(userId, executor);
 
@@ -160,13 +170,18 @@ class AlertsService {
       );
     }
 
+    // Link the rule to the entity so it follows merges
+    const entityId = entityNameNorm
+      ? await entityService.resolveEntity(entityNameNorm, entityName, executor)
+      : null;
+
     // Create the alert rule
     try {
       const result = await executor.query(
-        `INSERT INTO alert_rules (user_id, entity_name_norm, region)
-        VALUES ($1, $2, $3)
+        `INSERT INTO alert_rules (user_id, entity_name_norm, region, entity_id)
+        VALUES ($1, $2, $3, $4)
         RETURNING *`,
-        [userId, entityNameNorm, region]
+        [userId, entityNameNorm, region, entityId]
       );
 
       // Invalidate cache
@@ -187,19 +202,38 @@ class AlertsService {
     }
   }
 
+  /**
+   * Find alert rules matching a record's entity and region. Rules linked to an
+   * entity match by id; rules without one fall back to the normalized name.
+   */
+  async findMatchingRules(entityId, entityNameNorm, region, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `SELECT id, user_id FROM alert_rules 
+       WHERE (entity_name_norm IS NULL
+              OR entity_id = $1
+              OR (entity_id IS NULL AND entity_name_norm = $2))
+         AND (region IS NULL OR region = $3)`,
+      [entityId, entityNameNorm, region]
+    );
+
+    return result.rows;
+  }
+
   /**
    * Check and trigger alerts for a record (optimized with caching)
    */
   async checkAndTriggerAlerts(recordId, actionType, client = null) {
     const executor = client ?? db;
     
-    if (!['insert', 'update'].includes(actionType)) {
-      throw new ValidationError('actionType must be either "insert" or "update"');
+    if (!ACTION_TYPES.includes(actionType)) {
+      throw new ValidationError('actionType must be one of "insert", "update" or "withdrawn"');
     }
 
     // Get record details
     const recordResult = await executor.query(
-      'SELECT entity_name_norm, region FROM records WHERE id = $1',
+      'SELECT entity_id, entity_name_norm, region FROM records WHERE id = $1',
       [recordId]
     );
 
@@ -211,26 +245,26 @@ class AlertsService {
     const record = recordResult.rows[0];
 
     // Find matching alert rules (optimized query)
-    const alertsResult = await executor.query(
-      `SELECT id, user_id FROM alert_rules 
-       WHERE (entity_name_norm IS NULL OR entity_name_norm = $1)
-         AND (region IS NULL OR region = $2)`,
-      [record.entity_name_norm, record.region]
+    const rules = await this.findMatchingRules(
+      record.entity_id,
+      record.entity_name_norm,
+      record.region,
+      executor
     );
 
-    if (alertsResult.rows.length === 0) {
+    if (rules.length === 0) {
       return { triggered: 0 };
     }
 
     // Batch insert alert logs
-    const alertLogValues = alertsResult.rows
+    const alertLogValues = rules
       .map((alert, index) => {
         const offset = index * 3;
         return `($${offset + 1}, $${offset + 2}, $${offset + 3})`;
       })
       .join(', ');
 
-    const alertLogParams = alertsResult.rows.flatMap(alert => [
+    const alertLogParams = rules.flatMap(alert => [
       alert.id,
       recordId,
       actionType
@@ -242,7 +276,7 @@ class AlertsService {
       alertLogParams
     );
 
-    const triggeredCount = alertsResult.rows.length;
+    const triggeredCount = rules.length;
     
     console.log(
       `Triggered ${triggeredCount} alert(s) for record ${recordId} (${actionType})`
@@ -250,10 +284,49 @@ class AlertsService {
 
     return { 
       triggered: triggeredCount,
-      alertIds: alertsResult.rows.map(a => a.id)
+      alertIds: rules.map(a => a.id)
     };
   }
 
+  /**
+   * Check and trigger alerts for many records with one set-based query
+   */
+  async checkAndTriggerAlertsBulk(recordIds, actionType, client = null) {
+    const executor = client ?? db;
+
+    if (!ACTION_TYPES.includes(actionType)) {
+      throw new ValidationError('actionType must be one of "insert", "update" or "withdrawn"');
+    }
+
+    if (recordIds.length === 0) {
+      return { triggered: 0 };
+    }
+
+    const result = await executor.query(
+      `INSERT INTO alert_logs (alert_rule_id, record_id, action_type)
+       SELECT ar.id, r.id, $2
+       FROM records r
+       JOIN alert_rules ar
+         ON (ar.entity_name_norm IS NULL
+             OR ar.entity_id = r.entity_id
+             OR (ar.entity_id IS NULL AND ar.entity_name_norm = r.entity_name_norm))
+        AND (ar.region IS NULL OR ar.region = r.region)
+       WHERE r.id = ANY($1::int[])
+       RETURNING alert_rule_id`,
+      [recordIds, actionType]
+    );
+
+    const triggeredCount = result.rows.length;
+
+    if (triggeredCount > 0) {
+      console.log(
+        `Triggered ${triggeredCount} alert(s) for ${recordIds.length} record(s) (${actionType})`
+      );
+    }
+
+    return { triggered: triggeredCount };
+  }
+
   /**
    * Get all alert rules for a user
    */
@@ -312,8 +385,8 @@ class AlertsService {
     }
 
     if (actionType) {
-      if (!['insert', 'update'].includes(actionType)) {
-        throw new ValidationError('actionType must be either "insert" or "update"');
+      if (!ACTION_TYPES.includes(actionType)) {
+        throw new ValidationError('actionType must be one of "insert", "update" or "withdrawn"');
       }
       conditions.push(`al.action_type = $${paramIndex++}`);
       params.push(actionType);
@@ -425,7 +498,8 @@ class AlertsService {
          COUNT(DISTINCT ar.id) as total_rules,
          COUNT(al.id) as total_triggers,
          COUNT(CASE WHEN al.action_type = 'insert' THEN 1 END) as insert_triggers,
-         COUNT(CASE WHEN al.action_type = 'update' THEN 1 END) as update_triggers
+         COUNT(CASE WHEN al.action_type = 'update' THEN 1 END) as update_triggers,
+         COUNT(CASE WHEN al.action_type = 'withdrawn' THEN 1 END) as withdrawn_triggers
        FROM alert_rules ar
        LEFT JOIN alert_logs al ON ar.id = al.alert_rule_id
        WHERE ar.user_id = $1`,
@@ -449,7 +523,8 @@ class AlertsService {
       triggers: {
         total: parseInt(stats.total_triggers),
         inserts: parseInt(stats.insert_triggers),
-        updates: parseInt(stats.update_triggers)
+        updates: parseInt(stats.update_triggers),
+        withdrawals: parseInt(stats.withdrawn_triggers)
       }
     };
   }
@@ -135,37 +135,58 @@ class DatabaseService {
 
   /**
    * Get a client for transaction management
+   * Its query() logs slow queries and wraps errors in DatabaseError while it
+   * is checked out; release() puts pg's own query() back, so pool.query()
+   * (which passes a callback) works on the client afterwards
    */
   async getClient() {
     if (!this.pool) {
       await this.initialize();
     }
 
+    let client;
     try {
-      const client = await this.pool.connect();
-      
-      // Add query method to client for consistency
-      const originalQuery = client.query.bind(client);
-      client.query = async (text, params) => {
-        const startTime = Date.now();
-        try {
-          const result = await originalQuery(text, params);
+      client = await this.pool.connect();
+    } catch (error) {
+      throw new DatabaseError(`Failed to get database client: ${error.message}`, error);
+    }
+
+    const originalQuery = client.query;
+    const originalRelease = client.release;
+
+    client.query = function query(text, params, callback) {
+      // Callback and submittable (e.g. COPY stream) calls go to pg unchanged
+      if (typeof params === 'function' || typeof callback === 'function' ||
+          (text && typeof text.submit === 'function')) {
+        return originalQuery.apply(client, arguments);
+      }
+
+      const startTime = Date.now();
+
+      return originalQuery.call(client, text, params).then(
+        (result) => {
           const duration = Date.now() - startTime;
-          
+
           if (duration > 1000) {
-            console.warn(`Slow transaction query (${duration}ms):`, text.substring(0, 100));
+            const sql = typeof text === 'string' ? text : text.text;
+            console.warn(`Slow transaction query (${duration}ms):`, String(sql).substring(0, 100));
           }
-          
+
           return result;
-        } catch (error) {
+        },
+        (error) => {
           throw new DatabaseError(`Transaction query failed: ${error.message}`, error);
         }
-      };
+      );
+    };
 
-      return client;
-    } catch (error) {
-      throw new DatabaseError(`Failed to get database client: ${error.message}`, error);
-    }
+    client.release = function release(...args) {
+      client.query = originalQuery;
+      client.release = originalRelease;
+      return originalRelease.apply(client, args);
+    };
+
+    return client;
   }
 
   /**
@@ -174,6 +195,18 @@ class DatabaseService {
   async transaction(callback) {
     const client = await this.getClient();
     
+    try {
+      return await this.transactionOn(client, callback);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Execute function within a transaction on a client the caller holds
+   * (e.g. one keeping a session-level lock across several transactions)
+   */
+  async transactionOn(client, callback) {
     try {
       await client.query('BEGIN');
       const result = await callback(client);
@@ -182,8 +215,28 @@ class DatabaseService {
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
-    } finally {
-      client.release();
+    }
+  }
+
+  /**
+   * Execute function within a savepoint of an already open transaction.
+   * On error only the work since the savepoint is rolled back, so the
+   * outer transaction stays usable.
+   */
+  async withSavepoint(client, name, callback) {
+    if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+      throw new DatabaseError(`Invalid savepoint name: ${name}`);
+    }
+
+    await client.query(`SAVEPOINT ${name}`);
+
+    try {
+      const result = await callback(client);
+      await client.query(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (error) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+      throw error;
     }
   }
 
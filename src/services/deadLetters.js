@@ -0,0 +1,215 @@
+/**
+ * Dead Letter Service
+ * Stores records that failed to ingest so they can be inspected and replayed
+ */
+
+const db = require('./database');
+const { ValidationError } = require('./errors');
+
+class DeadLetterService {
+  /**
+   * Store a failed record. A record that is already pending for the same
+   * source is updated in place and its attempt count incremented.
+   * @param {string} reason - 'failed' (processing error) or 'invalid' (quarantined)
+   * @param {Object[]} errors - full validation error list ({ path, rule, message }), if any
+   */
+  async recordFailure(
+    { runId = null, sourceType, record, error, reason = 'failed', errors = null },
+    client = null
+  ) {
+    const executor = client ?? db;
+    const errorClass = error.name || 'Error';
+
+    const existing = await executor.query(
+      `SELECT id FROM dead_letters
+       WHERE source_key = $1 AND source_type = $2 AND status = 'pending'
+       ORDER BY id DESC
+       LIMIT 1`,
+      [record.source_key || null, sourceType]
+    );
+
+    if (existing.rows.length > 0) {
+      const result = await executor.query(
+        `UPDATE dead_letters SET
+           run_id = $2,
+           payload = $3,
+           error_class = $4,
+           error_message = $5,
+           reason = $6,
+           errors = $7,
+           attempts = attempts + 1,
+           last_attempt_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          existing.rows[0].id,
+          runId,
+          JSON.stringify(record),
+          errorClass,
+          error.message,
+          reason,
+          errors ? JSON.stringify(errors) : null
+        ]
+      );
+
+      return result.rows[0];
+    }
+
+    const result = await executor.query(
+      `INSERT INTO dead_letters
+       (run_id, source_key, source_type, payload, error_class, error_message, reason, errors)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        runId,
+        record.source_key || null,
+        sourceType,
+        JSON.stringify(record),
+        errorClass,
+        error.message,
+        reason,
+        errors ? JSON.stringify(errors) : null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get dead letters with pagination and filtering
+   */
+  async getDeadLetters(options = {}, client = null) {
+    const executor = client ?? db;
+
+    const {
+      status = null,
+      reason = null,
+      runId = null,
+      sourceType = null,
+      limit = 50,
+      offset = 0
+    } = options;
+
+    if (limit > 100) {
+      throw new ValidationError('Limit cannot exceed 100');
+    }
+
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      if (!['pending', 'replayed'].includes(status)) {
+        throw new ValidationError('status must be either "pending" or "replayed"');
+      }
+      conditions.push(`status = $${paramIndex++}`);
+      params.push(status);
+    }
+
+    if (reason) {
+      if (!['failed', 'invalid'].includes(reason)) {
+        throw new ValidationError('reason must be either "failed" or "invalid"');
+      }
+      conditions.push(`reason = $${paramIndex++}`);
+      params.push(reason);
+    }
+
+    if (runId) {
+      conditions.push(`run_id = $${paramIndex++}`);
+      params.push(runId);
+    }
+
+    if (sourceType) {
+      conditions.push(`source_type = $${paramIndex++}`);
+      params.push(sourceType);
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const result = await executor.query(
+      `SELECT * FROM dead_letters
+       ${whereClause}
+       ORDER BY last_attempt_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await executor.query(
+      `SELECT COUNT(*) as total FROM dead_letters ${whereClause}`,
+      params
+    );
+
+    return {
+      deadLetters: result.rows,
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(countResult.rows[0].total)
+      }
+    };
+  }
+
+  /**
+   * Load pending dead letters by id (locked for the replay transaction)
+   */
+  async getPendingByIds(ids, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `SELECT * FROM dead_letters
+       WHERE id = ANY($1::int[]) AND status = 'pending'
+       ORDER BY id
+       FOR UPDATE`,
+      [ids]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Mark a dead letter as successfully replayed
+   */
+  async markReplayed(id, client = null) {
+    const executor = client ?? db;
+
+    await executor.query(
+      `UPDATE dead_letters SET
+         status = 'replayed',
+         attempts = attempts + 1,
+         last_attempt_at = NOW(),
+         resolved_at = NOW()
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /**
+   * Record another failed attempt for a dead letter
+   */
+  async markAttemptFailed(id, error, client = null) {
+    const executor = client ?? db;
+
+    await executor.query(
+      `UPDATE dead_letters SET
+         error_class = $2,
+         error_message = $3,
+         errors = COALESCE($4, errors),
+         attempts = attempts + 1,
+         last_attempt_at = NOW()
+       WHERE id = $1`,
+      [
+        id,
+        error.name || 'Error',
+        error.message,
+        error.errors && error.errors.length > 0 ? JSON.stringify(error.errors) : null
+      ]
+    );
+  }
+}
+
+// Export singleton instance
+const deadLetterService = new DeadLetterService();
+
+module.exports = deadLetterService;
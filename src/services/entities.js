@@ -0,0 +1,410 @@
+/**
+ * Entity Service
+ * Canonical entities behind entity_name_norm: records and alert rules link to
+ * an entity id, new names get fuzzy (trigram) match candidates, and admins
+ * merge or split entities
+ */
+
+const db = require('./database');
+const { ValidationError, BusinessLogicError, NotFoundError } = require('./errors');
+
+const CANDIDATE_STATUSES = ['pending', 'merged', 'rejected'];
+
+class EntityService {
+  constructor() {
+    // Minimum trigram similarity for a match candidate (pg_trgm, 0..1)
+    this.matchThreshold = parseFloat(process.env.ENTITY_MATCH_THRESHOLD || '0.5');
+    this.maxCandidates = 5;
+  }
+
+  /**
+   * Find the entity a normalized name belongs to (following merges), or null
+   */
+  async findEntityId(nameNorm, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT id, merged_into_id FROM entities WHERE name_norm = $1',
+      [nameNorm]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return result.rows[0].merged_into_id ?? result.rows[0].id;
+  }
+
+  /**
+   * Get the entity id for a normalized name, creating the entity (and
+   * proposing match candidates for it) the first time the name is seen
+   * @param {string} name - display name for a new entity (first raw name seen)
+   */
+  async resolveEntity(nameNorm, name, client = null) {
+    const executor = client ?? db;
+
+    const existingId = await this.findEntityId(nameNorm, executor);
+    if (existingId !== null) {
+      return existingId;
+    }
+
+    const created = await executor.query(
+      `INSERT INTO entities (name, name_norm)
+       VALUES ($1, $2)
+       ON CONFLICT (name_norm) DO NOTHING
+       RETURNING id`,
+      [name || nameNorm, nameNorm]
+    );
+
+    // Created concurrently by another transaction
+    if (created.rows.length === 0) {
+      return await this.findEntityId(nameNorm, executor);
+    }
+
+    const entityId = created.rows[0].id;
+    await this.proposeCandidates(entityId, nameNorm, executor);
+
+    return entityId;
+  }
+
+  /**
+   * Resolve the entities of many records at once
+   * @returns {Map<string, number>} name_norm -> entity id
+   */
+  async resolveEntities(records, client = null) {
+    const executor = client ?? db;
+    const names = new Map();
+
+    for (const record of records) {
+      if (!names.has(record.entity_name_norm)) {
+        names.set(record.entity_name_norm, record.entity_name_raw);
+      }
+    }
+
+    const existing = await executor.query(
+      `SELECT name_norm, COALESCE(merged_into_id, id) AS entity_id
+       FROM entities
+       WHERE name_norm = ANY($1::text[])`,
+      [[...names.keys()]]
+    );
+
+    const entityIds = new Map(existing.rows.map(row => [row.name_norm, row.entity_id]));
+
+    for (const [nameNorm, name] of names) {
+      if (!entityIds.has(nameNorm)) {
+        entityIds.set(nameNorm, await this.resolveEntity(nameNorm, name, executor));
+      }
+    }
+
+    return entityIds;
+  }
+
+  /**
+   * Record the most similar existing entities as match candidates for review
+   */
+  async proposeCandidates(entityId, nameNorm, client = null) {
+    const executor = client ?? db;
+
+    // `%` lets the trigram index prefilter (pg_trgm.similarity_threshold, 0.3)
+    const result = await executor.query(
+      `INSERT INTO entity_match_candidates (entity_id, candidate_entity_id, similarity)
+       SELECT $1::int, e.id, similarity(e.name_norm, $2)
+       FROM entities e
+       WHERE e.id <> $1
+         AND e.merged_into_id IS NULL
+         AND e.name_norm % $2
+         AND similarity(e.name_norm, $2) >= $3
+       ORDER BY similarity(e.name_norm, $2) DESC
+       LIMIT $4
+       ON CONFLICT (entity_id, candidate_entity_id) DO NOTHING
+       RETURNING candidate_entity_id`,
+      [entityId, nameNorm, this.matchThreshold, this.maxCandidates]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`Entity "${nameNorm}" has ${result.rows.length} possible match(es) to review`);
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * List entities (not merged away), optionally filtered by name
+   */
+  async getEntities(options = {}, client = null) {
+    const executor = client ?? db;
+    const { search = null, limit = 50, offset = 0 } = options;
+
+    if (limit > 100) {
+      throw new ValidationError('Limit cannot exceed 100');
+    }
+
+    const params = search ? [`%${search.toLowerCase()}%`] : [];
+    const whereClause = search
+      ? 'WHERE e.merged_into_id IS NULL AND e.name_norm LIKE $1'
+      : 'WHERE e.merged_into_id IS NULL';
+
+    const result = await executor.query(
+      `SELECT e.*,
+              (SELECT COUNT(*) FROM records r WHERE r.entity_id = e.id) AS record_count
+       FROM entities e
+       ${whereClause}
+       ORDER BY e.name_norm
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await executor.query(
+      `SELECT COUNT(*) as total FROM entities e ${whereClause}`,
+      params
+    );
+
+    return {
+      entities: result.rows.map(row => ({ ...row, record_count: parseInt(row.record_count) })),
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(countResult.rows[0].total)
+      }
+    };
+  }
+
+  /**
+   * Get one entity with the entities merged into it and its usage
+   */
+  async getEntity(entityId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(entityId)) {
+      throw new ValidationError('entityId must be a valid integer');
+    }
+
+    const result = await executor.query('SELECT * FROM entities WHERE id = $1', [entityId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Entity', entityId);
+    }
+
+    const merged = await executor.query(
+      'SELECT id, name, name_norm, updated_at FROM entities WHERE merged_into_id = $1 ORDER BY name_norm',
+      [entityId]
+    );
+
+    const usage = await executor.query(
+      `SELECT
+         (SELECT COUNT(*) FROM records WHERE entity_id = $1) AS record_count,
+         (SELECT COUNT(*) FROM alert_rules WHERE entity_id = $1) AS alert_rule_count`,
+      [entityId]
+    );
+
+    return {
+      ...result.rows[0],
+      mergedEntities: merged.rows,
+      recordCount: parseInt(usage.rows[0].record_count),
+      alertRuleCount: parseInt(usage.rows[0].alert_rule_count)
+    };
+  }
+
+  /**
+   * List fuzzy match candidates with both entity names
+   */
+  async getCandidates(options = {}, client = null) {
+    const executor = client ?? db;
+    const { status = 'pending', limit = 50, offset = 0 } = options;
+
+    if (!CANDIDATE_STATUSES.includes(status)) {
+      throw new ValidationError('status must be one of "pending", "merged" or "rejected"');
+    }
+
+    if (limit > 100) {
+      throw new ValidationError('Limit cannot exceed 100');
+    }
+
+    const result = await executor.query(
+      `SELECT c.*,
+              e.name AS entity_name, e.name_norm AS entity_name_norm,
+              ce.name AS candidate_name, ce.name_norm AS candidate_name_norm
+       FROM entity_match_candidates c
+       JOIN entities e ON e.id = c.entity_id
+       JOIN entities ce ON ce.id = c.candidate_entity_id
+       WHERE c.status = $1
+       ORDER BY c.similarity DESC, c.id
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Dismiss a match candidate
+   */
+  async rejectCandidate(candidateId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(candidateId)) {
+      throw new ValidationError('candidateId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      `UPDATE entity_match_candidates
+       SET status = 'rejected', resolved_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [candidateId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Pending match candidate', candidateId);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Validate a list of entity ids
+   */
+  validateEntityIds(entityIds, field) {
+    if (!Array.isArray(entityIds) || entityIds.length === 0) {
+      throw new ValidationError(`${field} must be a non-empty array`, field);
+    }
+
+    if (!entityIds.every(Number.isInteger)) {
+      throw new ValidationError(`${field} must be integers`, field);
+    }
+  }
+
+  /**
+   * Merge entities into a target: their records and alert rules are
+   * re-pointed and their names resolve to the target from now on
+   */
+  async mergeEntities(targetId, sourceIds, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(targetId)) {
+      throw new ValidationError('entityId must be a valid integer');
+    }
+    this.validateEntityIds(sourceIds, 'sourceIds');
+
+    if (sourceIds.includes(targetId)) {
+      throw new ValidationError('Cannot merge an entity into itself', 'sourceIds');
+    }
+
+    const entities = await executor.query(
+      'SELECT id, merged_into_id FROM entities WHERE id = ANY($1::int[]) FOR UPDATE',
+      [[targetId, ...sourceIds]]
+    );
+    const byId = new Map(entities.rows.map(row => [row.id, row]));
+
+    for (const id of [targetId, ...sourceIds]) {
+      if (!byId.has(id)) {
+        throw new NotFoundError('Entity', id);
+      }
+      if (byId.get(id).merged_into_id !== null) {
+        throw new BusinessLogicError(
+          `Entity ${id} is already merged into entity ${byId.get(id).merged_into_id}`
+        );
+      }
+    }
+
+    const records = await executor.query(
+      'UPDATE records SET entity_id = $1 WHERE entity_id = ANY($2::int[])',
+      [targetId, sourceIds]
+    );
+
+    const rules = await executor.query(
+      'UPDATE alert_rules SET entity_id = $1 WHERE entity_id = ANY($2::int[])',
+      [targetId, sourceIds]
+    );
+
+    // Entities merged into a source earlier now point at the target directly
+    await executor.query(
+      `UPDATE entities SET merged_into_id = $1, updated_at = NOW()
+       WHERE id = ANY($2::int[]) OR merged_into_id = ANY($2::int[])`,
+      [targetId, sourceIds]
+    );
+
+    await executor.query(
+      `UPDATE entity_match_candidates SET status = 'merged', resolved_at = NOW()
+       WHERE status = 'pending'
+         AND ((entity_id = ANY($2::int[]) AND candidate_entity_id = $1)
+           OR (candidate_entity_id = ANY($2::int[]) AND entity_id = $1))`,
+      [targetId, sourceIds]
+    );
+
+    console.log(`Merged entities ${sourceIds.join(', ')} into entity ${targetId}`);
+
+    return {
+      entityId: targetId,
+      mergedIds: sourceIds,
+      recordsRepointed: records.rowCount,
+      alertRulesRepointed: rules.rowCount
+    };
+  }
+
+  /**
+   * Undo merges: entities previously merged into `entityId` become separate
+   * again and take back the records and alert rules carrying their name
+   */
+  async splitEntities(entityId, splitIds, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(entityId)) {
+      throw new ValidationError('entityId must be a valid integer');
+    }
+    this.validateEntityIds(splitIds, 'entityIds');
+
+    const entities = await executor.query(
+      'SELECT id, merged_into_id FROM entities WHERE id = ANY($1::int[]) FOR UPDATE',
+      [splitIds]
+    );
+    const byId = new Map(entities.rows.map(row => [row.id, row]));
+
+    for (const id of splitIds) {
+      if (!byId.has(id)) {
+        throw new NotFoundError('Entity', id);
+      }
+      if (byId.get(id).merged_into_id !== entityId) {
+        throw new BusinessLogicError(`Entity ${id} is not merged into entity ${entityId}`);
+      }
+    }
+
+    await executor.query(
+      `UPDATE entities SET merged_into_id = NULL, updated_at = NOW()
+       WHERE id = ANY($1::int[])`,
+      [splitIds]
+    );
+
+    const records = await executor.query(
+      `UPDATE records r SET entity_id = e.id
+       FROM entities e
+       WHERE e.id = ANY($2::int[])
+         AND r.entity_id = $1
+         AND r.entity_name_norm = e.name_norm`,
+      [entityId, splitIds]
+    );
+
+    const rules = await executor.query(
+      `UPDATE alert_rules ar SET entity_id = e.id
+       FROM entities e
+       WHERE e.id = ANY($2::int[])
+         AND ar.entity_id = $1
+         AND ar.entity_name_norm = e.name_norm`,
+      [entityId, splitIds]
+    );
+
+    console.log(`Split entities ${splitIds.join(', ')} from entity ${entityId}`);
+
+    return {
+      entityId,
+      splitIds,
+      recordsRepointed: records.rowCount,
+      alertRulesRepointed: rules.rowCount
+    };
+  }
+}
+
+// Export singleton instance
+const entityService = new EntityService();
+
+module.exports = entityService;
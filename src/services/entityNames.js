@@ -0,0 +1,304 @@
+/**
+ * Entity Name Service
+ * Normalizes raw entity names so spelling variants of the same company
+ * ("Acme Energy LLC", "ACME ENERGY, L.L.C.") share one entity_name_norm,
+ * with an admin-managed alias table for variants rules cannot catch
+ */
+
+const db = require('./database');
+const entityService = require('./entities');
+const recordHistoryService = require('./recordHistory');
+const { ValidationError, BusinessLogicError, NotFoundError } = require('./errors');
+
+// Trailing legal-form tokens dropped from names (after punctuation removal)
+const LEGAL_SUFFIXES = new Set([
+  'llc',
+  'pllc',
+  'inc',
+  'incorporated',
+  'corp',
+  'corporation',
+  'co',
+  'company',
+  'lp',
+  'llp',
+  'lllp',
+  'ltd',
+  'limited',
+  'plc'
+]);
+
+class EntityNameService {
+  constructor() {
+    this.aliases = new Map(); // alias_norm -> canonical_norm
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.lastCacheUpdate = null;
+  }
+
+  /**
+   * Rule-based normalization: unicode folding, case, punctuation,
+   * whitespace and legal suffixes (no alias lookup)
+   */
+  applyRules(raw) {
+    const tokens = String(raw ?? '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')         // strip accents (é -> e)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’.]/g, '')          // L.L.C. -> llc, O'Neil -> oneil
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean);
+
+    // Drop trailing suffixes ("Acme Holdings Co Inc", "Smith & Co"), but
+    // never the whole name
+    while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) {
+      tokens.pop();
+
+      if (tokens.length > 1 && tokens[tokens.length - 1] === 'and') {
+        tokens.pop();
+      }
+    }
+
+    return tokens.join(' ');
+  }
+
+  /**
+   * Normalize a raw entity name using the rules and the cached alias table.
+   * Call loadAliases() first to pick up recent alias changes.
+   */
+  normalize(raw) {
+    const name = this.applyRules(raw);
+    return this.aliases.get(name) || name;
+  }
+
+  /**
+   * Load the alias table into memory
+   */
+  async refreshAliases(client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT alias_norm, canonical_norm FROM entity_aliases'
+    );
+
+    this.aliases = new Map(result.rows.map(row => [row.alias_norm, row.canonical_norm]));
+    this.lastCacheUpdate = Date.now();
+  }
+
+  /**
+   * Refresh the alias cache if it is stale
+   */
+  async loadAliases(client = null) {
+    const cacheAge = this.lastCacheUpdate
+      ? Date.now() - this.lastCacheUpdate
+      : Infinity;
+
+    if (cacheAge > this.cacheTimeout) {
+      await this.refreshAliases(client);
+    }
+  }
+
+  /**
+   * List aliases
+   */
+  async getAliases(client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT * FROM entity_aliases ORDER BY canonical_norm, alias_norm'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Map an entity name variant to a canonical name. Both sides are stored
+   * rule-normalized; chains (alias -> alias -> name) are refused so a lookup
+   * is always one hop.
+   */
+  async createAlias(alias, canonicalName, client = null) {
+    const executor = client ?? db;
+
+    if (!alias || typeof alias !== 'string' || alias.length > 255) {
+      throw new ValidationError('alias must be a string of at most 255 characters', 'alias');
+    }
+
+    if (!canonicalName || typeof canonicalName !== 'string' || canonicalName.length > 255) {
+      throw new ValidationError(
+        'canonicalName must be a string of at most 255 characters',
+        'canonicalName'
+      );
+    }
+
+    const aliasNorm = this.applyRules(alias);
+    const canonicalNorm = this.applyRules(canonicalName);
+
+    if (!aliasNorm || !canonicalNorm) {
+      throw new ValidationError('alias and canonicalName must contain letters or digits');
+    }
+
+    if (aliasNorm === canonicalNorm) {
+      throw new ValidationError(
+        `"${alias}" already normalizes to "${canonicalNorm}"; no alias needed`,
+        'alias'
+      );
+    }
+
+    const conflicts = await executor.query(
+      `SELECT alias_norm, canonical_norm FROM entity_aliases
+       WHERE alias_norm = $1 OR alias_norm = $2 OR canonical_norm = $1`,
+      [aliasNorm, canonicalNorm]
+    );
+
+    for (const row of conflicts.rows) {
+      if (row.alias_norm === aliasNorm) {
+        throw new BusinessLogicError(
+          `Alias "${aliasNorm}" already maps to "${row.canonical_norm}"`
+        );
+      }
+      if (row.alias_norm === canonicalNorm) {
+        throw new BusinessLogicError(
+          `"${canonicalNorm}" is itself an alias of "${row.canonical_norm}"; use that name`
+        );
+      }
+      throw new BusinessLogicError(
+        `"${aliasNorm}" is the canonical name of other aliases; remove them first`
+      );
+    }
+
+    const result = await executor.query(
+      `INSERT INTO entity_aliases (alias, alias_norm, canonical_name, canonical_norm)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [alias, aliasNorm, canonicalName, canonicalNorm]
+    );
+
+    // Invalidate cache
+    this.lastCacheUpdate = null;
+
+    console.log(`Entity alias created: "${aliasNorm}" -> "${canonicalNorm}"`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete an alias
+   */
+  async deleteAlias(aliasId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(aliasId)) {
+      throw new ValidationError('aliasId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      'DELETE FROM entity_aliases WHERE id = $1 RETURNING *',
+      [aliasId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Entity alias', aliasId);
+    }
+
+    // Invalidate cache
+    this.lastCacheUpdate = null;
+
+    console.log(`Entity alias deleted: id=${aliasId}`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Re-apply normalization to stored records and alert rules (after the
+   * rules or the alias table change) and re-link them to their entities,
+   * filling in entity links that are missing. Works through records in id
+   * order, batchSize at a time, one transaction per batch; the prior state of
+   * each changed record is kept in its history.
+   * Content hashes are left alone: they cover source fields only.
+   * @returns {{ recordsScanned, recordsUpdated, alertRulesUpdated }}
+   */
+  async renormalizeRecords(batchSize = 500) {
+    await this.refreshAliases();
+
+    let lastId = 0;
+    let recordsScanned = 0;
+    let recordsUpdated = 0;
+
+    while (true) {
+      const result = await db.query(
+        `SELECT id, entity_name_raw, entity_name_norm, entity_id FROM records
+         WHERE id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [lastId, batchSize]
+      );
+
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      const changed = result.rows
+        .map(row => ({ ...row, to: this.normalize(row.entity_name_raw) }))
+        .filter(row => row.entity_name_norm !== row.to || row.entity_id === null);
+
+      if (changed.length > 0) {
+        await db.transaction(async (client) => {
+          const entityIds = await entityService.resolveEntities(
+            changed.map(row => ({ entity_name_norm: row.to, entity_name_raw: row.entity_name_raw })),
+            client
+          );
+
+          await recordHistoryService.snapshotRecords(changed.map(row => row.id), null, client);
+
+          await client.query(
+            `UPDATE records r SET entity_name_norm = v.norm, entity_id = v.entity_id,
+               updated_at = NOW()
+             FROM unnest($1::int[], $2::text[], $3::int[]) AS v(id, norm, entity_id)
+             WHERE r.id = v.id`,
+            [
+              changed.map(row => row.id),
+              changed.map(row => row.to),
+              changed.map(row => entityIds.get(row.to))
+            ]
+          );
+        });
+      }
+
+      recordsScanned += result.rows.length;
+      recordsUpdated += changed.length;
+      lastId = result.rows[result.rows.length - 1].id;
+
+      console.log(`Re-normalized ${recordsScanned} records (${recordsUpdated} changed)`);
+    }
+
+    // Alert rules hold normalized names too; normalizing them again is stable
+    const rules = await db.query(
+      'SELECT id, entity_name_norm, entity_id FROM alert_rules WHERE entity_name_norm IS NOT NULL'
+    );
+    const changedRules = rules.rows
+      .map(row => ({ ...row, to: this.normalize(row.entity_name_norm) }))
+      .filter(row => row.entity_name_norm !== row.to || row.entity_id === null);
+
+    for (const rule of changedRules) {
+      const entityId = await entityService.resolveEntity(rule.to, rule.entity_name_norm);
+
+      await db.query(
+        'UPDATE alert_rules SET entity_name_norm = $2, entity_id = $3 WHERE id = $1',
+        [rule.id, rule.to, entityId]
+      );
+    }
+
+    return {
+      recordsScanned,
+      recordsUpdated,
+      alertRulesUpdated: changedRules.length
+    };
+  }
+}
+
+// Export singleton instance
+const entityNameService = new EntityNameService();
+
+module.exports = entityNameService;
@@ -25,9 +25,10 @@ class BaseError extends Error {
 }
 
 class ValidationError extends BaseError {
-  constructor(message, field = null) {
+  constructor(message, field = null, errors = []) {
     super(message, 400);
     this.field = field;
+    this.errors = errors;
   }
 }
 
@@ -52,6 +53,12 @@ class BusinessLogicError extends BaseError {
   }
 }
 
+class AuthenticationError extends BaseError {
+  constructor(message = 'Authentication failed') {
+    super(message, 401);
+  }
+}
+
 class AuthorizationError extends BaseError {
   constructor(message = 'Unauthorized access') {
     super(message, 403);
@@ -69,6 +76,21 @@ class NotFoundError extends BaseError {
   }
 }
 
+class CancelledError extends BaseError {
+  constructor(message = 'Operation cancelled') {
+    super(message, 409);
+  }
+}
+
+class SourceLockedError extends BaseError {
+  constructor(source, runId = null) {
+    const holder = runId ? `ingestion run ${runId}` : 'another ingestion run';
+    super(`Source "${source}" is locked by ${holder}`, 409);
+    this.source = source;
+    this.runId = runId;
+  }
+}
+
 class RateLimitError extends BaseError {
   constructor(limit, window) {
     super(`Rate limit exceeded: ${limit} requests per ${window}`, 429);
@@ -101,6 +123,7 @@ function errorHandler(err, req, res, next) {
     error: {
       message: err.isOperational ? err.message : 'Internal server error',
       code: err.name,
+      ...(err instanceof SourceLockedError && { runId: err.runId }),
       ...(isDevelopment && { details: err.toJSON() })
     }
   });
@@ -120,8 +143,11 @@ module.exports = {
   ValidationError,
   DatabaseError,
   BusinessLogicError,
+  AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  CancelledError,
+  SourceLockedError,
   RateLimitError,
   errorHandler,
   asyncHandler
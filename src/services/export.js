@@ -33,7 +33,7 @@ async function canExport(userId, client = null) {
 /**
  * Export records to CSV
  * @param {number} userId - User ID
- * @param {Object} filters - Optional filters (entity_name_norm, region, date_from, date_to)
+ * @param {Object} filters - Optional filters (entity_name_norm, entity_id, region, date_from, date_to)
  * @param {Object} client - Database client (optional)
  * @returns {Promise<string>} CSV string
  */
@@ -49,36 +49,45 @@ async function exportToCSV(userId, filters = {}, client = null) {
     );
   }
   
-  // Build query with filters
-  let query = 'SELECT * FROM records WHERE 1=1';
+  // Build query with filters (canonical entity name joined in)
+  let query = `SELECT r.*, e.name AS entity_name
+    FROM records r
+    LEFT JOIN entities e ON e.id = r.entity_id
+    WHERE 1=1`;
   const params = [];
   let paramIndex = 1;
   
   if (filters.entity_name_norm) {
-    query += ` AND entity_name_norm = $${paramIndex}`;
+    query += ` AND r.entity_name_norm = $${paramIndex}`;
     params.push(filters.entity_name_norm);
     paramIndex++;
   }
   
+  if (filters.entity_id) {
+    query += ` AND r.entity_id = $${paramIndex}`;
+    params.push(filters.entity_id);
+    paramIndex++;
+  }
+  
   if (filters.region) {
-    query += ` AND region = $${paramIndex}`;
+    query += ` AND r.region = $${paramIndex}`;
     params.push(filters.region);
     paramIndex++;
   }
   
   if (filters.date_from) {
-    query += ` AND published_at >= $${paramIndex}`;
+    query += ` AND r.published_at >= $${paramIndex}`;
     params.push(filters.date_from);
     paramIndex++;
   }
   
   if (filters.date_to) {
-    query += ` AND published_at <= $${paramIndex}`;
+    query += ` AND r.published_at <= $${paramIndex}`;
     params.push(filters.date_to);
     paramIndex++;
   }
   
-  query += ' ORDER BY published_at DESC';
+  query += ' ORDER BY r.published_at DESC';
   
   // Execute query
   const result = await executor.query(query, params);
@@ -95,6 +104,8 @@ async function exportToCSV(userId, filters = {}, client = null) {
     'title',
     'entity_name_raw',
     'entity_name_norm',
+    'entity_id',
+    'entity_name',
     'region',
     'record_id',
     'status',
@@ -0,0 +1,333 @@
+/**
+ * Inbox Service
+ * Watches the directory regulators drop files into (INBOX_DIR, e.g. the SFTP
+ * landing directory) from inside the API server and ingests each new file
+ * once, identified by its SHA-256 checksum. A file is claimed by moving it to
+ * processing/, then archived to processed/ or failed/ next to a sidecar
+ * "<file>.run.json" holding the run summary. Files a crashed server left in
+ * processing/ go back to the inbox when the watcher starts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const inboxConnector = require('../../connectors/inbox_connector');
+const db = require('./database');
+const ingestionService = require('./ingestion');
+
+const SUBDIRECTORIES = ['processing', 'processed', 'failed'];
+
+// Hidden files and uploads still in progress (SFTP clients write under a
+// temporary name, then rename)
+const PARTIAL_FILE_PATTERN = /^\.|\.(part|partial|tmp|filepart)$/i;
+
+class InboxService {
+  constructor() {
+    this.dir = process.env.INBOX_DIR
+      ? path.resolve(process.cwd(), process.env.INBOX_DIR)
+      : null;
+    this.connector = process.env.INBOX_CONNECTOR || 'inbox';
+    this.onInvalid = process.env.INBOX_ON_INVALID || 'reject';
+    this.pollInterval = parseInt(process.env.INBOX_POLL_INTERVAL_MS || '30000');
+    // A file modified more recently than this may still be being written
+    this.settleMs = parseInt(process.env.INBOX_SETTLE_MS || '5000');
+    this.timer = null;
+    this.active = null; // promise of the scan while it runs
+    this.stopping = true;
+    this.recoverOnScan = false; // set by start(): the first scan recovers processing/
+  }
+
+  /**
+   * Create the inbox and its archive directories if missing
+   */
+  ensureDirectories(dir) {
+    for (const sub of ['', ...SUBDIRECTORIES]) {
+      fs.mkdirSync(path.join(dir, sub), { recursive: true });
+    }
+  }
+
+  /**
+   * SHA-256 of a file's contents
+   */
+  async checksum(filePath) {
+    const hash = crypto.createHash('sha256');
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Files waiting in the inbox, oldest first
+   */
+  async listPending(dir = this.dir, now = Date.now()) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || PARTIAL_FILE_PATTERN.test(entry.name)) {
+        continue;
+      }
+
+      const { mtimeMs } = await fs.promises.stat(path.join(dir, entry.name));
+
+      if (mtimeMs <= now - this.settleMs) {
+        files.push({ name: entry.name, mtimeMs });
+      }
+    }
+
+    return files
+      .sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name))
+      .map(file => file.name);
+  }
+
+  /**
+   * Latest run that ingested a file with this checksum
+   * @param {boolean} completedOnly - only runs that completed and were not
+   *   rolled back (the file counts as ingested)
+   */
+  async findRun(checksum, completedOnly = false, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `SELECT id, source_file, error FROM ingestion_runs
+       WHERE source_checksum = $1
+         ${completedOnly ? 'AND completed AND rolled_back_at IS NULL' : ''}
+       ORDER BY id DESC
+       LIMIT 1`,
+      [checksum]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move files left in processing/ (by a server that stopped mid-ingest) back
+   * to the inbox. They are ingested again, or archived as duplicates when
+   * their run had completed; a name taken in the inbox gets a timestamp suffix
+   * @returns {string[]} inbox names of the recovered files
+   */
+  async recoverProcessing(dir = this.dir) {
+    this.ensureDirectories(dir);
+
+    const entries = await fs.promises.readdir(path.join(dir, 'processing'), { withFileTypes: true });
+    const recovered = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile()) {
+        continue;
+      }
+
+      let name = entry.name;
+
+      if (fs.existsSync(path.join(dir, name))) {
+        const extension = path.extname(name);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        name = `${path.basename(name, extension)}.${stamp}${extension}`;
+      }
+
+      await fs.promises.rename(path.join(dir, 'processing', entry.name), path.join(dir, name));
+      recovered.push(name);
+    }
+
+    if (recovered.length > 0) {
+      console.log(`Inbox: ${recovered.length} file(s) left in processing/ moved back to the inbox`);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Ingest one file from the inbox and archive it
+   * @returns {Object|null} the sidecar summary, null when another process
+   *   claimed the file first
+   */
+  async processFile(name, dir = this.dir) {
+    const processingPath = path.join(dir, 'processing', name);
+
+    // Renaming is atomic: of several servers watching the inbox, one wins
+    try {
+      await fs.promises.rename(path.join(dir, name), processingPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const checksum = await this.checksum(processingPath);
+    const summary = {
+      file: name,
+      checksum,
+      connector: this.connector,
+      startedAt: new Date().toISOString()
+    };
+
+    const ingested = await this.findRun(checksum, true);
+
+    if (ingested) {
+      return this.archive(dir, name, 'processed', {
+        ...summary,
+        status: 'duplicate',
+        runId: ingested.id,
+        duplicateOf: ingested.source_file
+      });
+    }
+
+    try {
+      const result = await ingestionService.ingestRecords(
+        inboxConnector.streamFile(processingPath),
+        'bulk',
+        {
+          connector: this.connector,
+          onInvalid: this.onInvalid,
+          waitForLock: true,
+          sourceFile: { name, checksum }
+        }
+      );
+
+      return this.archive(dir, name, 'processed', {
+        ...summary,
+        status: 'processed',
+        runId: result.runId,
+        result
+      });
+    } catch (error) {
+      const run = await this.findRun(checksum);
+
+      return this.archive(dir, name, 'failed', {
+        ...summary,
+        status: 'failed',
+        runId: run ? run.id : null,
+        error: error.message,
+        errors: error.errors || undefined
+      });
+    }
+  }
+
+  /**
+   * Move a claimed file to processed/ or failed/ and write its sidecar
+   * (a file of the same name archived earlier is kept; the new one gets a
+   * timestamp suffix)
+   */
+  async archive(dir, name, outcome, summary) {
+    const extension = path.extname(name);
+    let target = path.join(dir, outcome, name);
+
+    if (fs.existsSync(target)) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      target = path.join(dir, outcome, `${path.basename(name, extension)}.${stamp}${extension}`);
+    }
+
+    await fs.promises.rename(path.join(dir, 'processing', name), target);
+
+    const sidecar = {
+      ...summary,
+      archivedAs: path.relative(dir, target),
+      finishedAt: new Date().toISOString()
+    };
+    await fs.promises.writeFile(`${target}.run.json`, JSON.stringify(sidecar, null, 2));
+
+    console.log(`Inbox file ${name}: ${summary.status}` +
+      (summary.runId ? ` (run ${summary.runId})` : ''));
+
+    return sidecar;
+  }
+
+  /**
+   * Ingest every file waiting in the inbox, one after another
+   * @param {Function} shouldStop - checked before each file
+   * @returns {Object[]} sidecar summaries of the files processed
+   */
+  async scan(dir = this.dir, shouldStop = () => false) {
+    this.ensureDirectories(dir);
+
+    const summaries = [];
+
+    for (const name of await this.listPending(dir)) {
+      if (shouldStop()) {
+        break;
+      }
+
+      const summary = await this.processFile(name, dir);
+
+      if (summary) {
+        summaries.push(summary);
+      }
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Schedule the next scan
+   */
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      const recovery = this.recoverOnScan
+        ? this.recoverProcessing(this.dir).then(() => { this.recoverOnScan = false; })
+        : Promise.resolve();
+
+      this.timer = null;
+      this.active = recovery
+        .then(() => this.scan(this.dir, () => this.stopping))
+        .catch(error => console.error('Inbox watcher error:', error.message))
+        .finally(() => {
+          this.active = null;
+          if (!this.stopping) {
+            this.schedule(this.pollInterval);
+          }
+        });
+    }, delay);
+  }
+
+  /**
+   * Start watching the inbox (no-op unless INBOX_DIR is set)
+   */
+  start() {
+    if (!this.dir || !this.stopping) {
+      return;
+    }
+
+    this.stopping = false;
+    this.recoverOnScan = true;
+    this.schedule(0);
+    console.log(`Inbox watcher started (${this.dir}, checking every ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * Stop watching; the file being ingested is finished and archived first
+   */
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.active) {
+      await this.active;
+    }
+  }
+
+  /**
+   * Watcher state for health checks
+   */
+  getStats() {
+    return {
+      enabled: this.dir !== null,
+      running: !this.stopping,
+      dir: this.dir,
+      connector: this.connector,
+      pollInterval: this.pollInterval
+    };
+  }
+}
+
+// Export singleton instance
+const inboxService = new InboxService();
+
+module.exports = inboxService;
@@ -4,9 +4,90 @@
  */
 
 const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const connectors = require('../../connectors');
 const db = require('./database');
 const alertService = require('./alerts');
-const { ValidationError, DatabaseError, BusinessLogicError } = require('./errors');
+const deadLetterService = require('./deadLetters');
+const recordHistoryService = require('./recordHistory');
+const tombstoneService = require('./tombstones');
+const entityNameService = require('./entityNames');
+const entityService = require('./entities');
+const precedenceService = require('./precedence');
+const sourceLockService = require('./sourceLocks');
+const runItemService = require('./runItems');
+const recordSchemaService = require('./recordSchemas');
+const statusLifecycleService = require('./statusLifecycle');
+const watermarkService = require('./watermarks');
+const {
+  ValidationError,
+  DatabaseError,
+  BusinessLogicError,
+  NotFoundError,
+  CancelledError,
+  SourceLockedError
+} = require('./errors');
+
+// push: records sent to POST /api/ingest/push by a partner
+const SOURCE_MODES = ['bulk', 'recent', 'push'];
+const ON_INVALID_MODES = ['reject', 'quarantine'];
+const CONNECTOR_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+// Per-record results returned by a dry run (counts always cover every record)
+const DRY_RUN_MAX_ITEMS = 1000;
+
+// Options stored on commitPerBatch runs and reapplied when they are resumed
+const RESUMABLE_OPTIONS = [
+  'batchSize',
+  'validate',
+  'onInvalid',
+  'setBased',
+  'reconcile',
+  'tombstoneThreshold'
+];
+
+// Dry-run plan action -> metrics counter
+const PLAN_METRICS = {
+  insert: 'inserted',
+  update: 'updated',
+  skip: 'skipped',
+  error: 'failed',
+  invalid: 'invalid'
+};
+
+// Column order used for COPY into the staging table
+const STAGING_COLUMNS = [
+  'source_key',
+  'published_at',
+  'title',
+  'entity_name_raw',
+  'entity_name_norm',
+  'entity_id',
+  'region',
+  'record_id',
+  'status',
+  'canonical_status',
+  'document_url',
+  'raw_json',
+  'content_hash'
+];
+
+/**
+ * Encode a value for COPY ... FROM STDIN (text format)
+ */
+function toCopyValue(value) {
+  if (value === null || value === undefined) {
+    return '\\N';
+  }
+
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
 
 class IngestionService {
   constructor() {
@@ -19,69 +100,58 @@ class IngestionService {
   }
 
   /**
-   * Validate record against schema
+   * Validate record against its source's schema (see recordSchemas)
+   * @param {string} connector - source of the record (null: default schema)
+   * @returns {{ path: string, rule: string, message: string }[]} every problem
+   *   found (empty when valid)
    */
-  validateRecord(record, index) {
-    const requiredFields = [
-      'source_key',
-      'published_at',
-      'title',
-      'entity_name_raw',
-      'entity_name_norm',
-      'region',
-      'record_id',
-      'status'
-    ];
-
-    const errors = [];
-
-    for (const field of requiredFields) {
-      // MINIMAL CHANGE: avoid treating empty string as missing if you want;
-      // but keeping your original strict check is fine. Keeping as-is:
-      if (!record[field]) {
-        errors.push(`Missing required field: ${field}`);
-      }
-    }
-
-    // Validate data types and formats
-    if (record.source_key && record.source_key.length > 255) {
-      errors.push('source_key exceeds maximum length of 255 characters');
-    }
-
-    if (record.published_at) {
-      const date = new Date(record.published_at);
-      if (isNaN(date.getTime())) {
-        errors.push('published_at is not a valid ISO 8601 date');
-      }
-    }
+  getValidationErrors(record, connector = null) {
+    return recordSchemaService.validate(record, connector);
+  }
 
-    if (record.region && !/^[A-Z]{2}$/.test(record.region)) {
-      errors.push('region must be a 2-letter uppercase code');
-    }
+  /**
+   * Validate record against schema, throwing on the first invalid record
+   */
+  validateRecord(record, index, connector = null) {
+    const errors = this.getValidationErrors(record, connector);
 
     if (errors.length > 0) {
       throw new ValidationError(
-        `Record at index ${index} validation failed: ${errors.join(', ')}`
+        `Record at index ${index} validation failed: ${this.describeErrors(errors)}`,
+        null,
+        errors
       );
     }
 
     return true;
   }
 
+  /**
+   * One-line summary of validation errors
+   */
+  describeErrors(errors) {
+    return errors.map(error => error.message).join(', ');
+  }
+
   /**
    * Generate deterministic content hash
+   * Only source fields go in: entity_name_norm is derived (normalization rules,
+   * aliases), and re-normalizing must not make unchanged records look changed.
+   * published_at goes in as ISO 8601, so the hash of a stored row (see
+   * rehashRecords) matches the hash of the record it was written from.
    */
   generateContentHash(record) {
+    const publishedAt = new Date(record.published_at);
+
     const contentFields = {
       source_key: record.source_key,
 
       // MINIMAL CHANGE (IMPORTANT): include published_at in hash
       // so changes to timestamp are detected consistently.
-      published_at: record.published_at,
+      published_at: isNaN(publishedAt.getTime()) ? record.published_at : publishedAt.toISOString(),
 
       title: record.title,
       entity_name_raw: record.entity_name_raw,
-      entity_name_norm: record.entity_name_norm,
       region: record.region,
       record_id: record.record_id,
       status: record.status,
@@ -100,26 +170,83 @@ class IngestionService {
       .digest('hex');
   }
 
+  /**
+   * Build the stored source type for a run ("<connector>:<mode>", or just the
+   * mode when no connector is named, which is how older rows were written)
+   */
+  buildSourceType(mode, connectorName = null) {
+    return connectorName ? `${connectorName}:${mode}` : mode;
+  }
+
+  /**
+   * Split a stored source type into connector and mode
+   */
+  parseSourceType(sourceType) {
+    if (!sourceType) {
+      return { connector: null, mode: null };
+    }
+
+    const separator = sourceType.lastIndexOf(':');
+    if (separator === -1) {
+      return { connector: null, mode: sourceType };
+    }
+
+    return {
+      connector: sourceType.slice(0, separator),
+      mode: sourceType.slice(separator + 1)
+    };
+  }
+
+  /**
+   * Source types the records of a connector's source may carry: every mode
+   * of every writer of its logical source (see sourceLocks.writersOf), plus
+   * the bare modes older rows have (written before source types named the
+   * connector), which belong to the default connector
+   */
+  sourceTypesOf(connectorName = null) {
+    const writers = connectorName
+      ? sourceLockService.writersOf(sourceLockService.sourceOf(connectorName))
+      : [];
+    const sourceTypes = writers.flatMap(writer =>
+      SOURCE_MODES.map(mode => this.buildSourceType(mode, writer))
+    );
+
+    if (!connectorName || writers.includes(connectors.getDefaultConnectorName())) {
+      sourceTypes.push(...SOURCE_MODES);
+    }
+
+    return sourceTypes;
+  }
+
   /**
    * Process a single record with upsert logic
+   * @param {number} runId - ingestion run writing the record (null for replays)
    */
-  async processRecord(client, record, sourceType, metrics) {
+  async processRecord(client, record, sourceType, metrics, runId = null) {
     const contentHash = this.generateContentHash(record);
 
     // MINIMAL CHANGE (BUG FIX): also select last_source_type (needed for precedence)
     const existingRecord = await client.query(
-      'SELECT id, content_hash, last_source_type FROM records WHERE source_key = $1',
+      `SELECT id, content_hash, last_source_type, status, canonical_status,
+              COALESCE(last_source_at, updated_at) AS last_source_at
+       FROM records WHERE source_key = $1`,
       [record.source_key]
     );
 
     if (existingRecord.rows.length === 0) {
+      const entityId = await entityService.resolveEntity(
+        record.entity_name_norm,
+        record.entity_name_raw,
+        client
+      );
+
       // Insert new record
       const result = await client.query(
         `INSERT INTO records 
          (source_key, published_at, title, entity_name_raw, entity_name_norm, 
           region, record_id, status, document_url, raw_json, content_hash,
-          last_source_type)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          last_source_type, last_run_id, entity_id, canonical_status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
          RETURNING id`,
         [
           record.source_key,
@@ -133,29 +260,92 @@ class IngestionService {
           record.document_url || null,
           JSON.stringify(record.raw_json || {}),
           contentHash,
-          sourceType
+          sourceType,
+          runId,
+          entityId,
+          record.canonical_status ?? null
         ]
       );
 
       metrics.inserted++;
 
+      await statusLifecycleService.recordTransitions(
+        [this.buildTransition(result.rows[0].id, null, record, sourceType, runId)],
+        client
+      );
+
       // Trigger alerts with correct parameter order: recordId, actionType, client
       await alertService.checkAndTriggerAlerts(result.rows[0].id, 'insert', client);
 
-      return { action: 'inserted', recordId: result.rows[0].id };
+      return {
+        action: 'inserted',
+        recordId: result.rows[0].id,
+        hashBefore: null,
+        hashAfter: contentHash
+      };
     } else {
       // MINIMAL CHANGE (BUG FIX): your code referenced `existing` which doesn't exist
       const existingRow = existingRecord.rows[0];
 
-      // MINIMAL CHANGE (REQUIRED): precedence rule
-      // bulk is master, recent must not override bulk
-      if (sourceType === 'recent' && existingRow.last_source_type === 'bulk') {
-        metrics.skipped++;
-        return { action: 'skipped', recordId: existingRow.id };
+      // Precedence applies only to changes from a different source
+      if (existingRow.content_hash !== contentHash && existingRow.last_source_type !== sourceType) {
+        const decision = precedenceService.decide(
+          { sourceType: existingRow.last_source_type, sourceAt: existingRow.last_source_at },
+          sourceType
+        );
+
+        await precedenceService.recordDecisions([{
+          runId,
+          recordId: existingRow.id,
+          sourceKey: record.source_key,
+          incomingSourceType: sourceType,
+          existingSourceType: existingRow.last_source_type,
+          incomingHash: contentHash,
+          decision
+        }], client);
+
+        if (decision.outcome === 'rejected') {
+          metrics.skipped++;
+          return {
+            action: 'skipped',
+            reason: 'precedence',
+            recordId: existingRow.id,
+            hashBefore: existingRow.content_hash,
+            hashAfter: existingRow.content_hash
+          };
+        }
+
+        if (decision.outcome === 'partial') {
+          // The record keeps its owner's content_hash
+          const result = await this.applyFieldPrecedence(
+            client,
+            existingRow.id,
+            record,
+            decision.fields,
+            metrics,
+            runId,
+            sourceType
+          );
+          return {
+            ...result,
+            reason: 'field_precedence',
+            hashBefore: existingRow.content_hash,
+            hashAfter: existingRow.content_hash
+          };
+        }
       }
 
       // Check if content changed
       if (existingRow.content_hash !== contentHash) {
+        // Keep the state being replaced
+        await recordHistoryService.snapshotRecord(existingRow.id, runId, client);
+
+        const entityId = await entityService.resolveEntity(
+          record.entity_name_norm,
+          record.entity_name_raw,
+          client
+        );
+
         await client.query(
           `UPDATE records SET
             published_at = $2,
@@ -169,6 +359,10 @@ class IngestionService {
             raw_json = $10,
             content_hash = $11,
             last_source_type = $12,
+            last_source_at = NOW(),
+            last_run_id = $13,
+            entity_id = $14,
+            canonical_status = $15,
             updated_at = NOW()
           WHERE source_key = $1`,
           [
@@ -183,12 +377,22 @@ class IngestionService {
             record.document_url || null,
             JSON.stringify(record.raw_json || {}),
             contentHash,
-            sourceType
+            sourceType,
+            runId,
+            entityId,
+            record.canonical_status ?? null
           ]
         );
 
         metrics.updated++;
 
+        if (existingRow.status !== record.status) {
+          await statusLifecycleService.recordTransitions(
+            [this.buildTransition(existingRow.id, existingRow, record, sourceType, runId)],
+            client
+          );
+        }
+
         // Trigger alerts with correct parameter order: recordId, actionType, client
         await alertService.checkAndTriggerAlerts(
           existingRow.id,
@@ -196,190 +400,1829 @@ class IngestionService {
           client
         );
 
-        return { action: 'updated', recordId: existingRow.id };
+        return {
+          action: 'updated',
+          recordId: existingRow.id,
+          hashBefore: existingRow.content_hash,
+          hashAfter: contentHash
+        };
       } else {
         metrics.skipped++;
-        return { action: 'skipped', recordId: existingRow.id };
+        return {
+          action: 'skipped',
+          reason: 'unchanged',
+          recordId: existingRow.id,
+          hashBefore: contentHash,
+          hashAfter: contentHash
+        };
       }
     }
   }
 
   /**
-   * Process records in batches for better performance
+   * Update only the fields a lower-ranked source has precedence on (a
+   * "partial" precedence decision). The record stays owned by its source:
+   * content_hash, last_source_type and last_source_at are left as they are.
    */
-  async processBatch(client, records, sourceType, batchSize = 100) {
-    const metrics = {
-      inserted: 0,
-      updated: 0,
-      skipped: 0,
-      failed: 0
+  async applyFieldPrecedence(client, recordId, record, fields, metrics, runId = null, sourceType = null) {
+    const columns = this.withDerivedFields(fields);
+    const values = columns.map(column =>
+      column === 'document_url' || column === 'canonical_status'
+        ? record[column] || null
+        : record[column]
+    );
+
+    const changed = await client.query(
+      `SELECT id, status, canonical_status FROM records
+       WHERE id = $1
+         AND (${columns.map((column, i) => `${column} IS DISTINCT FROM $${i + 2}`).join(' OR ')})`,
+      [recordId, ...values]
+    );
+
+    if (changed.rows.length === 0) {
+      metrics.skipped++;
+      return { action: 'skipped', recordId };
+    }
+
+    // Keep the state being replaced
+    await recordHistoryService.snapshotRecord(recordId, runId, client);
+
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+    const params = [recordId, ...values];
+
+    if (fields.includes('entity_name_raw')) {
+      params.push(await entityService.resolveEntity(
+        record.entity_name_norm,
+        record.entity_name_raw,
+        client
+      ));
+      assignments.push(`entity_id = $${params.length}`);
+    }
+
+    params.push(runId);
+    assignments.push(`last_run_id = $${params.length}`);
+
+    await client.query(
+      `UPDATE records SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1`,
+      params
+    );
+
+    metrics.updated++;
+
+    const previous = changed.rows[0];
+    if (fields.includes('status') && previous.status !== record.status) {
+      await statusLifecycleService.recordTransitions(
+        [this.buildTransition(recordId, previous, record, sourceType, runId)],
+        client
+      );
+    }
+
+    await alertService.checkAndTriggerAlerts(recordId, 'update', client);
+
+    return { action: 'updated', recordId };
+  }
+
+  /**
+   * Fields granted by a partial precedence decision, plus the fields derived
+   * from them: a raw name brings its normalized name (and entity link) along,
+   * a status its canonical status
+   */
+  withDerivedFields(fields) {
+    const columns = [...fields];
+
+    if (fields.includes('entity_name_raw')) {
+      columns.push('entity_name_norm');
+    }
+
+    if (fields.includes('status')) {
+      columns.push('canonical_status');
+    }
+
+    return columns;
+  }
+
+  /**
+   * Status transition of a record being written
+   * @param {Object|null} previous - stored { status, canonical_status }, null for new records
+   */
+  buildTransition(recordId, previous, record, sourceType, runId = null) {
+    return {
+      recordId,
+      runId,
+      sourceType,
+      fromStatus: previous ? previous.status : null,
+      toStatus: record.status,
+      fromCanonical: previous ? previous.canonical_status : null,
+      toCanonical: record.canonical_status ?? null
     };
+  }
+
+  /**
+   * Split records into waves with unique source_keys (order preserved), so a
+   * key repeated within one batch is applied in sequence, as processRecord would
+   */
+  splitByUniqueKey(records) {
+    const waves = [];
+    const occurrences = new Map();
+
+    for (const record of records) {
+      const wave = occurrences.get(record.source_key) || 0;
+      occurrences.set(record.source_key, wave + 1);
+
+      if (!waves[wave]) {
+        waves[wave] = [];
+      }
+      waves[wave].push(record);
+    }
+
+    return waves;
+  }
+
+  /**
+   * COPY records into the transaction-scoped staging table
+   */
+  async copyToStaging(client, records) {
+    await client.query(
+      `CREATE TEMP TABLE IF NOT EXISTS records_staging (
+         source_key VARCHAR(255) NOT NULL,
+         published_at TIMESTAMP NOT NULL,
+         title TEXT NOT NULL,
+         entity_name_raw VARCHAR(255) NOT NULL,
+         entity_name_norm VARCHAR(255) NOT NULL,
+         entity_id INTEGER,
+         region VARCHAR(10) NOT NULL,
+         record_id VARCHAR(100) NOT NULL,
+         status VARCHAR(50) NOT NULL,
+         canonical_status VARCHAR(20),
+         document_url TEXT,
+         raw_json JSONB NOT NULL,
+         content_hash VARCHAR(64) NOT NULL
+       ) ON COMMIT DROP`
+    );
+    await client.query('TRUNCATE records_staging');
+
+    const lines = records.map(record => {
+      const row = {
+        ...record,
+        document_url: record.document_url || null,
+        raw_json: JSON.stringify(record.raw_json || {}),
+        content_hash: this.generateContentHash(record)
+      };
+
+      return STAGING_COLUMNS.map(column => toCopyValue(row[column])).join('\t') + '\n';
+    });
 
+    const copyStream = await client.query(
+      copyFrom(`COPY records_staging (${STAGING_COLUMNS.join(', ')}) FROM STDIN`)
+    );
+    await pipeline(Readable.from(lines), copyStream);
+  }
+
+  /**
+   * Set-based upsert for a batch: COPY into staging, then resolve
+   * insert/update/skip with one INSERT ... ON CONFLICT. Produces the same
+   * counts as processRecord (content_hash check plus the precedence policy).
+   */
+  async processBatchSetBased(client, records, sourceType, metrics, runId = null) {
     const results = [];
+    const entityIds = await entityService.resolveEntities(records, client);
 
-    for (let i = 0; i < records.length; i += batchSize) {
-      const batch = records.slice(i, i + batchSize);
+    for (const wave of this.splitByUniqueKey(records)) {
+      await this.copyToStaging(
+        client,
+        wave.map(record => ({ ...record, entity_id: entityIds.get(record.entity_name_norm) }))
+      );
 
-      for (const record of batch) {
-        try {
-          // MINIMAL CHANGE (BUG FIX): you must pass sourceType to processRecord
-          const result = await this.processRecord(client, record, sourceType, metrics);
-          results.push({ success: true, ...result });
-        } catch (error) {
-          metrics.failed++;
+      // Stored hashes before the upsert, for the run ledger
+      const existing = await client.query(
+        `SELECT r.id, r.source_key, r.content_hash, r.status, r.canonical_status
+         FROM records r
+         JOIN records_staging s ON s.source_key = r.source_key`
+      );
+      const before = new Map(existing.rows.map(row => [row.source_key, row]));
+      const hashes = new Map(wave.map(record => [record.source_key, this.generateContentHash(record)]));
+
+      // Records the policy protects leave staging before the upsert
+      const partial = await this.applyStagedPrecedence(client, sourceType, runId);
+
+      // Keep the states about to be replaced
+      await recordHistoryService.snapshotStaged(runId, client);
+
+      const upsert = await client.query(
+        `INSERT INTO records
+         (source_key, published_at, title, entity_name_raw, entity_name_norm,
+          region, record_id, status, document_url, raw_json, content_hash,
+          last_source_type, last_run_id, entity_id, canonical_status)
+         SELECT source_key, published_at, title, entity_name_raw, entity_name_norm,
+                region, record_id, status, document_url, raw_json, content_hash, $1, $2,
+                entity_id, canonical_status
+         FROM records_staging
+         ON CONFLICT (source_key) DO UPDATE SET
+           published_at = EXCLUDED.published_at,
+           title = EXCLUDED.title,
+           entity_name_raw = EXCLUDED.entity_name_raw,
+           entity_name_norm = EXCLUDED.entity_name_norm,
+           entity_id = EXCLUDED.entity_id,
+           region = EXCLUDED.region,
+           record_id = EXCLUDED.record_id,
+           status = EXCLUDED.status,
+           canonical_status = EXCLUDED.canonical_status,
+           document_url = EXCLUDED.document_url,
+           raw_json = EXCLUDED.raw_json,
+           content_hash = EXCLUDED.content_hash,
+           last_source_type = EXCLUDED.last_source_type,
+           last_source_at = NOW(),
+           last_run_id = EXCLUDED.last_run_id,
+           updated_at = NOW()
+         WHERE records.content_hash <> EXCLUDED.content_hash
+         RETURNING id, source_key, (xmax = 0) AS inserted`,
+        [sourceType, runId]
+      );
+
+      const insertedIds = [];
+      const updatedIds = [];
+      const written = new Set();
+      const incoming = new Map(wave.map(record => [record.source_key, record]));
+      const transitions = [];
+
+      for (const row of upsert.rows) {
+        written.add(row.source_key);
+
+        const stored = before.get(row.source_key) || null;
+        const record = incoming.get(row.source_key);
+        if (!stored || stored.status !== record.status) {
+          transitions.push(this.buildTransition(row.id, stored, record, sourceType, runId));
+        }
+
+        const result = {
+          success: true,
+          recordId: row.id,
+          sourceKey: row.source_key,
+          hashBefore: before.has(row.source_key) ? before.get(row.source_key).content_hash : null,
+          hashAfter: hashes.get(row.source_key)
+        };
+
+        if (row.inserted) {
+          insertedIds.push(row.id);
+          results.push({ ...result, action: 'inserted' });
+        } else {
+          updatedIds.push(row.id);
+          results.push({ ...result, action: 'updated' });
+        }
+      }
+
+      for (const record of wave) {
+        if (!written.has(record.source_key) && !partial.has(record.source_key)) {
+          // Left alone: either identical or rejected by the precedence policy
+          const stored = before.get(record.source_key);
           results.push({
-            success: false,
-            error: error.message,
-            sourceKey: record.source_key
+            success: true,
+            action: 'skipped',
+            reason: stored.content_hash === hashes.get(record.source_key) ? 'unchanged' : 'precedence',
+            recordId: stored.id,
+            sourceKey: record.source_key,
+            hashBefore: stored.content_hash,
+            hashAfter: stored.content_hash
           });
-
-          // Log but continue processing other records
-          console.error(`Failed to process record ${record.source_key}:`, error.message);
         }
       }
 
-      // Log progress for large batches
-      if (records.length > batchSize) {
-        const progress = Math.min(i + batchSize, records.length);
-        console.log(`Processed ${progress}/${records.length} records`);
+      metrics.inserted += insertedIds.length;
+      metrics.updated += updatedIds.length;
+      metrics.skipped += wave.length - partial.size - upsert.rows.length;
+
+      await statusLifecycleService.recordTransitions(transitions, client);
+
+      await alertService.checkAndTriggerAlertsBulk(insertedIds, 'insert', client);
+      await alertService.checkAndTriggerAlertsBulk(updatedIds, 'update', client);
+
+      for (const record of wave) {
+        const decision = partial.get(record.source_key);
+
+        if (decision) {
+          const result = await this.applyFieldPrecedence(
+            client,
+            decision.recordId,
+            record,
+            decision.fields,
+            metrics,
+            runId,
+            sourceType
+          );
+          const stored = before.get(record.source_key);
+          results.push({
+            success: true,
+            ...result,
+            reason: 'field_precedence',
+            sourceKey: record.source_key,
+            hashBefore: stored.content_hash,
+            hashAfter: stored.content_hash
+          });
+        }
       }
     }
 
-    return { metrics, results };
+    return results;
   }
 
   /**
-   * Main ingestion method with full transaction support
+   * Apply the precedence policy to the staged records that would change a
+   * record owned by another source: decisions are recorded (once per incoming
+   * content), and rejected and partial records are removed from staging.
+   * @returns {Map<string, { recordId, fields }>} partial decisions by source_key
    */
-  async ingestRecords(records, sourceType, options = {}) {
-    const startTime = Date.now();
-    const batchSize = options.batchSize || 100;
-    const validateRecords = options.validate !== false; // Default to true
+  async applyStagedPrecedence(client, sourceType, runId = null) {
+    const conflicts = await client.query(
+      `SELECT s.source_key, s.content_hash, r.id, r.last_source_type,
+              COALESCE(r.last_source_at, r.updated_at) AS last_source_at
+       FROM records_staging s
+       JOIN records r ON r.source_key = s.source_key
+       WHERE r.content_hash <> s.content_hash
+         AND r.last_source_type <> $1`,
+      [sourceType]
+    );
 
-    // Input validation
-    if (!Array.isArray(records)) {
-      throw new ValidationError('Records must be an array');
-    }
+    const decisions = [];
+    const removed = [];
+    const partial = new Map();
 
-    if (records.length === 0) {
-      throw new ValidationError('Records array cannot be empty');
-    }
+    for (const row of conflicts.rows) {
+      const decision = precedenceService.decide(
+        { sourceType: row.last_source_type, sourceAt: row.last_source_at },
+        sourceType
+      );
 
-    if (!['bulk', 'recent'].includes(sourceType)) {
-      throw new ValidationError('sourceType must be either "bulk" or "recent"');
-    }
+      decisions.push({
+        runId,
+        recordId: row.id,
+        sourceKey: row.source_key,
+        incomingSourceType: sourceType,
+        existingSourceType: row.last_source_type,
+        incomingHash: row.content_hash,
+        decision
+      });
 
-    records = records.map(r => ({
-      ...r,
-      entity_name_norm: r.entity_name_raw.toLowerCase().trim()
-    }));
+      if (decision.outcome !== 'applied') {
+        removed.push(row.source_key);
+      }
 
-    if (sourceType === 'recent') {
-      records = this.filterRecentWindow(records, 72);
+      if (decision.outcome === 'partial') {
+        partial.set(row.source_key, { recordId: row.id, fields: decision.fields });
+      }
     }
 
-    // Validate all records before processing
-    if (validateRecords) {
-      console.log('Validating records...');
-      records.forEach((record, index) => {
-        this.validateRecord(record, index);
-      });
-      console.log(`Validation passed for ${records.length} records`);
+    await precedenceService.recordDecisions(decisions, client);
+
+    if (removed.length > 0) {
+      await client.query(
+        'DELETE FROM records_staging WHERE source_key = ANY($1::text[])',
+        [removed]
+      );
     }
 
-    let runId;
-    let metrics = {
+    return partial;
+  }
+
+  /**
+   * Empty per-run counters
+   */
+  createMetrics() {
+    return {
       inserted: 0,
       updated: 0,
       skipped: 0,
-      failed: 0
+      failed: 0,
+      invalid: 0
     };
+  }
 
-    try {
-      const result = await db.transaction(async (client) => {
-        // Create ingestion run log
-        const logResult = await client.query(
-          `INSERT INTO ingestion_runs (source_type, started_at, records_fetched) 
-           VALUES ($1, $2, $3) 
-           RETURNING id`,
-          [sourceType, new Date(), records.length]
-        );
-        runId = logResult.rows[0].id;
+  /**
+   * Add the counters of `source` into `target`
+   */
+  mergeMetrics(target, source) {
+    for (const key of Object.keys(target)) {
+      target[key] += source[key] || 0;
+    }
+    return target;
+  }
 
-        // Process records in batches
-        // MINIMAL CHANGE: pass sourceType into processBatch
-        const batchResult = await this.processBatch(client, records, sourceType, batchSize);
-        metrics = batchResult.metrics;
+  /**
+   * Process records one at a time, each inside its own savepoint, so a failing
+   * record is rolled back alone and the run transaction stays usable.
+   * Failed records are written to the dead-letter table.
+   * @param {Object} options - { runId }
+   */
+  async processRecords(client, records, sourceType, metrics, options = {}) {
+    const results = [];
 
-        // Update ingestion run with results
-        await client.query(
-          `UPDATE ingestion_runs 
-           SET finished_at = $2, 
-               records_inserted = $3, 
-               records_updated = $4, 
-               error = $5
-           WHERE id = $1`,
-          [
-            runId,
-            new Date(),
-            metrics.inserted,
-            metrics.updated,
-            metrics.failed > 0 ? `${metrics.failed} records failed to process` : null
-          ]
-        );
+    for (const record of records) {
+      // Counted separately so a rolled-back record never reaches the run totals
+      const recordMetrics = this.createMetrics();
 
-        return {
-          runId,
-          sourceType,
-          recordsFetched: records.length,
-          recordsInserted: metrics.inserted,
-          recordsUpdated: metrics.updated,
-          recordsSkipped: metrics.skipped,
-          recordsFailed: metrics.failed,
-          processingTime: Date.now() - startTime
-        };
-      });
+      try {
+        // MINIMAL CHANGE (BUG FIX): you must pass sourceType to processRecord
+        const result = await db.withSavepoint(client, 'ingest_record', () =>
+          this.processRecord(client, record, sourceType, recordMetrics, options.runId)
+        );
+        this.mergeMetrics(metrics, recordMetrics);
+        results.push({ success: true, ...result, sourceKey: record.source_key });
+      } catch (error) {
+        metrics.failed++;
+        results.push({
+          success: false,
+          action: 'failed',
+          error: error.message,
+          sourceKey: record.source_key
+        });
+
+        // Log but continue processing other records
+        console.error(`Failed to process record ${record.source_key}:`, error.message);
+
+        await deadLetterService.recordFailure(
+          { runId: options.runId, sourceType, record, error },
+          client
+        );
+      }
+    }
 
-      // Update service metrics
-      this.updateMetrics(result);
+    return results;
+  }
 
-      console.log(`Ingestion completed in ${result.processingTime}ms:`, {
-        inserted: result.recordsInserted,
-        updated: result.recordsUpdated,
-        skipped: result.recordsSkipped,
-        failed: result.recordsFailed
-      });
+  /**
+   * Process records in batches for better performance
+   * @param {Object} options - { setBased, runId }
+   *   setBased: use the staging-table upsert
+   */
+  async processBatch(client, records, sourceType, batchSize = 100, options = {}) {
+    const metrics = this.createMetrics();
+    const results = [];
 
-      return result;
+    for (let i = 0; i < records.length; i += batchSize) {
+      const batch = records.slice(i, i + batchSize);
+      let batchResults;
 
-    } catch (error) {
-      // Log error to database if possible
-      if (runId) {
+      if (options.setBased) {
+        // The whole batch shares one savepoint; if any row breaks the set-based
+        // statement, replay the batch row by row to isolate the bad records
         try {
-          await db.query(
-            `UPDATE ingestion_runs 
-             SET finished_at = $2, error = $3 
-             WHERE id = $1`,
-            [runId, new Date(), error.message]
+          const batchMetrics = this.createMetrics();
+          batchResults = await db.withSavepoint(client, 'ingest_batch', () =>
+            this.processBatchSetBased(client, batch, sourceType, batchMetrics, options.runId)
           );
-        } catch (logError) {
-          console.error('Failed to log ingestion error:', logError);
+          this.mergeMetrics(metrics, batchMetrics);
+        } catch (error) {
+          console.error(`Set-based batch failed, retrying row by row: ${error.message}`);
+          batchResults = await this.processRecords(client, batch, sourceType, metrics, options);
         }
+      } else {
+        batchResults = await this.processRecords(client, batch, sourceType, metrics, options);
       }
 
-      this.metrics.totalErrors++;
+      results.push(...batchResults);
 
-      if (error instanceof ValidationError || error instanceof DatabaseError) {
-        throw error;
+      if (options.runId) {
+        await runItemService.recordItems(options.runId, batchResults, client);
       }
 
-      throw new DatabaseError(`Ingestion failed: ${error.message}`, error);
-    }
-  }
+      if (options.checkpoint) {
+        await options.checkpoint(batch.length);
+      }
 
-  /**
-   * Update internal metrics
-   */
+      // Log progress for large batches
+      if (records.length > batchSize) {
+        const progress = Math.min(i + batchSize, records.length);
+        console.log(`Processed ${progress}/${records.length} records`);
+      }
+    }
+
+    return { metrics, results };
+  }
+
+  /**
+   * Group an (async) iterable into arrays of at most batchSize records.
+   * The source is only pulled when the consumer asks for the next batch,
+   * so a slow writer applies backpressure to the connector stream.
+   */
+  async *readBatches(source, batchSize = 100) {
+    let batch = [];
+
+    for await (const record of source) {
+      batch.push(record);
+
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
+  /**
+   * Derive normalized fields for a canonical record
+   * @param {string} connector - source of the record, for its status mapping
+   */
+  normalizeRecord(record, connector = null) {
+    return {
+      ...record,
+      // Numeric keys are allowed, but records are matched by the stored text
+      source_key: typeof record.source_key === 'number' ? String(record.source_key) : record.source_key,
+      entity_name_norm: entityNameService.normalize(record.entity_name_raw),
+      canonical_status: statusLifecycleService.canonicalize(record.status, connector)
+    };
+  }
+
+  /**
+   * Normalize, window-filter and (optionally) validate a set of records
+   * @param {Date|null} since - recent runs: drop records published before the
+   *   window start (null keeps every record)
+   * @param {number} offset - index of the first record in the overall input
+   * @param {string} onInvalid - 'reject' throws on the first invalid record,
+   *   'quarantine' sets invalid records aside with their full error list
+   * @param {string} connector - selects the record schema (null: default)
+   * @returns {{ records: Object[], invalid: Object[] }}
+   */
+  prepareRecords(records, since, validate = true, offset = 0, onInvalid = 'reject', connector = null) {
+    let prepared = records.map(r => this.normalizeRecord(r, connector));
+    const invalid = [];
+
+    if (since) {
+      prepared = this.filterRecentWindow(prepared, since);
+    }
+
+    if (validate && onInvalid === 'quarantine') {
+      prepared = prepared.filter((record, index) => {
+        const errors = this.getValidationErrors(record, connector);
+
+        if (errors.length > 0) {
+          invalid.push({ record, index: offset + index, errors });
+          return false;
+        }
+        return true;
+      });
+    } else if (validate) {
+      prepared.forEach((record, index) => {
+        this.validateRecord(record, offset + index, connector);
+      });
+    }
+
+    return { records: prepared, invalid };
+  }
+
+  /**
+   * Set invalid records aside in the dead-letter table
+   */
+  async quarantineRecords(client, invalid, sourceType, runId) {
+    for (const { record, index, errors } of invalid) {
+      await deadLetterService.recordFailure(
+        {
+          runId,
+          sourceType,
+          record,
+          reason: 'invalid',
+          errors,
+          error: new ValidationError(
+            `Record at index ${index} validation failed: ${this.describeErrors(errors)}`,
+            null,
+            errors
+          )
+        },
+        client
+      );
+    }
+
+    if (runId) {
+      await runItemService.recordItems(
+        runId,
+        invalid.map(({ record, errors }) => ({
+          sourceKey: record.source_key,
+          action: 'invalid',
+          error: this.describeErrors(errors)
+        })),
+        client
+      );
+    }
+
+    if (invalid.length > 0) {
+      console.warn(`Quarantined ${invalid.length} invalid record(s)`);
+    }
+  }
+
+  /**
+   * Consume a record stream one batch at a time (bounded memory)
+   */
+  async processStream(client, source, since, sourceType, options = {}) {
+    const batchSize = options.batchSize || 100;
+    const metrics = this.createMetrics();
+    let consumed = 0;
+    let fetched = 0;
+
+    for await (const batch of this.readBatches(source, batchSize)) {
+      const { records, invalid } = this.prepareRecords(
+        batch,
+        since,
+        options.validate !== false,
+        consumed,
+        options.onInvalid,
+        options.connector
+      );
+      consumed += batch.length;
+      fetched += records.length + invalid.length;
+
+      await this.quarantineRecords(client, invalid, sourceType, options.runId);
+      metrics.invalid += invalid.length;
+
+      const batchResult = await this.processBatch(
+        client,
+        records,
+        sourceType,
+        batchSize,
+        { setBased: options.setBased, runId: options.runId }
+      );
+      this.mergeMetrics(metrics, batchResult.metrics);
+
+      if (options.watermark) {
+        watermarkService.track(options.watermark, records, batchResult.results);
+      }
+
+      // Marked after the batch is written so new records count as seen
+      if (options.reconcile) {
+        await tombstoneService.markSeen(
+          [...records, ...invalid.map(i => i.record)].map(r => r.source_key),
+          options.runId,
+          this.sourceTypesOf(options.connector),
+          client
+        );
+      }
+
+      console.log(`Processed ${fetched} records (streaming)`);
+
+      if (options.checkpoint) {
+        await options.checkpoint(batch.length);
+      }
+    }
+
+    return { metrics, fetched };
+  }
+
+  /**
+   * Check whether input can be consumed as a record stream
+   */
+  isRecordStream(records) {
+    return records != null &&
+      !Array.isArray(records) &&
+      (typeof records[Symbol.asyncIterator] === 'function' ||
+        typeof records[Symbol.iterator] === 'function');
+  }
+
+  /**
+   * Work out what processRecord would do with a record, without writing.
+   * Records planned earlier in the same dry run are tracked in `planned`, so a
+   * repeated source key is judged against its planned state as it would be live.
+   */
+  async planRecord(client, record, sourceType, planned) {
+    const contentHash = this.generateContentHash(record);
+
+    // published_at is cast by Postgres so it compares like the stored value
+    const result = await client.query(
+      `SELECT to_jsonb($2::timestamp) AS published_at,
+              r.id, r.content_hash, r.last_source_type, r.canonical_status,
+              COALESCE(r.last_source_at, r.updated_at) AS last_source_at,
+              ${recordHistoryService.snapshotSql('r')} AS snapshot
+       FROM (SELECT 1) AS input
+       LEFT JOIN records r ON r.source_key = $1`,
+      [record.source_key, record.published_at]
+    );
+    const row = result.rows[0];
+
+    const incoming = recordHistoryService.buildSnapshot({
+      ...record,
+      published_at: row.published_at,
+      document_url: record.document_url || null
+    });
+
+    const existing = planned.get(record.source_key) || (row.id === null ? null : {
+      recordId: row.id,
+      contentHash: row.content_hash,
+      sourceType: row.last_source_type,
+      sourceAt: row.last_source_at,
+      canonicalStatus: row.canonical_status,
+      snapshot: row.snapshot
+    });
+
+    // null: a new entity would be created for this name
+    const entityId = await entityService.findEntityId(record.entity_name_norm, client);
+
+    const plan = {
+      sourceKey: record.source_key,
+      action: null,
+      reason: null,
+      recordId: existing ? existing.recordId : null,
+      entityId,
+      changes: null,
+      precedence: null,
+      statusTransition: null,
+      alerts: []
+    };
+
+    let next = {
+      recordId: plan.recordId,
+      contentHash,
+      sourceType,
+      sourceAt: new Date(),
+      canonicalStatus: record.canonical_status ?? null,
+      snapshot: incoming
+    };
+
+    if (!existing) {
+      plan.action = 'insert';
+    } else if (existing.contentHash === contentHash) {
+      plan.action = 'skip';
+      plan.reason = 'unchanged';
+    } else {
+      plan.action = 'update';
+      plan.changes = recordHistoryService.diffSnapshots(existing.snapshot, incoming);
+
+      if (existing.sourceType !== sourceType) {
+        const decision = precedenceService.decide(
+          { sourceType: existing.sourceType, sourceAt: existing.sourceAt },
+          sourceType
+        );
+        plan.precedence = decision;
+
+        if (decision.outcome === 'rejected') {
+          plan.action = 'skip';
+          plan.reason = 'precedence';
+          plan.changes = null;
+        } else if (decision.outcome === 'partial') {
+          // Only the granted fields (and the fields derived from them)
+          const fields = this.withDerivedFields(decision.fields);
+          plan.changes = plan.changes.filter(change => fields.includes(change.field));
+          plan.reason = 'field_precedence';
+
+          if (plan.changes.length === 0) {
+            plan.action = 'skip';
+            plan.changes = null;
+          }
+
+          // The record stays owned by its source
+          next = {
+            ...existing,
+            canonicalStatus: fields.includes('status') ? next.canonicalStatus : existing.canonicalStatus,
+            snapshot: {
+              ...existing.snapshot,
+              ...Object.fromEntries(fields.map(field => [field, incoming[field]]))
+            }
+          };
+        }
+      }
+    }
+
+    if (plan.action !== 'skip') {
+      planned.set(record.source_key, next);
+
+      if (!existing || existing.snapshot.status !== next.snapshot.status) {
+        plan.statusTransition = {
+          from: existing ? existing.snapshot.status : null,
+          to: next.snapshot.status,
+          flag: statusLifecycleService.checkTransition(
+            existing ? existing.canonicalStatus : null,
+            next.canonicalStatus
+          )
+        };
+      }
+
+      const rules = await alertService.findMatchingRules(
+        entityId,
+        record.entity_name_norm,
+        record.region,
+        client
+      );
+      plan.alerts = rules.map(rule => ({
+        alertRuleId: rule.id,
+        userId: rule.user_id,
+        actionType: plan.action
+      }));
+    }
+
+    return plan;
+  }
+
+  /**
+   * Plan a batch of records, collecting per-record results into `state`
+   */
+  async planRecords(client, records, sourceType, state) {
+    for (const record of records) {
+      let plan;
+
+      try {
+        plan = await db.withSavepoint(client, 'plan_record', (savepointClient) =>
+          this.planRecord(savepointClient, record, sourceType, state.planned)
+        );
+      } catch (error) {
+        plan = {
+          sourceKey: record.source_key || null,
+          action: 'error',
+          reason: error.message,
+          recordId: null,
+          entityId: null,
+          changes: null,
+          precedence: null,
+          alerts: []
+        };
+      }
+
+      this.addPlanItem(state, plan);
+    }
+  }
+
+  /**
+   * Count a plan result and keep it for the response (up to DRY_RUN_MAX_ITEMS)
+   */
+  addPlanItem(state, plan) {
+    state.metrics[PLAN_METRICS[plan.action]]++;
+    state.alertsTriggered += plan.alerts.length;
+
+    if (state.items.length < DRY_RUN_MAX_ITEMS) {
+      state.items.push(plan);
+    } else {
+      state.truncated = true;
+    }
+  }
+
+  /**
+   * Plan invalid records (as they would be rejected or quarantined)
+   */
+  planInvalid(state, invalid) {
+    for (const { record, errors } of invalid) {
+      this.addPlanItem(state, {
+        sourceKey: record.source_key || null,
+        action: 'invalid',
+        reason: this.describeErrors(errors),
+        recordId: null,
+        entityId: null,
+        changes: null,
+        precedence: null,
+        statusTransition: null,
+        alerts: [],
+        errors
+      });
+    }
+  }
+
+  /**
+   * Dry run: validate, hash and apply precedence to every record inside a
+   * read-only transaction and report what a real run would do. Nothing is
+   * written, not even an ingestion_runs row.
+   * @param {Object[]} invalidRecords - invalid records set aside while preparing an array
+   */
+  async planIngestion(records, sourceType, runSourceType, options = {}, invalidRecords = []) {
+    const startTime = Date.now();
+    const batchSize = options.batchSize || 100;
+    const streaming = this.isRecordStream(records);
+    const state = {
+      metrics: this.createMetrics(),
+      items: [],
+      truncated: false,
+      alertsTriggered: 0,
+      planned: new Map()
+    };
+    let recordsFetched = streaming ? 0 : records.length + invalidRecords.length;
+
+    await db.transaction(async (client) => {
+      await client.query('SET TRANSACTION READ ONLY');
+
+      if (!streaming) {
+        this.planInvalid(state, invalidRecords);
+
+        for (let i = 0; i < records.length; i += batchSize) {
+          const batch = records.slice(i, i + batchSize);
+          await this.planRecords(client, batch, runSourceType, state);
+
+          if (options.checkpoint) {
+            await options.checkpoint(batch.length);
+          }
+        }
+        return;
+      }
+
+      let consumed = 0;
+      for await (const batch of this.readBatches(records, batchSize)) {
+        const prepared = this.prepareRecords(
+          batch,
+          options.since || null,
+          options.validate !== false,
+          consumed,
+          options.onInvalid,
+          options.connector
+        );
+        consumed += batch.length;
+        recordsFetched += prepared.records.length + prepared.invalid.length;
+
+        this.planInvalid(state, prepared.invalid);
+        await this.planRecords(client, prepared.records, runSourceType, state);
+
+        if (options.checkpoint) {
+          await options.checkpoint(batch.length);
+        }
+      }
+    });
+
+    const { metrics } = state;
+    const result = {
+      dryRun: true,
+      runId: null,
+      sourceType: runSourceType,
+      connector: options.connector || null,
+      recordsFetched,
+      recordsInserted: metrics.inserted,
+      recordsUpdated: metrics.updated,
+      recordsSkipped: metrics.skipped,
+      recordsFailed: metrics.failed,
+      recordsInvalid: metrics.invalid,
+      alertsTriggered: state.alertsTriggered,
+      plan: state.items,
+      planTruncated: state.truncated,
+      processingTime: Date.now() - startTime
+    };
+
+    console.log(`Dry run completed in ${result.processingTime}ms (nothing written):`, {
+      insert: result.recordsInserted,
+      update: result.recordsUpdated,
+      skip: result.recordsSkipped,
+      failed: result.recordsFailed,
+      invalid: result.recordsInvalid
+    });
+
+    return result;
+  }
+
+  /**
+   * Check run options (shared by ingestRecords and the job queue, which
+   * rejects bad options before a job is queued)
+   */
+  validateOptions(sourceType, options = {}) {
+    const onInvalid = options.onInvalid || 'reject';
+
+    if (!SOURCE_MODES.includes(sourceType)) {
+      throw new ValidationError('sourceType must be one of: bulk, recent, push');
+    }
+
+    if (options.connector && !CONNECTOR_NAME_PATTERN.test(options.connector)) {
+      throw new ValidationError('connector must be a lowercase connector name', 'connector');
+    }
+
+    if (!ON_INVALID_MODES.includes(onInvalid)) {
+      throw new ValidationError('onInvalid must be either "reject" or "quarantine"', 'onInvalid');
+    }
+
+    if (options.reconcile === true && sourceType !== 'bulk') {
+      throw new ValidationError('reconcile is only supported for bulk runs', 'reconcile');
+    }
+
+    if (options.reconcile === true && options.dryRun === true) {
+      throw new ValidationError('reconcile cannot be combined with dryRun', 'reconcile');
+    }
+
+    if ((options.commitPerBatch === true || options.resumeRunId) && sourceType !== 'bulk') {
+      throw new ValidationError('commitPerBatch and resume are only supported for bulk runs', 'commitPerBatch');
+    }
+
+    if ((options.commitPerBatch === true || options.resumeRunId) && options.dryRun === true) {
+      throw new ValidationError('commitPerBatch and resume cannot be combined with dryRun', 'commitPerBatch');
+    }
+
+    if (options.resumeRunId !== undefined && options.resumeRunId !== null && !Number.isInteger(options.resumeRunId)) {
+      throw new ValidationError('resumeRunId must be a valid integer', 'resumeRunId');
+    }
+
+    if ((options.since || options.ignoreWatermark === true) && sourceType !== 'recent') {
+      throw new ValidationError('since and ignoreWatermark are only supported for recent runs', 'since');
+    }
+
+    if (options.since && isNaN(new Date(options.since).getTime())) {
+      throw new ValidationError('since must be a valid date', 'since');
+    }
+  }
+
+  /**
+   * Start of a recent run's window: options.since (the source's watermark, or
+   * a manual override) or else the last options.hours hours (default 72)
+   */
+  getRecentSince(options = {}) {
+    return options.since
+      ? new Date(options.since)
+      : new Date(Date.now() - (options.hours || 72) * 60 * 60 * 1000);
+  }
+
+  /**
+   * Build the callback run after each written (or planned) batch: reports
+   * progress to options.onProgress and stops the run once
+   * options.shouldCancel() returns true
+   * @param {Object} initial - starting progress (resumed runs keep counting)
+   */
+  createCheckpoint(options = {}, initial = {}) {
+    const progress = { recordsProcessed: 0, currentBatch: 0, ...initial };
+
+    return async (count) => {
+      progress.recordsProcessed += count;
+      progress.currentBatch++;
+
+      if (options.onProgress) {
+        await options.onProgress({ ...progress });
+      }
+
+      if (options.shouldCancel && await options.shouldCancel()) {
+        throw new CancelledError(
+          `Ingestion cancelled after ${progress.recordsProcessed} records`
+        );
+      }
+    };
+  }
+
+  /**
+   * Main ingestion method with full transaction support
+   * @param {Object[]|AsyncIterable<Object>} records - array, or (async) iterable
+   *   consumed in batches of options.batchSize without loading it all into memory
+   * @param {Object} options - { batchSize, validate, connector, setBased, onInvalid }
+   *   setBased: COPY each batch into a staging table and upsert set-wise
+   *   (high-throughput mode for bulk runs)
+   *   onInvalid: 'reject' (default) aborts on the first invalid record;
+   *   'quarantine' sets invalid records aside and ingests the valid ones
+   *   reconcile: (bulk only) withdraw records missing from this run, unless more
+   *   than tombstoneThreshold (ratio, default TOMBSTONE_MAX_RATIO) would be withdrawn
+   *   dryRun: report what the run would do per record without writing anything
+   *   onProgress: called after each batch with { recordsProcessed, currentBatch }
+   *   shouldCancel: checked after each batch; when it returns true the run is
+   *   rolled back and a CancelledError thrown
+   *   waitForLock: wait for a run of the same source to finish instead of
+   *   failing with SourceLockedError
+   *   commitPerBatch: (bulk only) commit each batch on its own and checkpoint
+   *   the run, see ingestInBatches()
+   *   resumeRunId: continue an interrupted commitPerBatch run from its checkpoint
+   *   since / hours: (recent only) window start, see getRecentSince(); a
+   *   committed recent run advances the source's watermark to what it ingested
+   *   sourceFile: { name, checksum } of the file the records came from, stored
+   *   on the run (inbox drops)
+   */
+  async ingestRecords(records, sourceType, options = {}) {
+    const startTime = Date.now();
+    const batchSize = options.batchSize || 100;
+    const validateRecords = options.validate !== false; // Default to true
+    const connectorName = options.connector || null;
+    const setBased = options.setBased === true;
+    const onInvalid = options.onInvalid || 'reject';
+    const reconcile = options.reconcile === true;
+    const dryRun = options.dryRun === true;
+    const streaming = this.isRecordStream(records);
+    const checkpoint = this.createCheckpoint(options);
+
+    // Input validation
+    if (!Array.isArray(records) && !streaming) {
+      throw new ValidationError('Records must be an array or an async iterable');
+    }
+
+    // Nothing new past the watermark is a normal outcome for a recent run
+    if (!streaming && records.length === 0 && sourceType !== 'recent') {
+      throw new ValidationError('Records array cannot be empty');
+    }
+
+    this.validateOptions(sourceType, options);
+
+    const since = sourceType === 'recent' ? this.getRecentSince(options) : null;
+    const reached = { publishedAt: null, cursor: null, failedAt: null, stalled: false };
+
+    if (options.commitPerBatch === true || options.resumeRunId) {
+      return this.ingestInBatches(records, sourceType, options);
+    }
+
+    const runSourceType = this.buildSourceType(sourceType, connectorName);
+
+    await entityNameService.loadAliases();
+    await recordSchemaService.loadReferenceData();
+
+    // Arrays are validated up front; streams are validated batch by batch
+    let invalidRecords = [];
+
+    if (!streaming) {
+      if (validateRecords) {
+        console.log('Validating records...');
+      }
+
+      const prepared = this.prepareRecords(
+        records,
+        since,
+        validateRecords,
+        0,
+        onInvalid,
+        connectorName
+      );
+      records = prepared.records;
+      invalidRecords = prepared.invalid;
+
+      if (validateRecords) {
+        console.log(
+          `Validation passed for ${records.length} records` +
+          (invalidRecords.length > 0 ? `, ${invalidRecords.length} quarantined` : '')
+        );
+      }
+    }
+
+    if (dryRun) {
+      return this.planIngestion(
+        records,
+        sourceType,
+        runSourceType,
+        { batchSize, validate: validateRecords, onInvalid, connector: connectorName, checkpoint, since },
+        invalidRecords
+      );
+    }
+
+    let runId;
+    let recordsFetched = streaming ? 0 : records.length + invalidRecords.length;
+    let metrics = this.createMetrics();
+
+    try {
+      const result = await db.transaction(async (client) => {
+        // One run per source at a time; held until this transaction ends
+        const lockPid = await sourceLockService.acquire(
+          client,
+          sourceLockService.sourceOf(connectorName),
+          { wait: options.waitForLock === true }
+        );
+
+        // Create ingestion run log, committed at once so the run shows as the
+        // lock holder and keeps its error if the transaction rolls back
+        const logResult = await db.query(
+          `INSERT INTO ingestion_runs
+           (source_type, started_at, records_fetched, lock_pid, source_file, source_checksum)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id`,
+          [
+            runSourceType,
+            new Date(),
+            recordsFetched,
+            lockPid,
+            options.sourceFile ? options.sourceFile.name : null,
+            options.sourceFile ? options.sourceFile.checksum : null
+          ]
+        );
+        runId = logResult.rows[0].id;
+
+        if (streaming) {
+          const streamResult = await this.processStream(
+            client,
+            records,
+            since,
+            runSourceType,
+            {
+              batchSize,
+              validate: validateRecords,
+              onInvalid,
+              setBased,
+              reconcile,
+              runId,
+              checkpoint,
+              connector: connectorName,
+              watermark: reached
+            }
+          );
+          metrics = streamResult.metrics;
+          recordsFetched = streamResult.fetched;
+        } else {
+          await this.quarantineRecords(client, invalidRecords, runSourceType, runId);
+
+          // Process records in batches
+          // MINIMAL CHANGE: pass sourceType into processBatch
+          const batchResult = await this.processBatch(
+            client,
+            records,
+            runSourceType,
+            batchSize,
+            { setBased, runId, checkpoint }
+          );
+          metrics = batchResult.metrics;
+          metrics.invalid = invalidRecords.length;
+          watermarkService.track(reached, records, batchResult.results);
+
+          if (reconcile) {
+            const seenKeys = [...records, ...invalidRecords.map(i => i.record)]
+              .map(r => r.source_key);
+
+            const sourceTypes = this.sourceTypesOf(connectorName);
+
+            for (let i = 0; i < seenKeys.length; i += batchSize) {
+              await tombstoneService.markSeen(
+                seenKeys.slice(i, i + batchSize),
+                runId,
+                sourceTypes,
+                client
+              );
+            }
+          }
+        }
+
+        const runResult = await this.finishRun(
+          client,
+          { runId, sourceType: runSourceType, connector: connectorName },
+          metrics,
+          recordsFetched,
+          options,
+          startTime
+        );
+
+        // Moves with this transaction, so a failed run leaves it where it was
+        if (sourceType === 'recent') {
+          runResult.watermark = await watermarkService.advance(
+            watermarkService.sourceOf(connectorName),
+            reached,
+            runId,
+            client
+          );
+        }
+
+        return runResult;
+      });
+
+      // Update service metrics
+      this.updateMetrics(result);
+
+      console.log(`Ingestion completed in ${result.processingTime}ms:`, {
+        inserted: result.recordsInserted,
+        updated: result.recordsUpdated,
+        skipped: result.recordsSkipped,
+        failed: result.recordsFailed,
+        invalid: result.recordsInvalid
+      });
+
+      return result;
+
+    } catch (error) {
+      throw await this.failRun(runId, error);
+    }
+  }
+
+  /**
+   * Bulk run committed batch by batch. After each batch the run row stores the
+   * run's counters so far and a checkpoint: the number of source records
+   * consumed and the source_key of the last one. An interrupted run (error,
+   * cancellation or crash) keeps what it committed and can be resumed with
+   * options.resumeRunId, which skips the consumed records and carries on
+   * counting into the same run row.
+   * The source lock is a session lock held across all batch transactions.
+   */
+  async ingestInBatches(records, sourceType, options = {}) {
+    const startTime = Date.now();
+    let resumable = null;
+
+    if (options.resumeRunId) {
+      resumable = await this.getResumableRun(options.resumeRunId);
+      const { connector } = this.parseSourceType(resumable.source_type);
+
+      if (options.connector && options.connector !== connector) {
+        throw new ValidationError(
+          `Run ${resumable.id} was a ${resumable.source_type} run, not ${options.connector}`,
+          'resumeRunId'
+        );
+      }
+
+      // The run's own options win, so every segment ingests the same way
+      options = { ...options, ...resumable.params, connector };
+    }
+
+    const batchSize = options.batchSize || 100;
+    const connectorName = options.connector || null;
+    const source = sourceLockService.sourceOf(connectorName);
+    const runSourceType = this.buildSourceType(sourceType, connectorName);
+    const metrics = this.createMetrics();
+    let recordsFetched = 0;
+    let consumed = 0;
+    let runId = null;
+    let batches = null;
+    let next = null;
+
+    await entityNameService.loadAliases();
+    await recordSchemaService.loadReferenceData();
+
+    const client = await db.getClient();
+
+    try {
+      const lockPid = await sourceLockService.acquireSession(client, source, {
+        wait: options.waitForLock === true
+      });
+
+      try {
+        if (resumable) {
+          // Re-checked under the lock: another process may have resumed it
+          const reopened = await client.query(
+            `UPDATE ingestion_runs SET
+               finished_at = NULL,
+               error = NULL,
+               lock_pid = $2,
+               resume_count = resume_count + 1
+             WHERE id = $1 AND batch_commit AND NOT completed AND rolled_back_at IS NULL
+             RETURNING *`,
+            [resumable.id, lockPid]
+          );
+
+          if (reopened.rows.length === 0) {
+            throw new BusinessLogicError(
+              `Ingestion run ${resumable.id} has already completed or was rolled back`
+            );
+          }
+
+          const run = reopened.rows[0];
+          runId = run.id;
+          metrics.inserted = run.records_inserted;
+          metrics.updated = run.records_updated;
+          metrics.skipped = run.records_skipped;
+          metrics.failed = run.records_failed;
+          metrics.invalid = run.records_invalid;
+          recordsFetched = run.records_fetched;
+          consumed = run.checkpoint_offset;
+
+          records = this.skipRecords(records, consumed, run.checkpoint_key);
+
+          console.log(`Resuming ingestion run ${runId} after ${consumed} records`);
+        } else {
+          // Empty input is refused before the run exists, so it leaves no run behind
+          batches = this.readBatches(records, batchSize);
+          next = await batches.next();
+
+          if (next.done) {
+            throw new ValidationError('Records array cannot be empty');
+          }
+
+          const params = Object.fromEntries(
+            RESUMABLE_OPTIONS
+              .filter(key => options[key] !== undefined)
+              .map(key => [key, options[key]])
+          );
+
+          const logResult = await client.query(
+            `INSERT INTO ingestion_runs
+             (source_type, started_at, records_fetched, lock_pid, batch_commit, params,
+              source_file, source_checksum)
+             VALUES ($1, $2, 0, $3, TRUE, $4, $5, $6)
+             RETURNING id`,
+            [
+              runSourceType,
+              new Date(),
+              lockPid,
+              JSON.stringify(params),
+              options.sourceFile ? options.sourceFile.name : null,
+              options.sourceFile ? options.sourceFile.checksum : null
+            ]
+          );
+          runId = logResult.rows[0].id;
+        }
+
+        const checkpoint = this.createCheckpoint(options, { recordsProcessed: consumed, runId });
+
+        if (!batches) {
+          batches = this.readBatches(records, batchSize);
+          next = await batches.next();
+        }
+
+        for (; !next.done; next = await batches.next()) {
+          const batch = next.value;
+          const batchMetrics = this.createMetrics();
+          const { records: prepared, invalid } = this.prepareRecords(
+            batch,
+            null,
+            options.validate !== false,
+            consumed,
+            options.onInvalid,
+            options.connector
+          );
+          const fetched = recordsFetched + prepared.length + invalid.length;
+
+          await db.transactionOn(client, async () => {
+            await this.quarantineRecords(client, invalid, runSourceType, runId);
+            batchMetrics.invalid = invalid.length;
+
+            const batchResult = await this.processBatch(
+              client,
+              prepared,
+              runSourceType,
+              batchSize,
+              { setBased: options.setBased === true, runId }
+            );
+            this.mergeMetrics(batchMetrics, batchResult.metrics);
+
+            if (options.reconcile === true) {
+              await tombstoneService.markSeen(
+                [...prepared, ...invalid.map(i => i.record)].map(r => r.source_key),
+                runId,
+                this.sourceTypesOf(connectorName),
+                client
+              );
+            }
+
+            const totals = this.mergeMetrics({ ...metrics }, batchMetrics);
+
+            // Committed together with the batch, so the checkpoint never runs
+            // ahead of (or behind) the written records
+            await client.query(
+              `UPDATE ingestion_runs SET
+                 checkpoint_offset = $2,
+                 checkpoint_key = $3,
+                 records_fetched = $4,
+                 records_inserted = $5,
+                 records_updated = $6,
+                 records_skipped = $7,
+                 records_failed = $8,
+                 records_invalid = $9
+               WHERE id = $1`,
+              [
+                runId,
+                consumed + batch.length,
+                batch[batch.length - 1].source_key,
+                fetched,
+                totals.inserted,
+                totals.updated,
+                totals.skipped,
+                totals.failed,
+                totals.invalid
+              ]
+            );
+          });
+
+          this.mergeMetrics(metrics, batchMetrics);
+          consumed += batch.length;
+          recordsFetched = fetched;
+
+          console.log(`Committed ${consumed} records (run ${runId})`);
+
+          await checkpoint(batch.length);
+        }
+
+        if (consumed === 0) {
+          throw new ValidationError('Records array cannot be empty');
+        }
+
+        const result = await db.transactionOn(client, async () => {
+          return await this.finishRun(
+            client,
+            { runId, sourceType: runSourceType, connector: connectorName },
+            metrics,
+            recordsFetched,
+            options,
+            startTime
+          );
+        });
+
+        result.commitPerBatch = true;
+        result.resumed = resumable !== null;
+
+        this.updateMetrics(result);
+
+        console.log(`Ingestion completed in ${result.processingTime}ms:`, {
+          inserted: result.recordsInserted,
+          updated: result.recordsUpdated,
+          skipped: result.recordsSkipped,
+          failed: result.recordsFailed,
+          invalid: result.recordsInvalid
+        });
+
+        return result;
+      } finally {
+        // Closes the source when the run stopped before reading all of it
+        if (batches) {
+          await batches.return();
+        }
+        await sourceLockService.release(client, source);
+      }
+    } catch (error) {
+      throw await this.failRun(runId, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Skip the records a run already consumed, checking that the source still
+   * starts the way it did (the last skipped record must be the checkpoint's)
+   */
+  async *skipRecords(source, count, checkpointKey) {
+    let index = 0;
+
+    for await (const record of source) {
+      if (index < count) {
+        index++;
+
+        if (index === count && record.source_key !== checkpointKey) {
+          throw new BusinessLogicError(
+            `Source no longer matches the run's checkpoint: record ${count} is ` +
+            `"${record.source_key}", expected "${checkpointKey}"; start a new run instead`
+          );
+        }
+        continue;
+      }
+
+      yield record;
+    }
+
+    if (index < count) {
+      throw new BusinessLogicError(
+        `Source has ${index} records but the run's checkpoint is at ${count}; start a new run instead`
+      );
+    }
+  }
+
+  /**
+   * Get an interrupted commitPerBatch run that can be resumed
+   */
+  async getResumableRun(runId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(runId)) {
+      throw new ValidationError('runId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      'SELECT * FROM ingestion_runs WHERE id = $1',
+      [runId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Ingestion run', runId);
+    }
+
+    const run = result.rows[0];
+
+    if (!run.batch_commit) {
+      throw new BusinessLogicError(
+        `Ingestion run ${runId} did not commit per batch; only those runs can be resumed`
+      );
+    }
+
+    if (run.completed) {
+      throw new BusinessLogicError(`Ingestion run ${runId} has already completed`);
+    }
+
+    if (run.rolled_back_at) {
+      throw new BusinessLogicError(`Ingestion run ${runId} was rolled back`);
+    }
+
+    return run;
+  }
+
+  /**
+   * Reconcile (when asked) and close a run's log row
+   * @param {Object} run - { runId, sourceType, connector }
+   * @returns {Object} run result
+   */
+  async finishRun(client, run, metrics, recordsFetched, options, startTime) {
+    // Withdraw records missing from this (complete) bulk run
+    let reconciliation = null;
+    if (options.reconcile === true) {
+      reconciliation = await tombstoneService.reconcile(
+        run.sourceType,
+        run.runId,
+        {
+          maxRatio: options.tombstoneThreshold,
+          sourceTypes: this.sourceTypesOf(run.connector)
+        },
+        client
+      );
+    }
+
+    const runErrors = [];
+    if (metrics.failed > 0) {
+      runErrors.push(`${metrics.failed} records failed to process (see dead_letters)`);
+    }
+    if (reconciliation && reconciliation.skipped) {
+      runErrors.push(`Reconciliation skipped: ${reconciliation.reason}`);
+    }
+
+    // Update ingestion run with results
+    await client.query(
+      `UPDATE ingestion_runs 
+       SET finished_at = $2, 
+           records_inserted = $3, 
+           records_updated = $4, 
+           error = $5,
+           records_fetched = $6,
+           records_invalid = $7,
+           records_withdrawn = $8,
+           records_skipped = $9,
+           records_failed = $10,
+           completed = TRUE
+       WHERE id = $1`,
+      [
+        run.runId,
+        new Date(),
+        metrics.inserted,
+        metrics.updated,
+        runErrors.length > 0 ? runErrors.join('; ') : null,
+        recordsFetched,
+        metrics.invalid,
+        reconciliation ? reconciliation.withdrawn : 0,
+        metrics.skipped,
+        metrics.failed
+      ]
+    );
+
+    return {
+      runId: run.runId,
+      sourceType: run.sourceType,
+      connector: run.connector,
+      recordsFetched,
+      recordsInserted: metrics.inserted,
+      recordsUpdated: metrics.updated,
+      recordsSkipped: metrics.skipped,
+      recordsFailed: metrics.failed,
+      recordsInvalid: metrics.invalid,
+      recordsWithdrawn: reconciliation ? reconciliation.withdrawn : 0,
+      reconciliation,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Log a failed run's error on its row (when it got one)
+   * @returns {Error} the error to rethrow
+   */
+  async failRun(runId, error) {
+    if (runId) {
+      try {
+        await db.query(
+          `UPDATE ingestion_runs 
+           SET finished_at = $2, error = $3 
+           WHERE id = $1`,
+          [runId, new Date(), error.message]
+        );
+      } catch (logError) {
+        console.error('Failed to log ingestion error:', logError);
+      }
+    }
+
+    this.metrics.totalErrors++;
+
+    if (
+      error instanceof ValidationError ||
+      error instanceof DatabaseError ||
+      error instanceof BusinessLogicError ||
+      error instanceof CancelledError ||
+      error instanceof SourceLockedError
+    ) {
+      return error;
+    }
+
+    return new DatabaseError(`Ingestion failed: ${error.message}`, error);
+  }
+
+  /**
+   * Push dead letters back through processRecord.
+   * Each dead letter runs in its own savepoint; successes are marked replayed,
+   * failures keep their entry with an incremented attempt count. The replay
+   * holds the lock of every source it writes, like a run of that source;
+   * options.waitForLock waits for a running one instead of failing with
+   * SourceLockedError.
+   */
+  async replayDeadLetters(ids, options = {}) {
+    const validateRecords = options.validate !== false;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new ValidationError('ids must be a non-empty array', 'ids');
+    }
+
+    if (ids.length > 100) {
+      throw new ValidationError('Cannot replay more than 100 dead letters at once', 'ids');
+    }
+
+    if (!ids.every(Number.isInteger)) {
+      throw new ValidationError('ids must be integers', 'ids');
+    }
+
+    await entityNameService.loadAliases();
+    await recordSchemaService.loadReferenceData();
+
+    return await db.transaction(async (client) => {
+      const deadLetters = await deadLetterService.getPendingByIds(ids, client);
+      const metrics = this.createMetrics();
+      const results = [];
+
+      // Always in the same order, so two replays cannot deadlock
+      const sources = [...new Set(deadLetters.map(deadLetter =>
+        sourceLockService.sourceOf(this.parseSourceType(deadLetter.source_type).connector)
+      ))].sort();
+
+      for (const source of sources) {
+        await sourceLockService.acquire(client, source, { wait: options.waitForLock === true });
+      }
+
+      for (const deadLetter of deadLetters) {
+        const recordMetrics = this.createMetrics();
+
+        try {
+          const result = await db.withSavepoint(client, 'replay_record', async () => {
+            // Re-derive normalized fields so mapping fixes apply to the replay
+            const { connector } = this.parseSourceType(deadLetter.source_type);
+            const record = this.normalizeRecord(deadLetter.payload, connector);
+
+            if (validateRecords) {
+              this.validateRecord(record, 0, connector);
+            }
+
+            return await this.processRecord(
+              client,
+              record,
+              deadLetter.source_type,
+              recordMetrics
+            );
+          });
+
+          this.mergeMetrics(metrics, recordMetrics);
+          await deadLetterService.markReplayed(deadLetter.id, client);
+          results.push({ deadLetterId: deadLetter.id, success: true, ...result });
+        } catch (error) {
+          metrics.failed++;
+          await deadLetterService.markAttemptFailed(deadLetter.id, error, client);
+          results.push({
+            deadLetterId: deadLetter.id,
+            success: false,
+            error: error.message,
+            sourceKey: deadLetter.source_key
+          });
+        }
+      }
+
+      const found = new Set(deadLetters.map(d => d.id));
+
+      return {
+        requested: ids.length,
+        notFound: ids.filter(id => !found.has(id)),
+        replayed: deadLetters.length - metrics.failed,
+        recordsInserted: metrics.inserted,
+        recordsUpdated: metrics.updated,
+        recordsSkipped: metrics.skipped,
+        recordsFailed: metrics.failed,
+        results
+      };
+    });
+  }
+
+  /**
+   * Recompute content_hash of stored records from their columns, e.g. after
+   * the hash inputs changed. Only the hash is written: no updated_at, history
+   * version or alert, so records do not look changed. A row a run rewrites
+   * meanwhile keeps the run's hash.
+   * @returns {{ recordsScanned: number, recordsRehashed: number }}
+   */
+  async rehashRecords(batchSize = 500) {
+    let lastId = 0;
+    let recordsScanned = 0;
+    let recordsRehashed = 0;
+
+    while (true) {
+      const result = await db.query(
+        `SELECT id, source_key, published_at, title, entity_name_raw, region,
+                record_id, status, document_url, content_hash
+         FROM records
+         WHERE id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [lastId, batchSize]
+      );
+
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      const changed = result.rows
+        .map(row => ({ ...row, to: this.generateContentHash(row) }))
+        .filter(row => row.content_hash !== row.to);
+
+      if (changed.length > 0) {
+        const updated = await db.query(
+          `UPDATE records r SET content_hash = v.to_hash
+           FROM unnest($1::int[], $2::text[], $3::text[]) AS v(id, from_hash, to_hash)
+           WHERE r.id = v.id AND r.content_hash IS NOT DISTINCT FROM v.from_hash`,
+          [
+            changed.map(row => row.id),
+            changed.map(row => row.content_hash),
+            changed.map(row => row.to)
+          ]
+        );
+        recordsRehashed += updated.rowCount;
+      }
+
+      recordsScanned += result.rows.length;
+      lastId = result.rows[result.rows.length - 1].id;
+
+      console.log(`Rehashed ${recordsScanned} records (${recordsRehashed} changed)`);
+    }
+
+    return { recordsScanned, recordsRehashed };
+  }
+
+  /**
+   * Update internal metrics
+   */
   updateMetrics(result) {
     this.metrics.totalIngestions++;
     this.metrics.totalRecordsProcessed += result.recordsFetched;
@@ -391,6 +2234,35 @@ class IngestionService {
       (currentAvg * (count - 1) + result.processingTime) / count;
   }
 
+  /**
+   * Get one ingestion run with its per-record items
+   * @param {Object} options - { action, sourceKey, limit, offset } item filters
+   */
+  async getRun(runId, options = {}, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(runId)) {
+      throw new ValidationError('runId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      'SELECT * FROM ingestion_runs WHERE id = $1',
+      [runId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Ingestion run', runId);
+    }
+
+    const { items, pagination } = await runItemService.getItems(runId, options, client);
+
+    return {
+      run: result.rows[0],
+      items,
+      pagination
+    };
+  }
+
   /**
    * Get ingestion history with pagination
    */
@@ -433,10 +2305,10 @@ class IngestionService {
   }
 
   /**
-   * Filter records by recent window
+   * Filter records by recent window (published at or after `since`)
    */
-  filterRecentWindow(records, hours = 72) {
-    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+  filterRecentWindow(records, since) {
+    const cutoff = new Date(since).getTime();
 
     return records.filter(r => {
       const ts = new Date(r.published_at).getTime();
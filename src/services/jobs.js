@@ -0,0 +1,446 @@
+/**
+ * Ingestion Job Service
+ * Postgres-backed queue of ingestion runs, drained by an in-process worker,
+ * so API requests return immediately and long runs can be polled and cancelled
+ */
+
+const connectors = require('../../connectors');
+const db = require('./database');
+const ingestionService = require('./ingestion');
+const sourceLockService = require('./sourceLocks');
+const watermarkService = require('./watermarks');
+const {
+  ValidationError,
+  BusinessLogicError,
+  NotFoundError,
+  CancelledError,
+  SourceLockedError
+} = require('./errors');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Pushed records are ingested by the request that carries them, never queued
+const JOB_MODES = ['bulk', 'recent'];
+
+class IngestionJobService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000');
+    // Running jobs without progress for this long belong to a dead worker
+    this.staleAfterMinutes = parseInt(process.env.JOB_STALE_MINUTES || '15');
+    // A live worker touches its job well within that, even between batches
+    this.heartbeatInterval = this.staleAfterMinutes * 60 * 1000 / 3;
+    this.timer = null;
+    this.active = null; // promise of the drain loop while it runs
+    this.stopping = true;
+  }
+
+  /**
+   * Queue an ingestion run. Unless params.waitForLock is set, a source that is
+   * being ingested right now is refused with SourceLockedError; queued jobs
+   * always wait for the source's lock when they start.
+   * @param {string} mode - 'bulk' or 'recent'
+   * @param {string} connectorName - registered connector
+   * @param {Object} params - ingestRecords options (plus `hours` for recent runs)
+   */
+  async enqueue(mode, connectorName, params = {}, client = null) {
+    const executor = client ?? db;
+
+    if (!JOB_MODES.includes(mode)) {
+      throw new ValidationError('mode must be either "bulk" or "recent"', 'mode');
+    }
+
+    if (!connectors.hasConnector(connectorName)) {
+      throw new NotFoundError('Connector', connectorName);
+    }
+
+    ingestionService.validateOptions(mode, { ...params, connector: connectorName });
+
+    if (params.waitForLock !== true && params.dryRun !== true) {
+      const source = sourceLockService.sourceOf(connectorName);
+      const holder = await sourceLockService.getHolder(source, client);
+
+      if (holder) {
+        throw new SourceLockedError(source, holder.runId);
+      }
+    }
+
+    const result = await executor.query(
+      `INSERT INTO ingestion_jobs (mode, connector, params)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [mode, connectorName, JSON.stringify(params)]
+    );
+
+    console.log(`Ingestion job ${result.rows[0].id} queued (${connectorName}:${mode})`);
+
+    this.wake();
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a job
+   */
+  async getJob(jobId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(jobId)) {
+      throw new ValidationError('jobId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      'SELECT * FROM ingestion_jobs WHERE id = $1',
+      [jobId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Ingestion job', jobId);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * List jobs, newest first
+   */
+  async getJobs(options = {}, client = null) {
+    const executor = client ?? db;
+    const { status = null, limit = 50, offset = 0 } = options;
+
+    if (limit > 100) {
+      throw new ValidationError('Limit cannot exceed 100');
+    }
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${JOB_STATUSES.join(', ')}`, 'status');
+    }
+
+    const whereClause = status ? 'WHERE status = $3' : '';
+    const params = status ? [limit, offset, status] : [limit, offset];
+
+    const result = await executor.query(
+      `SELECT * FROM ingestion_jobs
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled at once; running jobs stop at the
+   * next batch boundary and their run is rolled back (commitPerBatch runs keep
+   * the batches committed so far and can be resumed).
+   */
+  async cancelJob(jobId, client = null) {
+    const executor = client ?? db;
+
+    const job = await this.getJob(jobId, client);
+
+    if (!['queued', 'running'].includes(job.status)) {
+      throw new BusinessLogicError(`Ingestion job ${jobId} is already ${job.status}`);
+    }
+
+    let result = await executor.query(
+      `UPDATE ingestion_jobs SET
+         status = 'cancelled',
+         cancel_requested = TRUE,
+         finished_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'queued'
+       RETURNING *`,
+      [jobId]
+    );
+
+    // Running (or claimed since it was read): the worker stops it
+    if (result.rows.length === 0) {
+      result = await executor.query(
+        `UPDATE ingestion_jobs SET cancel_requested = TRUE, updated_at = NOW()
+         WHERE id = $1 AND status = 'running'
+         RETURNING *`,
+        [jobId]
+      );
+    }
+
+    // Finished in the meantime
+    if (result.rows.length === 0) {
+      return await this.getJob(jobId, client);
+    }
+
+    console.log(`Ingestion job ${jobId} cancellation requested`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the oldest queued job (safe with several workers)
+   */
+  async claimNext() {
+    const result = await db.query(
+      `UPDATE ingestion_jobs SET
+         status = 'running',
+         started_at = NOW(),
+         updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM ingestion_jobs
+         WHERE status = 'queued'
+         ORDER BY id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put a running job back in the queue. Its run was rolled back, unless it
+   * committed per batch: then the job resumes that run instead of starting over.
+   */
+  async requeueJob(jobId) {
+    const job = await this.getJob(jobId);
+    const params = job.run_id
+      ? { ...job.params, resumeRunId: job.run_id }
+      : job.params;
+
+    await db.query(
+      `UPDATE ingestion_jobs SET
+         status = 'queued',
+         params = $2,
+         started_at = NULL,
+         records_processed = 0,
+         current_batch = 0,
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'running'`,
+      [jobId, JSON.stringify(params)]
+    );
+  }
+
+  /**
+   * Put back jobs whose worker died mid-run. A job whose run is still active
+   * (unfinished, its lock held by a live backend) is never put back.
+   */
+  async requeueStale() {
+    const result = await db.query(
+      `SELECT j.id FROM ingestion_jobs j
+       WHERE j.status = 'running'
+         AND j.updated_at < NOW() - $1 * INTERVAL '1 minute'
+         AND NOT EXISTS (
+           SELECT 1 FROM ingestion_runs r
+           JOIN pg_stat_activity a ON a.pid = r.lock_pid
+           WHERE r.id = j.run_id AND r.finished_at IS NULL
+         )`,
+      [this.staleAfterMinutes]
+    );
+
+    for (const row of result.rows) {
+      await this.requeueJob(row.id);
+      console.warn(`Ingestion job ${row.id} stalled; re-queued`);
+    }
+  }
+
+  /**
+   * Store progress of a running job (and its run, once a commitPerBatch run
+   * has committed something)
+   * @returns {boolean} whether cancellation was requested
+   */
+  async updateProgress(jobId, progress) {
+    const result = await db.query(
+      `UPDATE ingestion_jobs SET
+         records_processed = $2,
+         current_batch = $3,
+         run_id = COALESCE($4, run_id),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING cancel_requested`,
+      [jobId, progress.recordsProcessed, progress.currentBatch, progress.runId || null]
+    );
+
+    return result.rows.length > 0 && result.rows[0].cancel_requested;
+  }
+
+  /**
+   * Touch a running job every heartbeatInterval while this worker runs it,
+   * including while it waits for its source's lock, so requeueStale() only
+   * picks up jobs of dead workers
+   * @returns {Function} stops the heartbeat
+   */
+  startHeartbeat(jobId) {
+    const timer = setInterval(() => {
+      db.query(
+        `UPDATE ingestion_jobs SET updated_at = NOW()
+         WHERE id = $1 AND status = 'running'`,
+        [jobId]
+      ).catch(error => {
+        console.error(`Ingestion job ${jobId} heartbeat failed:`, error.message);
+      });
+    }, this.heartbeatInterval);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Move a job to a final state (a failed or cancelled job keeps the run id
+   * its progress recorded, so a commitPerBatch run can still be resumed)
+   */
+  async finishJob(jobId, status, { result = null, error = null } = {}) {
+    await db.query(
+      `UPDATE ingestion_jobs SET
+         status = $2,
+         run_id = COALESCE($3, run_id),
+         result = $4,
+         error = $5,
+         finished_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $1`,
+      [
+        jobId,
+        status,
+        result ? result.runId : null,
+        result ? JSON.stringify(result) : null,
+        error
+      ]
+    );
+  }
+
+  /**
+   * Execute one claimed job
+   */
+  async runJob(job) {
+    const params = job.params || {};
+    let cancelRequested = job.cancel_requested;
+
+    console.log(`Running ingestion job ${job.id} (${job.connector}:${job.mode})`);
+
+    const stopHeartbeat = this.startHeartbeat(job.id);
+
+    try {
+      const { name, connector } = connectors.getConnector(job.connector);
+
+      // Recent runs read from the source's watermark, taken when the job starts
+      const window = job.mode === 'recent'
+        ? await watermarkService.getWindow(watermarkService.sourceOf(name), params)
+        : null;
+      const records = job.mode === 'bulk'
+        ? await connectors.openBulk(connector)
+        : await connectors.openRecent(connector, params.hours, window);
+
+      const result = await ingestionService.ingestRecords(records, job.mode, {
+        ...params,
+        ...(window && { since: window.since }),
+        connector: name,
+        waitForLock: true,
+        onProgress: async (progress) => {
+          cancelRequested = await this.updateProgress(job.id, progress);
+        },
+        // Shutting down also stops the run; the job is re-queued below
+        shouldCancel: () => cancelRequested || this.stopping
+      });
+
+      await this.finishJob(job.id, 'succeeded', { result });
+      console.log(`Ingestion job ${job.id} succeeded`);
+    } catch (error) {
+      if (error instanceof CancelledError && !cancelRequested) {
+        await this.requeueJob(job.id);
+        console.log(`Ingestion job ${job.id} interrupted by shutdown; re-queued`);
+      } else if (error instanceof CancelledError) {
+        await this.finishJob(job.id, 'cancelled', { error: error.message });
+        console.log(`Ingestion job ${job.id} cancelled`);
+      } else {
+        await this.finishJob(job.id, 'failed', { error: error.message });
+        console.error(`Ingestion job ${job.id} failed:`, error.message);
+      }
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  /**
+   * Run queued jobs one after another until the queue is empty
+   */
+  async drain() {
+    try {
+      await this.requeueStale();
+
+      let job;
+      while (!this.stopping && (job = await this.claimNext())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Ingestion job worker error:', error.message);
+    }
+  }
+
+  /**
+   * Schedule the next drain of the queue
+   */
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.active = this.drain().finally(() => {
+        this.active = null;
+        if (!this.stopping) {
+          this.schedule(this.pollInterval);
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * Start the in-process worker
+   */
+  start() {
+    if (!this.stopping) {
+      return;
+    }
+
+    this.stopping = false;
+    this.schedule(0);
+    console.log(`Ingestion job worker started (polling every ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * Pick up a newly queued job without waiting for the next poll
+   */
+  wake() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Stop the worker; a running job stops at its next batch and is re-queued
+   */
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.active) {
+      await this.active;
+    }
+  }
+
+  /**
+   * Worker state for health checks
+   */
+  getStats() {
+    return {
+      running: !this.stopping,
+      busy: this.active !== null,
+      pollInterval: this.pollInterval
+    };
+  }
+}
+
+// Export singleton instance
+const ingestionJobService = new IngestionJobService();
+
+module.exports = ingestionJobService;
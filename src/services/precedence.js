@@ -0,0 +1,303 @@
+/**
+ * Precedence Service
+ * Decides whether a source may overwrite a record last written by another
+ * source, based on a configurable policy, and records every decision
+ *
+ * Policy (PRECEDENCE_POLICY_FILE, a JSON file or a JS module exporting the object):
+ *   ranks          - source type ("tx_rrc:bulk") or mode ("bulk") -> rank;
+ *                    a source may overwrite records owned by an equal or lower rank
+ *   defaultRank    - rank of sources not listed
+ *   fields         - source type or mode -> fields it may update on records
+ *                    owned by a higher-ranked source (e.g. { "recent": ["status"] })
+ *   freshnessHours - once the owning source has not written a record for this
+ *                    long, lower-ranked sources may overwrite it (null: never)
+ *   decide         - (JS modules only) custom decision function, see decide()
+ */
+
+const path = require('path');
+const db = require('./database');
+const { ValidationError } = require('./errors');
+
+// Default: bulk is master, recent (and pushed) records must not override bulk
+const DEFAULT_POLICY = {
+  ranks: { bulk: 2, recent: 1, push: 1 },
+  defaultRank: 0,
+  fields: {},
+  freshnessHours: null
+};
+
+// Record fields a policy may grant field-level precedence on
+const POLICY_FIELDS = [
+  'published_at',
+  'title',
+  'entity_name_raw',
+  'region',
+  'record_id',
+  'status',
+  'document_url'
+];
+
+const OUTCOMES = ['applied', 'partial', 'rejected'];
+
+class PrecedenceService {
+  constructor() {
+    this.policy = null;
+    this.setPolicy(this.loadPolicyFile());
+  }
+
+  /**
+   * Load the policy named by PRECEDENCE_POLICY_FILE (default policy if unset)
+   */
+  loadPolicyFile(file = process.env.PRECEDENCE_POLICY_FILE) {
+    if (!file) {
+      return DEFAULT_POLICY;
+    }
+
+    return require(path.resolve(process.cwd(), file));
+  }
+
+  /**
+   * Validate and install a policy (missing keys fall back to the default)
+   */
+  setPolicy(policy) {
+    const merged = { ...DEFAULT_POLICY, ...policy };
+
+    for (const [source, rank] of Object.entries(merged.ranks)) {
+      if (!Number.isInteger(rank)) {
+        throw new ValidationError(`Precedence rank for "${source}" must be an integer`, 'ranks');
+      }
+    }
+
+    for (const [source, fields] of Object.entries(merged.fields)) {
+      if (!Array.isArray(fields) || !fields.every(field => POLICY_FIELDS.includes(field))) {
+        throw new ValidationError(
+          `Precedence fields for "${source}" must be a list of: ${POLICY_FIELDS.join(', ')}`,
+          'fields'
+        );
+      }
+    }
+
+    if (merged.freshnessHours !== null && !(merged.freshnessHours > 0)) {
+      throw new ValidationError('freshnessHours must be a positive number or null', 'freshnessHours');
+    }
+
+    if (merged.decide !== undefined && typeof merged.decide !== 'function') {
+      throw new ValidationError('decide must be a function', 'decide');
+    }
+
+    this.policy = merged;
+    return merged;
+  }
+
+  /**
+   * Policy entry for a source type: exact source type first, then its mode
+   */
+  lookup(entries, sourceType) {
+    if (!sourceType) {
+      return undefined;
+    }
+
+    if (entries[sourceType] !== undefined) {
+      return entries[sourceType];
+    }
+
+    return entries[sourceType.slice(sourceType.lastIndexOf(':') + 1)];
+  }
+
+  /**
+   * Rank of a source type
+   */
+  rankOf(sourceType) {
+    return this.lookup(this.policy.ranks, sourceType) ?? this.policy.defaultRank;
+  }
+
+  /**
+   * Fields a source type may update on records owned by higher-ranked sources
+   */
+  fieldsFor(sourceType) {
+    return this.lookup(this.policy.fields, sourceType) || [];
+  }
+
+  /**
+   * Decide whether `incomingSourceType` may overwrite a record owned by
+   * `existing.sourceType` (last written by it at `existing.sourceAt`)
+   * @returns {{ outcome: 'applied'|'partial'|'rejected', reason: string,
+   *   fields: string[]|null, incomingRank: number, existingRank: number }}
+   */
+  decide(existing, incomingSourceType, now = new Date()) {
+    const incomingRank = this.rankOf(incomingSourceType);
+    const existingRank = this.rankOf(existing.sourceType);
+    const base = { incomingRank, existingRank, fields: null };
+
+    if (this.policy.decide) {
+      return { ...base, ...this.policy.decide(existing, incomingSourceType, base) };
+    }
+
+    if (incomingRank >= existingRank) {
+      return { ...base, outcome: 'applied', reason: 'rank' };
+    }
+
+    const { freshnessHours } = this.policy;
+    if (
+      freshnessHours !== null &&
+      existing.sourceAt &&
+      now - new Date(existing.sourceAt) > freshnessHours * 60 * 60 * 1000
+    ) {
+      return { ...base, outcome: 'applied', reason: 'stale' };
+    }
+
+    const fields = this.fieldsFor(incomingSourceType);
+    if (fields.length > 0) {
+      return { ...base, outcome: 'partial', reason: 'field_precedence', fields };
+    }
+
+    return { ...base, outcome: 'rejected', reason: 'rank' };
+  }
+
+  /**
+   * Store precedence decisions. A decision is skipped when the last decision
+   * for the same record and incoming source was about the same content and
+   * had the same outcome, so a source that keeps delivering a rejected change
+   * is logged once.
+   * @param {Object[]} decisions - { runId, recordId, sourceKey, incomingSourceType,
+   *   existingSourceType, incomingHash, decision } where decision is a decide() result
+   */
+  async recordDecisions(decisions, client = null) {
+    const executor = client ?? db;
+
+    if (decisions.length === 0) {
+      return;
+    }
+
+    const last = await executor.query(
+      `SELECT DISTINCT ON (record_id, incoming_source_type)
+              record_id, incoming_source_type, incoming_hash, outcome
+       FROM precedence_decisions
+       WHERE record_id = ANY($1::int[])
+       ORDER BY record_id, incoming_source_type, id DESC`,
+      [[...new Set(decisions.map(d => d.recordId))]]
+    );
+    const lastDecided = new Map(
+      last.rows.map(row => [`${row.record_id}|${row.incoming_source_type}`, row])
+    );
+
+    const changed = decisions.filter(d => {
+      const previous = lastDecided.get(`${d.recordId}|${d.incomingSourceType}`);
+      return !d.incomingHash || !previous ||
+        previous.incoming_hash !== d.incomingHash || previous.outcome !== d.decision.outcome;
+    });
+
+    if (changed.length === 0) {
+      return;
+    }
+
+    const values = changed
+      .map((_, index) => {
+        const offset = index * 11;
+        return `(${Array.from({ length: 11 }, (__, i) => `$${offset + i + 1}`).join(', ')})`;
+      })
+      .join(', ');
+
+    const params = changed.flatMap(d => [
+      d.runId,
+      d.recordId,
+      d.sourceKey,
+      d.incomingSourceType,
+      d.existingSourceType,
+      d.decision.incomingRank,
+      d.decision.existingRank,
+      d.decision.outcome,
+      d.decision.reason,
+      d.decision.fields ? JSON.stringify(d.decision.fields) : null,
+      d.incomingHash ?? null
+    ]);
+
+    await executor.query(
+      `INSERT INTO precedence_decisions
+       (run_id, record_id, source_key, incoming_source_type, existing_source_type,
+        incoming_rank, existing_rank, outcome, reason, fields, incoming_hash)
+       VALUES ${values}`,
+      params
+    );
+  }
+
+  /**
+   * Get recorded decisions with pagination and filtering
+   */
+  async getDecisions(options = {}, client = null) {
+    const executor = client ?? db;
+
+    const {
+      sourceKey = null,
+      runId = null,
+      outcome = null,
+      limit = 50,
+      offset = 0
+    } = options;
+
+    if (limit > 100) {
+      throw new ValidationError('Limit cannot exceed 100');
+    }
+
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (sourceKey) {
+      conditions.push(`source_key = $${paramIndex++}`);
+      params.push(sourceKey);
+    }
+
+    if (runId) {
+      conditions.push(`run_id = $${paramIndex++}`);
+      params.push(runId);
+    }
+
+    if (outcome) {
+      if (!OUTCOMES.includes(outcome)) {
+        throw new ValidationError('outcome must be one of "applied", "partial" or "rejected"');
+      }
+      conditions.push(`outcome = $${paramIndex++}`);
+      params.push(outcome);
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const result = await executor.query(
+      `SELECT * FROM precedence_decisions
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await executor.query(
+      `SELECT COUNT(*) as total FROM precedence_decisions ${whereClause}`,
+      params
+    );
+
+    return {
+      decisions: result.rows,
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(countResult.rows[0].total)
+      }
+    };
+  }
+
+  /**
+   * Current policy (without a custom decide function)
+   */
+  getPolicy() {
+    const { decide, ...policy } = this.policy;
+    return { ...policy, customDecide: Boolean(decide) };
+  }
+}
+
+// Export singleton instance
+const precedenceService = new PrecedenceService();
+
+module.exports = precedenceService;
@@ -0,0 +1,208 @@
+/**
+ * Push Service
+ * Lets registered partners push canonical records to POST /api/ingest/push
+ * instead of being polled. Each request is signed with the partner's secret:
+ *
+ *   X-Push-Partner:   partner name (PUSH_PARTNERS)
+ *   X-Push-Timestamp: Unix time in seconds
+ *   X-Push-Nonce:     unique per request (1-128 characters)
+ *   X-Push-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+ *
+ * Requests outside the timestamp tolerance, or repeating a nonce the partner
+ * already used, are rejected as replays. Accepted records are ingested under
+ * the source type "<partner>:push".
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const ingestionService = require('./ingestion');
+const { ValidationError, AuthenticationError } = require('./errors');
+
+const PARTNER_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const NONCE_PATTERN = /^[\x21-\x7e]{1,128}$/; // printable ASCII, no spaces
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * A record must be a JSON object (not null, an array or a scalar)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class PushService {
+  constructor() {
+    this.partners = new Map();
+    this.toleranceSeconds = parseInt(process.env.PUSH_TOLERANCE_SECONDS || '300');
+    this.loadPartners();
+  }
+
+  /**
+   * Register the partners listed in PUSH_PARTNERS, replacing any registered before
+   * Format: name=secret[,name=secret...]
+   */
+  loadPartners(spec = process.env.PUSH_PARTNERS) {
+    const partners = new Map();
+
+    for (const entry of (spec || '').split(',').filter(part => part.trim())) {
+      const separator = entry.indexOf('=');
+      const name = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+
+      if (separator === -1 || !PARTNER_NAME_PATTERN.test(name) || !secret) {
+        throw new Error(`Invalid PUSH_PARTNERS entry for "${name || entry}": use name=secret`);
+      }
+
+      partners.set(name, secret);
+    }
+
+    this.partners = partners;
+  }
+
+  /**
+   * Names of the registered partners
+   */
+  listPartners() {
+    return [...this.partners.keys()].sort();
+  }
+
+  /**
+   * Signature of a push request (what the partner sends in X-Push-Signature)
+   * @param {Buffer|string} body - the raw request body
+   */
+  sign(secret, timestamp, nonce, body) {
+    return SIGNATURE_PREFIX + crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${nonce}.`)
+      .update(body)
+      .digest('hex');
+  }
+
+  /**
+   * Authenticate a push request and use up its nonce
+   * @param {Object} headers - { partner, timestamp, nonce, signature }
+   * @param {Buffer} body - the raw request body, exactly as received
+   * @returns {string} the partner name
+   */
+  async verify(headers, body, now = Date.now()) {
+    const { partner, timestamp, nonce, signature } = headers;
+    const secret = partner ? this.partners.get(partner) : null;
+
+    if (!secret) {
+      throw new AuthenticationError(`Unknown push partner "${partner || ''}"`);
+    }
+
+    if (!/^\d+$/.test(timestamp || '') || !NONCE_PATTERN.test(nonce || '') || !signature) {
+      throw new AuthenticationError(
+        'Push requests need X-Push-Timestamp, X-Push-Nonce and X-Push-Signature headers'
+      );
+    }
+
+    const expected = Buffer.from(this.sign(secret, timestamp, nonce, body));
+    const given = Buffer.from(signature);
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new AuthenticationError('Invalid push signature');
+    }
+
+    if (Math.abs(now / 1000 - parseInt(timestamp)) > this.toleranceSeconds) {
+      throw new AuthenticationError(
+        `Push timestamp is more than ${this.toleranceSeconds}s away from server time`
+      );
+    }
+
+    // Nonces only need to outlive the tolerance (twice, for clock skew)
+    await db.query(
+      `DELETE FROM push_nonces WHERE received_at < $1`,
+      [new Date(now - 2 * this.toleranceSeconds * 1000)]
+    );
+
+    const stored = await db.query(
+      `INSERT INTO push_nonces (partner, nonce, received_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (partner, nonce) DO NOTHING
+       RETURNING nonce`,
+      [partner, nonce, new Date(now)]
+    );
+
+    if (stored.rows.length === 0) {
+      throw new AuthenticationError(`Push nonce "${nonce}" was already used (replayed request)`);
+    }
+
+    return partner;
+  }
+
+  /**
+   * Parse a push body: a JSON array of records, or NDJSON (one record per line)
+   * Every record must be a JSON object; call before verify() so a rejected
+   * body does not use up its nonce
+   * @param {string} format - 'json' or 'ndjson'
+   */
+  parseRecords(body, format = 'json') {
+    const text = body.toString('utf8');
+
+    if (format === 'ndjson') {
+      const records = [];
+
+      text.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          throw new ValidationError(`Invalid JSON on line ${index + 1}: ${error.message}`, 'body');
+        }
+
+        if (!isPlainObject(record)) {
+          throw new ValidationError(`Line ${index + 1} is not a JSON object`, 'body');
+        }
+
+        records.push(record);
+      });
+
+      return records;
+    }
+
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON body: ${error.message}`, 'body');
+    }
+
+    if (!Array.isArray(records)) {
+      throw new ValidationError('Push body must be a JSON array of records', 'body');
+    }
+
+    const invalidIndex = records.findIndex(record => !isPlainObject(record));
+    if (invalidIndex !== -1) {
+      throw new ValidationError(`Element ${invalidIndex} of the push body is not a JSON object`, 'body');
+    }
+
+    return records;
+  }
+
+  /**
+   * Ingest a partner's records through the normal ingestion path
+   * (records without raw_json keep what the partner sent as raw_json)
+   */
+  async ingest(partner, records) {
+    const withRaw = records.map(record =>
+      record.raw_json === undefined
+        ? { ...record, raw_json: record }
+        : record
+    );
+
+    return ingestionService.ingestRecords(withRaw, 'push', {
+      connector: partner,
+      waitForLock: true
+    });
+  }
+}
+
+// Export singleton instance
+const pushService = new PushService();
+
+module.exports = pushService;
@@ -0,0 +1,200 @@
+/**
+ * Record History Service
+ * Captures prior record states before they are overwritten and builds
+ * field-level change timelines from them
+ */
+
+const db = require('./database');
+const { ValidationError, NotFoundError } = require('./errors');
+
+// Fields tracked in version snapshots (content that regulators change)
+const HISTORY_FIELDS = [
+  'published_at',
+  'title',
+  'entity_name_raw',
+  'entity_name_norm',
+  'region',
+  'record_id',
+  'status',
+  'document_url'
+];
+
+/**
+ * SQL expression building a snapshot of a records row aliased as `alias`
+ */
+function snapshotSql(alias) {
+  const pairs = HISTORY_FIELDS.map(field => `'${field}', ${alias}.${field}`);
+  return `jsonb_build_object(${pairs.join(', ')})`;
+}
+
+class RecordHistoryService {
+  /**
+   * Save the current state of one record as a version, before it is updated
+   */
+  async snapshotRecord(recordId, supersededByRunId = null, client = null) {
+    const executor = client ?? db;
+
+    await executor.query(
+      `INSERT INTO record_versions
+       (record_id, run_id, source_type, superseded_by_run_id, snapshot, content_hash,
+        raw_json, source_at, valid_from)
+       SELECT r.id, r.last_run_id, r.last_source_type, $2, ${snapshotSql('r')},
+              r.content_hash, r.raw_json, r.last_source_at, r.updated_at
+       FROM records r
+       WHERE r.id = $1`,
+      [recordId, supersededByRunId]
+    );
+  }
+
+  /**
+   * Save the current state of several records, before they are updated
+   */
+  async snapshotRecords(recordIds, supersededByRunId = null, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `INSERT INTO record_versions
+       (record_id, run_id, source_type, superseded_by_run_id, snapshot, content_hash,
+        raw_json, source_at, valid_from)
+       SELECT r.id, r.last_run_id, r.last_source_type, $2, ${snapshotSql('r')},
+              r.content_hash, r.raw_json, r.last_source_at, r.updated_at
+       FROM records r
+       WHERE r.id = ANY($1::int[])`,
+      [recordIds, supersededByRunId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Save the current state of every record the staged batch is about to
+   * change (same condition as the set-based upsert's ON CONFLICT clause;
+   * records the precedence policy protects are removed from staging first)
+   */
+  async snapshotStaged(supersededByRunId = null, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `INSERT INTO record_versions
+       (record_id, run_id, source_type, superseded_by_run_id, snapshot, content_hash,
+        raw_json, source_at, valid_from)
+       SELECT r.id, r.last_run_id, r.last_source_type, $1, ${snapshotSql('r')},
+              r.content_hash, r.raw_json, r.last_source_at, r.updated_at
+       FROM records r
+       JOIN records_staging s ON s.source_key = r.source_key
+       WHERE r.content_hash <> s.content_hash`,
+      [supersededByRunId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * SQL expression building a snapshot of a records row aliased as `alias`
+   */
+  snapshotSql(alias) {
+    return snapshotSql(alias);
+  }
+
+  /**
+   * Snapshot of a canonical record, in the shape of the stored snapshots
+   */
+  buildSnapshot(record) {
+    return Object.fromEntries(HISTORY_FIELDS.map(field => [field, record[field] ?? null]));
+  }
+
+  /**
+   * Field-level differences between two snapshots
+   */
+  diffSnapshots(previous, next) {
+    const changes = [];
+
+    for (const field of HISTORY_FIELDS) {
+      const from = previous[field] ?? null;
+      const to = next[field] ?? null;
+
+      if (from !== to) {
+        changes.push({ field, from, to });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get the ordered version history of a record (oldest first, current last)
+   */
+  async getHistory(recordId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(recordId)) {
+      throw new ValidationError('recordId must be a valid integer');
+    }
+
+    const currentResult = await executor.query(
+      `SELECT r.id, r.source_key, r.last_run_id, r.last_source_type, r.content_hash,
+              r.created_at, r.updated_at, ${snapshotSql('r')} AS snapshot
+       FROM records r
+       WHERE r.id = $1`,
+      [recordId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      throw new NotFoundError('Record', recordId);
+    }
+
+    const current = currentResult.rows[0];
+
+    const versionsResult = await executor.query(
+      `SELECT * FROM record_versions
+       WHERE record_id = $1
+       ORDER BY valid_to ASC, id ASC`,
+      [recordId]
+    );
+
+    const states = [
+      ...versionsResult.rows.map(v => ({
+        versionId: v.id,
+        runId: v.run_id,
+        sourceType: v.source_type,
+        supersededByRunId: v.superseded_by_run_id,
+        contentHash: v.content_hash,
+        validFrom: v.valid_from,
+        validTo: v.valid_to,
+        current: false,
+        snapshot: v.snapshot
+      })),
+      {
+        versionId: null,
+        runId: current.last_run_id,
+        sourceType: current.last_source_type,
+        supersededByRunId: null,
+        contentHash: current.content_hash,
+        validFrom: current.updated_at,
+        validTo: null,
+        current: true,
+        snapshot: current.snapshot
+      }
+    ];
+
+    const versions = states.map((state, index) => ({
+      version: index + 1,
+      ...state,
+      changes: index === 0
+        ? null
+        : this.diffSnapshots(states[index - 1].snapshot, state.snapshot)
+    }));
+
+    return {
+      recordId: current.id,
+      sourceKey: current.source_key,
+      createdAt: current.created_at,
+      versions
+    };
+  }
+}
+
+// Export singleton instance
+const recordHistoryService = new RecordHistoryService();
+
+module.exports = recordHistoryService;
@@ -0,0 +1,249 @@
+/**
+ * Record Schema Service
+ * Validates canonical records against JSON Schema definitions, one per source,
+ * and against the reference vocabularies (regions, statuses per region).
+ *
+ * Schemas are the JSON files in RECORD_SCHEMA_DIR (default schemas/records):
+ * "<connector>.json" applies to that connector's records, "default.json" to
+ * every other source. Each file's "$id" is its name, so a source schema can
+ * build on the default with { "allOf": [{ "$ref": "default" }, ...] }.
+ *
+ * Besides standard JSON Schema, schemas may use:
+ *   "format": "timestamp"      - any date string Date can parse
+ *   "reference": "regions"     - value must be a code in the regions table
+ *   "reference": "statuses"    - value must be allowed for the record's region
+ *                                (region_statuses; rows without a region are
+ *                                the vocabulary of regions without their own)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const db = require('./database');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_SCHEMA = 'default';
+const REFERENCES = ['regions', 'statuses'];
+
+class RecordSchemaService {
+  constructor() {
+    this.schemaDir = path.resolve(
+      process.cwd(),
+      process.env.RECORD_SCHEMA_DIR || path.join(__dirname, '../../schemas/records')
+    );
+    this.regions = new Set();
+    this.statuses = new Map(); // region (null: default vocabulary) -> Set of statuses
+    this.lastCacheUpdate = null;
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+
+    this.createValidator();
+    this.loadSchemaFiles();
+  }
+
+  /**
+   * Ajv instance with the custom format and reference keyword
+   */
+  createValidator() {
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.validators = new Map();
+
+    this.ajv.addFormat('timestamp', value => !isNaN(new Date(value).getTime()));
+
+    const service = this;
+    this.ajv.addKeyword({
+      keyword: 'reference',
+      schemaType: 'string',
+      metaSchema: { enum: REFERENCES },
+      errors: true,
+      validate: function checkReference(reference, value, parentSchema, dataCxt) {
+        const message = service.checkReference(reference, value, dataCxt.parentData);
+        checkReference.errors = message ? [{ keyword: 'reference', message, params: { reference } }] : [];
+        return !message;
+      }
+    });
+  }
+
+  /**
+   * Load every schema file in the schema directory
+   */
+  loadSchemaFiles() {
+    const sources = fs.readdirSync(this.schemaDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const source = path.basename(file, '.json');
+        const schema = JSON.parse(fs.readFileSync(path.join(this.schemaDir, file), 'utf8'));
+        this.add(source, schema);
+        return source;
+      });
+
+    // Compiled once all are added, so $refs between files resolve in any order
+    for (const source of sources) {
+      this.compile(source);
+    }
+
+    if (!this.validators.has(DEFAULT_SCHEMA)) {
+      throw new ValidationError(`${this.schemaDir} has no ${DEFAULT_SCHEMA}.json record schema`);
+    }
+  }
+
+  /**
+   * Install (or replace) the schema of a source
+   * @param {string} source - connector name, or "default"
+   */
+  setSchema(source, schema) {
+    this.add(source, schema);
+    this.compile(source);
+  }
+
+  /**
+   * Add a schema under the source's name, replacing any previous one
+   */
+  add(source, schema) {
+    const withId = { ...schema, $id: source };
+
+    if (!this.ajv.validateSchema(withId)) {
+      throw new ValidationError(
+        `Invalid record schema "${source}": ${this.ajv.errorsText(this.ajv.errors)}`,
+        'schema'
+      );
+    }
+
+    this.ajv.removeSchema(source);
+    this.ajv.addSchema(withId);
+  }
+
+  /**
+   * Compile an added schema into the validator used for its source
+   */
+  compile(source) {
+    try {
+      this.validators.set(source, this.ajv.getSchema(source));
+    } catch (error) {
+      this.ajv.removeSchema(source);
+      throw new ValidationError(`Invalid record schema "${source}": ${error.message}`, 'schema');
+    }
+  }
+
+  /**
+   * Remove a source's schema (its records fall back to the default)
+   */
+  removeSchema(source) {
+    if (source === DEFAULT_SCHEMA) {
+      throw new ValidationError('The default record schema cannot be removed');
+    }
+
+    this.ajv.removeSchema(source);
+    this.validators.delete(source);
+  }
+
+  /**
+   * Names of the installed schemas
+   */
+  getSchemaNames() {
+    return [...this.validators.keys()].sort();
+  }
+
+  /**
+   * Load the reference tables into memory
+   */
+  async refreshReferenceData(client = null) {
+    const executor = client ?? db;
+
+    const regions = await executor.query('SELECT code FROM regions');
+    const statuses = await executor.query('SELECT region, status FROM region_statuses');
+
+    this.regions = new Set(regions.rows.map(row => row.code));
+    this.statuses = new Map();
+
+    for (const { region, status } of statuses.rows) {
+      if (!this.statuses.has(region)) {
+        this.statuses.set(region, new Set());
+      }
+      this.statuses.get(region).add(status);
+    }
+
+    this.lastCacheUpdate = Date.now();
+  }
+
+  /**
+   * Refresh the reference cache if it is stale
+   */
+  async loadReferenceData(client = null) {
+    const cacheAge = this.lastCacheUpdate
+      ? Date.now() - this.lastCacheUpdate
+      : Infinity;
+
+    if (cacheAge > this.cacheTimeout) {
+      await this.refreshReferenceData(client);
+    }
+  }
+
+  /**
+   * Check a value against a reference vocabulary
+   * @returns {string|null} error message, null when the value is allowed
+   */
+  checkReference(reference, value, record) {
+    if (reference === 'regions') {
+      return this.regions.has(value) ? null : `"${value}" is not a known region`;
+    }
+
+    const allowed = this.statuses.get(record.region) || this.statuses.get(null);
+
+    // No vocabulary for the region (and no default one): any status goes
+    if (!allowed || allowed.has(value)) {
+      return null;
+    }
+
+    return `"${value}" is not an allowed status` +
+      (this.statuses.has(record.region) ? ` for region ${record.region}` : '') +
+      ` (allowed: ${[...allowed].sort().join(', ')})`;
+  }
+
+  /**
+   * Validate a record against its source's schema.
+   * Call loadReferenceData() first to pick up reference table changes.
+   * @param {string} connector - source of the record (null: default schema)
+   * @returns {{ path: string, rule: string, message: string }[]} every problem
+   *   found (empty when valid); path is a JSON Pointer into the record, rule the
+   *   failing keyword ("required", "pattern", "reference:regions", ...)
+   */
+  validate(record, connector = null) {
+    const validator = this.validators.get(connector) || this.validators.get(DEFAULT_SCHEMA);
+
+    if (validator(record)) {
+      return [];
+    }
+
+    // A value that is already malformed is not looked up as well
+    const malformed = new Set(
+      validator.errors
+        .filter(error => error.keyword !== 'reference')
+        .map(error => error.instancePath)
+    );
+
+    return validator.errors
+      .filter(error => error.keyword !== 'reference' || !malformed.has(error.instancePath))
+      .map(error => {
+        if (error.keyword === 'required') {
+          return {
+            path: `${error.instancePath}/${error.params.missingProperty}`,
+            rule: 'required',
+            message: `Missing required field: ${error.params.missingProperty}`
+          };
+        }
+
+        const field = error.instancePath.slice(1).replace(/\//g, '.') || 'record';
+
+        return {
+          path: error.instancePath,
+          rule: error.keyword === 'reference' ? `reference:${error.params.reference}` : error.keyword,
+          message: `${field} ${error.message}`
+        };
+      });
+  }
+}
+
+// Export singleton instance
+const recordSchemaService = new RecordSchemaService();
+
+module.exports = recordSchemaService;
@@ -0,0 +1,248 @@
+/**
+ * Rollback Service
+ * Undoes an ingestion run: records it changed go back to the state saved in
+ * record_versions before the run, records it inserted are deleted, records its
+ * reconciliation withdrew are reinstated and a source watermark it set is
+ * dropped. The run ledger (ingestion_run_items) says which records the run wrote.
+ */
+
+const db = require('./database');
+const ingestionService = require('./ingestion');
+const entityService = require('./entities');
+const recordHistoryService = require('./recordHistory');
+const sourceLockService = require('./sourceLocks');
+const statusLifecycleService = require('./statusLifecycle');
+const watermarkService = require('./watermarks');
+const { ValidationError, BusinessLogicError, NotFoundError } = require('./errors');
+
+// Source keys named in the error when later runs changed the run's records
+const CONFLICT_SAMPLE_SIZE = 10;
+
+class RollbackService {
+  /**
+   * Roll back a run. Refused when later runs (or replays) have written any of
+   * the run's records since, unless forced: a forced rollback also discards
+   * those later changes to them.
+   * @param {Object} options - { force, waitForLock }
+   */
+  async rollbackRun(runId, options = {}) {
+    const force = options.force === true;
+
+    if (!Number.isInteger(runId)) {
+      throw new ValidationError('runId must be a valid integer');
+    }
+
+    return await db.transaction(async (client) => {
+      const { source_type: sourceType } = await this.getRun(runId, client);
+      const { connector } = ingestionService.parseSourceType(sourceType);
+
+      // No run of the source may write while its records are restored
+      await sourceLockService.acquire(
+        client,
+        sourceLockService.sourceOf(connector),
+        { wait: options.waitForLock === true }
+      );
+
+      // Read again under the lock: the run may have been rolled back meanwhile
+      const run = await this.getRun(runId, client);
+
+      if (run.rolled_back_at) {
+        throw new BusinessLogicError(`Ingestion run ${runId} was already rolled back`);
+      }
+
+      // Every write sets last_run_id, so a different one means a later writer
+      const conflicts = await client.query(
+        `SELECT DISTINCT r.id, r.source_key
+         FROM records r
+         JOIN ingestion_run_items i ON i.record_id = r.id
+         WHERE i.run_id = $1
+           AND i.action IN ('inserted', 'updated')
+           AND r.last_run_id IS DISTINCT FROM $1
+         ORDER BY r.id`,
+        [runId]
+      );
+
+      if (conflicts.rows.length > 0 && !force) {
+        const sample = conflicts.rows.slice(0, CONFLICT_SAMPLE_SIZE).map(row => row.source_key);
+        throw new BusinessLogicError(
+          `Ingestion run ${runId} cannot be rolled back: ${conflicts.rows.length} of its ` +
+          `records were changed since (${sample.join(', ')}` +
+          `${conflicts.rows.length > sample.length ? ', ...' : ''}); use force to roll back anyway`
+        );
+      }
+
+      const items = await client.query(
+        `SELECT DISTINCT record_id, action
+         FROM ingestion_run_items
+         WHERE run_id = $1 AND action IN ('inserted', 'updated') AND record_id IS NOT NULL`,
+        [runId]
+      );
+
+      const inserted = new Set(
+        items.rows.filter(row => row.action === 'inserted').map(row => row.record_id)
+      );
+      const updated = items.rows
+        .filter(row => row.action === 'updated' && !inserted.has(row.record_id))
+        .map(row => row.record_id)
+        .sort((a, b) => a - b);
+
+      let recordsRestored = 0;
+      const notRestored = [];
+
+      for (const recordId of updated) {
+        if (await this.restoreRecord(client, recordId, runId)) {
+          recordsRestored++;
+        } else {
+          notRestored.push(recordId);
+        }
+      }
+
+      // Versions, alert logs and transitions of deleted records go with them
+      const deleted = await client.query(
+        `DELETE FROM records
+         WHERE id IN (
+           SELECT record_id FROM ingestion_run_items
+           WHERE run_id = $1 AND action = 'inserted'
+         )`,
+        [runId]
+      );
+
+      const reinstated = await client.query(
+        `UPDATE records SET
+           withdrawn_at = NULL,
+           withdrawn_run_id = NULL
+         WHERE withdrawn_run_id = $1`,
+        [runId]
+      );
+
+      // The restored records never went through the run's status changes
+      await client.query('DELETE FROM status_transitions WHERE run_id = $1', [runId]);
+
+      // A recent run's records are gone, so the next one must fetch them again
+      const watermark = await watermarkService.releaseRun(runId, client);
+
+      await client.query(
+        'UPDATE ingestion_runs SET rolled_back_at = NOW() WHERE id = $1',
+        [runId]
+      );
+
+      const result = {
+        runId,
+        sourceType: run.source_type,
+        recordsRestored,
+        recordsDeleted: deleted.rowCount,
+        recordsReinstated: reinstated.rowCount,
+        recordsNotRestored: notRestored,
+        conflicts: conflicts.rows.length,
+        forced: force && conflicts.rows.length > 0,
+        watermarkReleased: watermark.released,
+        watermarkRestored: watermark.restored
+      };
+
+      console.log(`Rolled back ingestion run ${runId}:`, {
+        restored: result.recordsRestored,
+        deleted: result.recordsDeleted,
+        reinstated: result.recordsReinstated,
+        conflicts: result.conflicts
+      });
+
+      return result;
+    });
+  }
+
+  /**
+   * Get a run's log row
+   */
+  async getRun(runId, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT * FROM ingestion_runs WHERE id = $1',
+      [runId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Ingestion run', runId);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Put a record back in the state it had before the run (its first version
+   * superseded by the run). The state being replaced is kept as a version.
+   * @returns {boolean} false when no prior state was saved
+   */
+  async restoreRecord(client, recordId, runId) {
+    const versionResult = await client.query(
+      `SELECT * FROM record_versions
+       WHERE record_id = $1 AND superseded_by_run_id = $2
+       ORDER BY id ASC
+       LIMIT 1`,
+      [recordId, runId]
+    );
+
+    if (versionResult.rows.length === 0) {
+      return false;
+    }
+
+    const version = versionResult.rows[0];
+    const { snapshot } = version;
+    const { connector } = ingestionService.parseSourceType(version.source_type);
+
+    await recordHistoryService.snapshotRecord(recordId, null, client);
+
+    const entityId = await entityService.resolveEntity(
+      snapshot.entity_name_norm,
+      snapshot.entity_name_raw,
+      client
+    );
+
+    // Versions saved before raw_json/source_at were kept leave those as they are
+    await client.query(
+      `UPDATE records SET
+        published_at = $2,
+        title = $3,
+        entity_name_raw = $4,
+        entity_name_norm = $5,
+        region = $6,
+        record_id = $7,
+        status = $8,
+        document_url = $9,
+        raw_json = COALESCE($10, raw_json),
+        content_hash = $11,
+        last_source_type = $12,
+        last_source_at = COALESCE($13, last_source_at),
+        last_run_id = $14,
+        entity_id = $15,
+        canonical_status = $16,
+        updated_at = NOW()
+      WHERE id = $1`,
+      [
+        recordId,
+        snapshot.published_at,
+        snapshot.title,
+        snapshot.entity_name_raw,
+        snapshot.entity_name_norm,
+        snapshot.region,
+        snapshot.record_id,
+        snapshot.status,
+        snapshot.document_url,
+        version.raw_json === null ? null : JSON.stringify(version.raw_json),
+        version.content_hash,
+        version.source_type,
+        version.source_at,
+        version.run_id,
+        entityId,
+        statusLifecycleService.canonicalize(snapshot.status, connector)
+      ]
+    );
+
+    return true;
+  }
+}
+
+// Export singleton instance
+const rollbackService = new RollbackService();
+
+module.exports = rollbackService;
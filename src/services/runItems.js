@@ -0,0 +1,117 @@
+/**
+ * Run Item Service
+ * Per-record ledger of ingestion runs: what each run did to each record and why,
+ * with the record's content hash before and after
+ */
+
+const db = require('./database');
+const { ValidationError } = require('./errors');
+
+const ITEM_ACTIONS = ['inserted', 'updated', 'skipped', 'failed', 'invalid'];
+
+// Rows per INSERT (8 parameters each, well under Postgres' 65535 limit)
+const INSERT_CHUNK_SIZE = 500;
+
+class RunItemService {
+  /**
+   * Store the outcome of records processed by a run
+   * @param {Object[]} items - processBatch results / quarantined records:
+   *   { sourceKey, action, reason, recordId, error, hashBefore, hashAfter }
+   */
+  async recordItems(runId, items, client = null) {
+    const executor = client ?? db;
+
+    for (let i = 0; i < items.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = items.slice(i, i + INSERT_CHUNK_SIZE);
+
+      const values = chunk
+        .map((_, index) => {
+          const offset = index * 8;
+          return `(${Array.from({ length: 8 }, (__, j) => `$${offset + j + 1}`).join(', ')})`;
+        })
+        .join(', ');
+
+      const params = chunk.flatMap(item => [
+        runId,
+        item.sourceKey || null,
+        item.action,
+        item.reason || null,
+        item.recordId || null,
+        item.error || null,
+        item.hashBefore || null,
+        item.hashAfter || null
+      ]);
+
+      await executor.query(
+        `INSERT INTO ingestion_run_items
+         (run_id, source_key, action, reason, record_id, error, hash_before, hash_after)
+         VALUES ${values}`,
+        params
+      );
+    }
+  }
+
+  /**
+   * Get a run's items with pagination and filtering
+   */
+  async getItems(runId, options = {}, client = null) {
+    const executor = client ?? db;
+
+    const {
+      action = null,
+      sourceKey = null,
+      limit = 100,
+      offset = 0
+    } = options;
+
+    if (limit > 1000) {
+      throw new ValidationError('Limit cannot exceed 1000');
+    }
+
+    const conditions = ['run_id = $1'];
+    const params = [runId];
+    let paramIndex = 2;
+
+    if (action) {
+      if (!ITEM_ACTIONS.includes(action)) {
+        throw new ValidationError(`action must be one of: ${ITEM_ACTIONS.join(', ')}`, 'action');
+      }
+      conditions.push(`action = $${paramIndex++}`);
+      params.push(action);
+    }
+
+    if (sourceKey) {
+      conditions.push(`source_key = $${paramIndex++}`);
+      params.push(sourceKey);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const result = await executor.query(
+      `SELECT * FROM ingestion_run_items
+       ${whereClause}
+       ORDER BY id
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await executor.query(
+      `SELECT COUNT(*) as total FROM ingestion_run_items ${whereClause}`,
+      params
+    );
+
+    return {
+      items: result.rows,
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(countResult.rows[0].total)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const runItemService = new RunItemService();
+
+module.exports = runItemService;
@@ -0,0 +1,585 @@
+/**
+ * Schedule Service
+ * Persisted cron schedules that queue ingestion jobs from inside the API server,
+ * replacing external crontabs. Cron expressions are evaluated in UTC.
+ */
+
+const connectors = require('../../connectors');
+const db = require('./database');
+const ingestionService = require('./ingestion');
+const ingestionJobService = require('./jobs');
+const {
+  ValidationError,
+  BusinessLogicError,
+  NotFoundError,
+  SourceLockedError
+} = require('./errors');
+
+const SCHEDULE_MODES = ['bulk', 'recent'];
+
+// Cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+// Upper bound on the missed firings counted when catching up
+const MAX_MISSED_COUNT = 1000;
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0-30/10", "1,15")
+ * @returns {Set<number>} matching values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+
+    if (!match) {
+      throw new ValidationError(`Invalid cron ${name}: "${part}"`, 'cron');
+    }
+
+    let from = min;
+    let to = max;
+
+    if (match[1] !== '*') {
+      from = parseInt(match[2]);
+      // "5/15" means 5, 20, 35, ... like "5-59/15"
+      to = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from);
+    }
+
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new ValidationError(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`, 'cron');
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new ValidationError('cron must be a five-field cron expression', 'cron');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new ValidationError('cron must be a five-field cron expression', 'cron');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map(
+    (part, index) => parseCronField(part, CRON_FIELDS[index])
+  );
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron: when both day fields are restricted, either may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+/**
+ * First firing of a parsed cron expression strictly after `after`
+ */
+function nextFiring(cron, after) {
+  const time = new Date(after.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  // Jumps a month, day or hour at a time; four years covers Feb 29
+  const limit = new Date(after.getTime() + 4 * 366 * 24 * 60 * 60 * 1000);
+
+  while (time <= limit) {
+    if (!cron.months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+      continue;
+    }
+
+    const dayMatch = cron.days.has(time.getUTCDate());
+    const weekdayMatch = cron.weekdays.has(time.getUTCDay());
+    if (cron.anyDay ? !(dayMatch || weekdayMatch) : !(dayMatch && weekdayMatch)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+      continue;
+    }
+
+    if (!cron.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+      continue;
+    }
+
+    if (!cron.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+      continue;
+    }
+
+    return time;
+  }
+
+  throw new ValidationError('cron expression never fires', 'cron');
+}
+
+class ScheduleService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '30000');
+    // A firing this late means the scheduler was not running when it was due
+    this.missedGraceMinutes = parseInt(process.env.SCHEDULE_MISSED_GRACE_MINUTES || '5');
+    this.timer = null;
+    this.active = null; // promise of the tick while it runs
+    this.stopping = true;
+  }
+
+  /**
+   * Next firing time of a cron expression after `after`
+   */
+  getNextRun(expression, after = new Date()) {
+    return nextFiring(parseCron(expression), after);
+  }
+
+  /**
+   * Validate schedule fields (a full schedule, after merging any update)
+   */
+  validateSchedule(schedule) {
+    if (!schedule.name || typeof schedule.name !== 'string' || schedule.name.length > 100) {
+      throw new ValidationError('name must be a string of at most 100 characters', 'name');
+    }
+
+    parseCron(schedule.cron);
+
+    if (!SCHEDULE_MODES.includes(schedule.mode)) {
+      throw new ValidationError('mode must be either "bulk" or "recent"', 'mode');
+    }
+
+    if (!connectors.hasConnector(schedule.connector)) {
+      throw new NotFoundError('Connector', schedule.connector);
+    }
+
+    const options = schedule.options;
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      throw new ValidationError('options must be an object', 'options');
+    }
+
+    if (options.resumeRunId !== undefined) {
+      throw new ValidationError('options cannot resume a run', 'options');
+    }
+
+    // Every firing would re-pull the same window; schedules read from the watermark
+    if (options.since !== undefined) {
+      throw new ValidationError('options cannot fix the window start (since)', 'options');
+    }
+
+    if (options.hours !== undefined &&
+        (!Number.isInteger(options.hours) || options.hours < 1 || options.hours > 168)) {
+      throw new ValidationError('options.hours must be between 1 and 168 (1 week)', 'options');
+    }
+
+    ingestionService.validateOptions(schedule.mode, { ...options, connector: schedule.connector });
+
+    if (typeof schedule.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean', 'enabled');
+    }
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} schedule - { name, cron, connector, mode, options, enabled }
+   */
+  async createSchedule(schedule, client = null) {
+    const executor = client ?? db;
+
+    const fields = {
+      name: schedule.name,
+      cron: schedule.cron,
+      connector: schedule.connector || connectors.getDefaultConnectorName(),
+      mode: schedule.mode,
+      options: schedule.options || {},
+      enabled: schedule.enabled !== undefined ? schedule.enabled : true
+    };
+
+    this.validateSchedule(fields);
+    await this.assertNameFree(fields.name, null, client);
+
+    const result = await executor.query(
+      `INSERT INTO schedules
+       (name, cron_expression, connector, mode, options, enabled, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        fields.name,
+        fields.cron,
+        fields.connector,
+        fields.mode,
+        JSON.stringify(fields.options),
+        fields.enabled,
+        fields.enabled ? this.getNextRun(fields.cron) : null
+      ]
+    );
+
+    console.log(`Schedule created: ${fields.name} (${fields.cron}, ${fields.connector}:${fields.mode})`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update some fields of a schedule; changing the cron expression or
+   * re-enabling it recomputes the next run
+   */
+  async updateSchedule(scheduleId, changes, client = null) {
+    const executor = client ?? db;
+
+    const existing = await this.getSchedule(scheduleId, client);
+
+    const fields = {
+      name: changes.name !== undefined ? changes.name : existing.name,
+      cron: changes.cron !== undefined ? changes.cron : existing.cron_expression,
+      connector: changes.connector !== undefined ? changes.connector : existing.connector,
+      mode: changes.mode !== undefined ? changes.mode : existing.mode,
+      options: changes.options !== undefined ? changes.options : existing.options,
+      enabled: changes.enabled !== undefined ? changes.enabled : existing.enabled
+    };
+
+    this.validateSchedule(fields);
+
+    if (fields.name !== existing.name) {
+      await this.assertNameFree(fields.name, scheduleId, client);
+    }
+
+    let nextRunAt = existing.next_run_at;
+    if (!fields.enabled) {
+      nextRunAt = null;
+    } else if (!existing.enabled || fields.cron !== existing.cron_expression) {
+      nextRunAt = this.getNextRun(fields.cron);
+    }
+
+    const result = await executor.query(
+      `UPDATE schedules SET
+         name = $2,
+         cron_expression = $3,
+         connector = $4,
+         mode = $5,
+         options = $6,
+         enabled = $7,
+         next_run_at = $8,
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        scheduleId,
+        fields.name,
+        fields.cron,
+        fields.connector,
+        fields.mode,
+        JSON.stringify(fields.options),
+        fields.enabled,
+        nextRunAt
+      ]
+    );
+
+    console.log(`Schedule updated: ${fields.name}`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Refuse a name another schedule already uses
+   */
+  async assertNameFree(name, exceptId = null, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT id FROM schedules WHERE name = $1',
+      [name]
+    );
+
+    if (result.rows.some(row => row.id !== exceptId)) {
+      throw new BusinessLogicError(`A schedule named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Delete a schedule (jobs it queued are kept)
+   */
+  async deleteSchedule(scheduleId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(scheduleId)) {
+      throw new ValidationError('scheduleId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      'DELETE FROM schedules WHERE id = $1 RETURNING *',
+      [scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Schedule', scheduleId);
+    }
+
+    console.log(`Schedule deleted: ${result.rows[0].name}`);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a schedule with the status of the job it queued last
+   */
+  async getSchedule(scheduleId, client = null) {
+    const executor = client ?? db;
+
+    if (!Number.isInteger(scheduleId)) {
+      throw new ValidationError('scheduleId must be a valid integer');
+    }
+
+    const result = await executor.query(
+      `SELECT s.*, j.status AS last_job_status
+       FROM schedules s
+       LEFT JOIN ingestion_jobs j ON j.id = s.last_job_id
+       WHERE s.id = $1`,
+      [scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Schedule', scheduleId);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * List schedules with the status of the job each queued last
+   */
+  async getSchedules(client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `SELECT s.*, j.status AS last_job_status
+       FROM schedules s
+       LEFT JOIN ingestion_jobs j ON j.id = s.last_job_id
+       ORDER BY s.name`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Fire a due schedule: queue its job, or skip the firing while the job it
+   * queued last (or another run of the source) is still going. Returns null
+   * when another server fired it first.
+   */
+  async fire(schedule, now = new Date()) {
+    const dueAt = new Date(schedule.next_run_at);
+    const cron = parseCron(schedule.cron_expression);
+    const nextRunAt = nextFiring(cron, now);
+
+    // Firings that fell due while no scheduler was running are counted as
+    // missed; a single catch-up run is queued for all of them
+    let missed = 0;
+    let lastMissedAt = schedule.last_missed_at;
+    if (now - dueAt > this.missedGraceMinutes * 60 * 1000) {
+      let time = dueAt;
+      while (time <= now && missed < MAX_MISSED_COUNT) {
+        missed++;
+        lastMissedAt = time;
+        time = nextFiring(cron, time);
+      }
+    }
+
+    // Claim the firing; another server may have moved next_run_at already
+    const claimed = await db.query(
+      `UPDATE schedules SET next_run_at = $3, updated_at = NOW()
+       WHERE id = $1 AND enabled AND next_run_at = $2
+       RETURNING id`,
+      [schedule.id, schedule.next_run_at, nextRunAt]
+    );
+
+    if (claimed.rows.length === 0) {
+      return null;
+    }
+
+    let status = 'queued';
+    let jobId = schedule.last_job_id;
+    let error = null;
+
+    if (['queued', 'running'].includes(schedule.last_job_status)) {
+      status = 'skipped';
+      error = `Previous job ${schedule.last_job_id} is still ${schedule.last_job_status}`;
+    } else {
+      try {
+        const { hours, ...options } = schedule.options || {};
+        const params = schedule.mode === 'recent' ? { ...options, hours: hours || 72 } : options;
+        const job = await ingestionJobService.enqueue(schedule.mode, schedule.connector, params);
+        jobId = job.id;
+      } catch (err) {
+        status = err instanceof SourceLockedError ? 'skipped' : 'failed';
+        error = err.message;
+      }
+    }
+
+    const result = await db.query(
+      `UPDATE schedules SET
+         last_fired_at = $2,
+         last_run_at = $3,
+         last_status = $4,
+         last_error = $5,
+         last_job_id = $6,
+         skipped_runs = skipped_runs + $7,
+         missed_runs = missed_runs + $8,
+         last_missed_at = $9,
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        schedule.id,
+        now,
+        status === 'queued' ? now : schedule.last_run_at,
+        status,
+        error,
+        jobId,
+        status === 'skipped' ? 1 : 0,
+        missed,
+        lastMissedAt
+      ]
+    );
+
+    if (status === 'queued') {
+      console.log(`Schedule ${schedule.name} queued ingestion job ${jobId}`);
+    } else {
+      console.warn(`Schedule ${schedule.name} ${status}: ${error}`);
+    }
+
+    if (missed > 0) {
+      console.warn(`Schedule ${schedule.name} missed ${missed} run(s) since ${dueAt.toISOString()}`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Fire every schedule that is due
+   */
+  async tick(now = new Date()) {
+    try {
+      const result = await db.query(
+        `SELECT s.*, j.status AS last_job_status
+         FROM schedules s
+         LEFT JOIN ingestion_jobs j ON j.id = s.last_job_id
+         WHERE s.enabled AND s.next_run_at <= $1
+         ORDER BY s.next_run_at`,
+        [now]
+      );
+
+      for (const schedule of result.rows) {
+        await this.fire(schedule, now);
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    }
+  }
+
+  /**
+   * Schedule the next tick
+   */
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.active = this.tick().finally(() => {
+        this.active = null;
+        if (!this.stopping) {
+          this.schedule(this.pollInterval);
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * Start the in-process scheduler
+   */
+  start() {
+    if (!this.stopping) {
+      return;
+    }
+
+    this.stopping = false;
+    this.schedule(0);
+    console.log(`Scheduler started (checking every ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * Stop the scheduler (queued jobs are left to the job worker)
+   */
+  async stop() {
+    this.stopping = true;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.active) {
+      await this.active;
+    }
+  }
+
+  /**
+   * Missed-run report for health checks: enabled schedules overdue right now
+   * (the scheduler is not firing them) and those that caught up after
+   * missing runs in the last day
+   */
+  async getMissedRuns(now = new Date(), client = null) {
+    const executor = client ?? db;
+
+    const overdueBefore = new Date(now.getTime() - this.missedGraceMinutes * 60 * 1000);
+    const recentSince = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+    const result = await executor.query(
+      `SELECT id, name, next_run_at, missed_runs, last_missed_at
+       FROM schedules
+       WHERE enabled AND (next_run_at < $1 OR last_missed_at >= $2)
+       ORDER BY name`,
+      [overdueBefore, recentSince]
+    );
+
+    return result.rows.map(row => ({
+      scheduleId: row.id,
+      name: row.name,
+      overdue: new Date(row.next_run_at) < overdueBefore,
+      dueAt: row.next_run_at,
+      missedRuns: row.missed_runs,
+      lastMissedAt: row.last_missed_at
+    }));
+  }
+
+  /**
+   * Scheduler state for health checks
+   */
+  getStats() {
+    return {
+      running: !this.stopping,
+      pollInterval: this.pollInterval,
+      missedGraceMinutes: this.missedGraceMinutes
+    };
+  }
+}
+
+// Export singleton instance
+const scheduleService = new ScheduleService();
+
+module.exports = scheduleService;
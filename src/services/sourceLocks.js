@@ -0,0 +1,176 @@
+/**
+ * Source Lock Service
+ * Per-source Postgres advisory locks so two runs of the same source (API job,
+ * cron'd script, push, another server) never write the same records at once.
+ * A source is a connector, or the logical source SOURCE_ALIASES maps it to
+ * when several writers (e.g. a connector and a push partner) share records.
+ */
+
+const db = require('./database');
+const { SourceLockedError } = require('./errors');
+
+// First key of every ingestion advisory lock; the second is hashtext(source)
+const LOCK_NAMESPACE = 7301;
+
+const SOURCE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+class SourceLockService {
+  constructor() {
+    this.aliases = new Map();
+    this.loadAliases();
+  }
+
+  /**
+   * Map writers to the logical source they write, from SOURCE_ALIASES,
+   * replacing any mapping loaded before
+   * Format: writer=source[,writer=source...] (writer: connector or push partner)
+   */
+  loadAliases(spec = process.env.SOURCE_ALIASES) {
+    const aliases = new Map();
+
+    for (const entry of (spec || '').split(',').filter(part => part.trim())) {
+      const separator = entry.indexOf('=');
+      const writer = entry.slice(0, separator).trim();
+      const source = entry.slice(separator + 1).trim();
+
+      if (separator === -1 || !SOURCE_NAME_PATTERN.test(writer) || !SOURCE_NAME_PATTERN.test(source)) {
+        throw new Error(`Invalid SOURCE_ALIASES entry "${entry.trim()}": use writer=source`);
+      }
+
+      aliases.set(writer, source);
+    }
+
+    this.aliases = aliases;
+  }
+
+  /**
+   * Lock name for a run: the logical source of its connector (or push
+   * partner), since every run of one source writes the same records
+   */
+  sourceOf(connectorName) {
+    const name = connectorName || 'default';
+    return this.aliases.get(name) || name;
+  }
+
+  /**
+   * Every writer of a logical source: the source's own connector and the
+   * writers mapped to it
+   */
+  writersOf(source) {
+    return [
+      source,
+      ...[...this.aliases].filter(([writer, target]) => target === source && writer !== source)
+        .map(([writer]) => writer)
+    ];
+  }
+
+  /**
+   * Take the source's lock for the rest of the transaction on `client`.
+   * Without `wait`, throws SourceLockedError (with the holding run id) when
+   * another run holds it; with `wait`, blocks until it is released.
+   * @returns {number} backend pid holding the lock (stored on the run)
+   */
+  async acquire(client, source, { wait = false } = {}) {
+    if (wait) {
+      const result = await client.query(
+        'SELECT pg_advisory_xact_lock($1, hashtext($2)), pg_backend_pid() AS pid',
+        [LOCK_NAMESPACE, source]
+      );
+      return result.rows[0].pid;
+    }
+
+    const result = await client.query(
+      'SELECT pg_try_advisory_xact_lock($1, hashtext($2)) AS acquired, pg_backend_pid() AS pid',
+      [LOCK_NAMESPACE, source]
+    );
+
+    if (!result.rows[0].acquired) {
+      const holder = await this.getHolder(source);
+      throw new SourceLockedError(source, holder ? holder.runId : null);
+    }
+
+    return result.rows[0].pid;
+  }
+
+  /**
+   * Take the source's lock for the whole session of `client`, across several
+   * transactions (batch-committed runs); release it with release()
+   * @returns {number} backend pid holding the lock
+   */
+  async acquireSession(client, source, { wait = false } = {}) {
+    if (wait) {
+      const result = await client.query(
+        'SELECT pg_advisory_lock($1, hashtext($2)), pg_backend_pid() AS pid',
+        [LOCK_NAMESPACE, source]
+      );
+      return result.rows[0].pid;
+    }
+
+    const result = await client.query(
+      'SELECT pg_try_advisory_lock($1, hashtext($2)) AS acquired, pg_backend_pid() AS pid',
+      [LOCK_NAMESPACE, source]
+    );
+
+    if (!result.rows[0].acquired) {
+      const holder = await this.getHolder(source);
+      throw new SourceLockedError(source, holder ? holder.runId : null);
+    }
+
+    return result.rows[0].pid;
+  }
+
+  /**
+   * Release a lock taken with acquireSession()
+   */
+  async release(client, source) {
+    await client.query(
+      'SELECT pg_advisory_unlock($1, hashtext($2))',
+      [LOCK_NAMESPACE, source]
+    );
+  }
+
+  /**
+   * The run currently holding a source's lock, or null when it is free
+   */
+  async getHolder(source, client = null) {
+    const locks = await this.getLocks(source, client);
+    return locks[0] || null;
+  }
+
+  /**
+   * Held ingestion locks (of one source, or all of them) with their runs
+   */
+  async getLocks(source = null, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      `SELECT l.pid, r.id AS run_id, r.source_type, r.started_at
+       FROM pg_locks l
+       LEFT JOIN LATERAL (
+         SELECT id, source_type, started_at FROM ingestion_runs
+         WHERE lock_pid = l.pid AND finished_at IS NULL
+         ORDER BY id DESC
+         LIMIT 1
+       ) r ON TRUE
+       WHERE l.locktype = 'advisory'
+         AND l.granted
+         AND l.classid = $1::int::oid
+         AND l.objsubid = 2
+         AND ($2::text IS NULL OR l.objid = hashtext($2)::oid)
+       ORDER BY r.started_at`,
+      [LOCK_NAMESPACE, source]
+    );
+
+    return result.rows.map(row => ({
+      runId: row.run_id,
+      sourceType: row.source_type,
+      startedAt: row.started_at,
+      pid: row.pid
+    }));
+  }
+}
+
+// Export singleton instance
+const sourceLockService = new SourceLockService();
+
+module.exports = sourceLockService;
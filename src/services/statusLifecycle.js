@@ -0,0 +1,299 @@
+/**
+ * Status Lifecycle Service
+ * Maps each regulator's raw status onto one canonical lifecycle, records every
+ * status transition of a record, and flags transitions the lifecycle does not
+ * allow (e.g. Approved back to Filed) for review
+ *
+ * Mapping (STATUS_MAPPING_FILE, a JSON file or a JS module exporting the object):
+ *   statuses    - raw status -> canonical status, for every source
+ *   sources     - connector name -> { raw status -> canonical status }, checked
+ *                 before `statuses` (e.g. { "tx_rrc": { "Permitted": "approved" } })
+ *   transitions - canonical status -> canonical statuses it may move to
+ * Raw statuses match case-insensitively. A raw status without a mapping gets a
+ * NULL canonical status and its transition is flagged as unmapped.
+ */
+
+const path = require('path');
+const db = require('./database');
+const { ValidationError, BusinessLogicError, NotFoundError } = require('./errors');
+
+const LIFECYCLE = ['filed', 'pending', 'approved', 'rejected', 'withdrawn', 'closed'];
+
+const DEFAULT_MAPPING = {
+  statuses: {
+    Filed: 'filed',
+    Pending: 'pending',
+    Scheduled: 'pending',
+    Approved: 'approved',
+    Rejected: 'rejected',
+    Withdrawn: 'withdrawn',
+    Closed: 'closed'
+  },
+  sources: {},
+  transitions: {
+    filed: ['pending', 'approved', 'rejected', 'withdrawn', 'closed'],
+    pending: ['approved', 'rejected', 'withdrawn', 'closed'],
+    approved: ['closed'],
+    rejected: ['closed'],
+    withdrawn: ['closed'],
+    closed: []
+  }
+};
+
+/**
+ * Lowercase the keys of a raw status map, checking its canonical values
+ */
+function foldStatuses(statuses, label) {
+  const folded = new Map();
+
+  for (const [raw, canonical] of Object.entries(statuses)) {
+    if (!LIFECYCLE.includes(canonical)) {
+      throw new ValidationError(
+        `${label}: "${raw}" maps to "${canonical}", not one of: ${LIFECYCLE.join(', ')}`,
+        'statuses'
+      );
+    }
+    folded.set(raw.trim().toLowerCase(), canonical);
+  }
+
+  return folded;
+}
+
+class StatusLifecycleService {
+  constructor() {
+    this.mapping = null;
+    this.setMapping(this.loadMappingFile());
+  }
+
+  /**
+   * Load the mapping named by STATUS_MAPPING_FILE (default mapping if unset)
+   */
+  loadMappingFile(file = process.env.STATUS_MAPPING_FILE) {
+    if (!file) {
+      return DEFAULT_MAPPING;
+    }
+
+    return require(path.resolve(process.cwd(), file));
+  }
+
+  /**
+   * Validate and install a mapping (missing keys fall back to the default)
+   */
+  setMapping(mapping) {
+    const merged = { ...DEFAULT_MAPPING, ...mapping };
+
+    for (const [from, targets] of Object.entries(merged.transitions)) {
+      if (!LIFECYCLE.includes(from) ||
+          !Array.isArray(targets) ||
+          !targets.every(target => LIFECYCLE.includes(target))) {
+        throw new ValidationError(
+          `Transitions must map lifecycle statuses to lists of: ${LIFECYCLE.join(', ')}`,
+          'transitions'
+        );
+      }
+    }
+
+    this.statuses = foldStatuses(merged.statuses, 'statuses');
+    this.sources = new Map(
+      Object.entries(merged.sources).map(([source, statuses]) => [
+        source,
+        foldStatuses(statuses, `sources.${source}`)
+      ])
+    );
+    this.mapping = merged;
+    return merged;
+  }
+
+  /**
+   * Current mapping and the lifecycle it maps onto
+   */
+  getMapping() {
+    return { lifecycle: LIFECYCLE, ...this.mapping };
+  }
+
+  /**
+   * Canonical status of a raw status from a source (null when unmapped)
+   * @param {string} connector - source of the record (null: shared statuses only)
+   */
+  canonicalize(rawStatus, connector = null) {
+    if (typeof rawStatus !== 'string') {
+      return null;
+    }
+
+    const key = rawStatus.trim().toLowerCase();
+    const source = this.sources.get(connector);
+
+    return (source && source.get(key)) || this.statuses.get(key) || null;
+  }
+
+  /**
+   * Why a move between canonical statuses needs review
+   * @param {string|null} from - null for a record's first status
+   * @returns {string|null} 'invalid_transition' or 'unmapped_status', null when
+   *   the move is allowed
+   */
+  checkTransition(from, to) {
+    if (to === null) {
+      return 'unmapped_status';
+    }
+
+    if (from === null || from === to) {
+      return null;
+    }
+
+    return (this.mapping.transitions[from] || []).includes(to) ? null : 'invalid_transition';
+  }
+
+  /**
+   * Store status transitions, flagging those the lifecycle does not allow
+   * @param {Object[]} transitions - { recordId, runId, sourceType, fromStatus,
+   *   toStatus, fromCanonical, toCanonical }; fromStatus is null for new records
+   * @returns {number} transitions flagged for review
+   */
+  async recordTransitions(transitions, client = null) {
+    const executor = client ?? db;
+
+    if (transitions.length === 0) {
+      return 0;
+    }
+
+    const params = [];
+    const values = transitions.map(transition => {
+      params.push(
+        transition.recordId,
+        transition.runId || null,
+        transition.sourceType,
+        transition.fromStatus ?? null,
+        transition.toStatus,
+        transition.fromCanonical ?? null,
+        transition.toCanonical ?? null,
+        this.checkTransition(transition.fromCanonical ?? null, transition.toCanonical ?? null)
+      );
+      const offset = params.length - 8;
+      return `(${Array.from({ length: 8 }, (_, j) => `$${offset + j + 1}`).join(', ')})`;
+    });
+
+    const result = await executor.query(
+      `INSERT INTO status_transitions
+       (record_id, run_id, source_type, from_status, to_status,
+        from_canonical, to_canonical, flag)
+       VALUES ${values.join(', ')}
+       RETURNING flag`,
+      params
+    );
+
+    const flagged = result.rows.filter(row => row.flag !== null).length;
+
+    if (flagged > 0) {
+      console.warn(`Flagged ${flagged} status transition(s) for review`);
+    }
+
+    return flagged;
+  }
+
+  /**
+   * Get status transitions with pagination and filtering
+   * @param {Object} options - { recordId, runId, flagged, reviewed, limit, offset }
+   *   flagged: only flagged transitions; reviewed: false for those still awaiting review
+   */
+  async getTransitions(options = {}, client = null) {
+    const executor = client ?? db;
+
+    const {
+      recordId = null,
+      runId = null,
+      flagged = false,
+      reviewed = null,
+      limit = 100,
+      offset = 0
+    } = options;
+
+    if (limit > 1000) {
+      throw new ValidationError('Limit cannot exceed 1000');
+    }
+
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (recordId) {
+      conditions.push(`record_id = $${paramIndex++}`);
+      params.push(recordId);
+    }
+
+    if (runId) {
+      conditions.push(`run_id = $${paramIndex++}`);
+      params.push(runId);
+    }
+
+    if (flagged) {
+      conditions.push('flag IS NOT NULL');
+    }
+
+    if (reviewed !== null) {
+      conditions.push(reviewed ? 'reviewed_at IS NOT NULL' : 'reviewed_at IS NULL');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await executor.query(
+      `SELECT * FROM status_transitions
+       ${whereClause}
+       ORDER BY transitioned_at DESC, id DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await executor.query(
+      `SELECT COUNT(*) as total FROM status_transitions ${whereClause}`,
+      params
+    );
+
+    return {
+      transitions: result.rows,
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(countResult.rows[0].total)
+      }
+    };
+  }
+
+  /**
+   * Mark a flagged transition as reviewed
+   */
+  async reviewTransition(transitionId, client = null) {
+    const executor = client ?? db;
+
+    const existing = await executor.query(
+      'SELECT flag, reviewed_at FROM status_transitions WHERE id = $1',
+      [transitionId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Status transition', transitionId);
+    }
+
+    if (existing.rows[0].flag === null) {
+      throw new BusinessLogicError(`Status transition ${transitionId} is not flagged for review`);
+    }
+
+    if (existing.rows[0].reviewed_at !== null) {
+      throw new BusinessLogicError(`Status transition ${transitionId} was already reviewed`);
+    }
+
+    const result = await executor.query(
+      `UPDATE status_transitions SET reviewed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [transitionId]
+    );
+
+    return result.rows[0];
+  }
+}
+
+// Export singleton instance
+const statusLifecycleService = new StatusLifecycleService();
+
+module.exports = statusLifecycleService;
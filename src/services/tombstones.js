@@ -0,0 +1,119 @@
+/**
+ * Tombstone Service
+ * Reconciles the records table against a complete bulk run: records that a
+ * source previously delivered (in bulk or through its recent feed) but that
+ * are missing from the latest bulk run are marked withdrawn
+ */
+
+const db = require('./database');
+const alertService = require('./alerts');
+const { ValidationError } = require('./errors');
+
+class TombstoneService {
+  constructor() {
+    // Refuse to withdraw more than this share of a source's active records
+    this.defaultMaxRatio = parseFloat(process.env.TOMBSTONE_MAX_RATIO || '0.1');
+  }
+
+  /**
+   * Mark source keys as present in a run (missing keys become tombstones).
+   * A withdrawn record that shows up again is reinstated. Only records of the
+   * run's source are touched: a key another source owns stays as it is.
+   * @param {string[]} sourceTypes - every source type the source's records
+   *   may carry, as passed to reconcile()
+   */
+  async markSeen(sourceKeys, runId, sourceTypes, client = null) {
+    const executor = client ?? db;
+
+    if (sourceKeys.length === 0) {
+      return;
+    }
+
+    await executor.query(
+      `UPDATE records SET
+         last_seen_run_id = $2,
+         withdrawn_at = NULL,
+         withdrawn_run_id = NULL
+       WHERE source_key = ANY($1::text[])
+         AND last_source_type = ANY($3::text[])`,
+      [sourceKeys, runId, sourceTypes]
+    );
+  }
+
+  /**
+   * Withdraw every active record of the run's source that the run did not
+   * see, unless that would exceed maxRatio
+   * @param {string} sourceType - the bulk run's source type
+   * @param {Object} options - { maxRatio, sourceTypes }
+   *   sourceTypes: every source type the source's records may carry (its
+   *   recent feed, older rows without a connector); default just sourceType
+   */
+  async reconcile(sourceType, runId, options = {}, client = null) {
+    const executor = client ?? db;
+    const maxRatio = options.maxRatio ?? this.defaultMaxRatio;
+    const sourceTypes = options.sourceTypes || [sourceType];
+
+    if (!(maxRatio >= 0 && maxRatio <= 1)) {
+      throw new ValidationError('tombstone threshold must be between 0 and 1', 'tombstoneThreshold');
+    }
+
+    const countResult = await executor.query(
+      `SELECT
+         COUNT(*) as total,
+         COUNT(CASE WHEN last_seen_run_id IS DISTINCT FROM $2 THEN 1 END) as missing
+       FROM records
+       WHERE last_source_type = ANY($1::text[]) AND withdrawn_at IS NULL`,
+      [sourceTypes, runId]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+    const missing = parseInt(countResult.rows[0].missing);
+    const ratio = total > 0 ? missing / total : 0;
+
+    if (ratio > maxRatio) {
+      console.warn(
+        `Reconciliation skipped: ${missing}/${total} ${sourceType} records missing ` +
+        `exceeds threshold of ${Math.round(maxRatio * 100)}%`
+      );
+
+      return {
+        skipped: true,
+        reason: `${missing} of ${total} records missing exceeds tombstone threshold (${maxRatio})`,
+        candidates: missing,
+        total,
+        withdrawn: 0
+      };
+    }
+
+    const withdrawnResult = await executor.query(
+      `UPDATE records SET
+         withdrawn_at = NOW(),
+         withdrawn_run_id = $2
+       WHERE last_source_type = ANY($1::text[])
+         AND withdrawn_at IS NULL
+         AND last_seen_run_id IS DISTINCT FROM $2
+       RETURNING id`,
+      [sourceTypes, runId]
+    );
+
+    const withdrawnIds = withdrawnResult.rows.map(row => row.id);
+
+    await alertService.checkAndTriggerAlertsBulk(withdrawnIds, 'withdrawn', executor);
+
+    if (withdrawnIds.length > 0) {
+      console.log(`Marked ${withdrawnIds.length} ${sourceType} record(s) as withdrawn`);
+    }
+
+    return {
+      skipped: false,
+      candidates: missing,
+      total,
+      withdrawn: withdrawnIds.length
+    };
+  }
+}
+
+// Export singleton instance
+const tombstoneService = new TombstoneService();
+
+module.exports = tombstoneService;
@@ -0,0 +1,235 @@
+/**
+ * Watermark Service
+ * Per-source high-water marks for recent runs: the latest published_at (and
+ * the source cursor, for sources that page by one) a committed run ingested.
+ * A recent run fetches from its source's watermark instead of a fixed window,
+ * so nothing published between two runs is missed however far apart they are.
+ */
+
+const db = require('./database');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_HOURS = 72;
+
+class WatermarkService {
+  /**
+   * Watermark key of a connector: its own name, not the logical source it
+   * may share with other writers (sourceLocks.sourceOf), since each feed has
+   * its own position
+   */
+  sourceOf(connectorName) {
+    return connectorName || 'default';
+  }
+
+  /**
+   * Get a source's watermark (null before its first committed recent run)
+   * @param {string} source - connector name (see sourceOf)
+   */
+  async getWatermark(source, client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT * FROM source_watermarks WHERE source = $1',
+      [source]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List every source's watermark
+   */
+  async getWatermarks(client = null) {
+    const executor = client ?? db;
+
+    const result = await executor.query(
+      'SELECT * FROM source_watermarks ORDER BY source'
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Work out the window of a recent run.
+   * Manual re-pulls override the watermark: `since` gives the start outright,
+   * `ignoreWatermark` falls back to the last `hours` hours.
+   * @param {Object} options - { hours, since, ignoreWatermark }
+   * @returns {{ since: Date, cursor: string|null, fromWatermark: boolean }}
+   *   passed to the connector's fetchRecent/streamRecent
+   */
+  async getWindow(source, options = {}, client = null) {
+    const { hours = DEFAULT_HOURS, since = null, ignoreWatermark = false } = options;
+
+    if (since !== null && since !== undefined) {
+      const start = new Date(since);
+
+      if (isNaN(start.getTime())) {
+        throw new ValidationError('since must be a valid date', 'since');
+      }
+      return { since: start, cursor: null, fromWatermark: false };
+    }
+
+    const watermark = ignoreWatermark ? null : await this.getWatermark(source, client);
+
+    if (watermark && watermark.published_at) {
+      return {
+        since: new Date(watermark.published_at),
+        cursor: watermark.cursor,
+        fromWatermark: true
+      };
+    }
+
+    return {
+      since: new Date(Date.now() - hours * 60 * 60 * 1000),
+      cursor: null,
+      fromWatermark: false
+    };
+  }
+
+  /**
+   * Move a source's watermark forward to what a run ingested. Call inside the
+   * run's transaction (holding the source lock) so it only moves if the run
+   * commits. A run that did not reach the watermark (a re-pull of an older
+   * window, or nothing new) leaves it as it is: it never moves back.
+   * When records failed to write it stops at the earliest of them, so the
+   * next recent run reads them again. The watermark it replaces goes to
+   * source_watermark_history, for releaseRun.
+   * @param {Object} reached - { publishedAt, cursor, failedAt } (see track)
+   * @returns {Object|null} the watermark after the run
+   */
+  async advance(source, reached, runId, client = null) {
+    const executor = client ?? db;
+    const current = await this.getWatermark(source, executor);
+    let publishedAt = reached.publishedAt ? new Date(reached.publishedAt) : null;
+
+    if (publishedAt && reached.failedAt && reached.failedAt < publishedAt) {
+      publishedAt = new Date(reached.failedAt);
+    }
+
+    if (!publishedAt ||
+        (current && current.published_at && publishedAt < new Date(current.published_at))) {
+      return current;
+    }
+
+    if (current && current.run_id !== runId) {
+      await executor.query(
+        `INSERT INTO source_watermark_history
+         (source, published_at, cursor, run_id, superseded_by_run_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [source, current.published_at, current.cursor, current.run_id, runId]
+      );
+    }
+
+    const result = await executor.query(
+      `INSERT INTO source_watermarks (source, published_at, cursor, run_id, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (source) DO UPDATE SET
+         published_at = EXCLUDED.published_at,
+         cursor = EXCLUDED.cursor,
+         run_id = EXCLUDED.run_id,
+         updated_at = NOW()
+       RETURNING *`,
+      [source, publishedAt, reached.cursor || (current ? current.cursor : null), runId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Undo a run's watermark (the run is being rolled back): if the run set the
+   * source's watermark, put back the one it replaced, skipping any set by runs
+   * rolled back since; a source that had none before is left without one and
+   * falls back to its hours window
+   * @returns {{ released: boolean, restored: Object|null }}
+   */
+  async releaseRun(runId, client = null) {
+    const executor = client ?? db;
+
+    const current = await executor.query(
+      'SELECT * FROM source_watermarks WHERE run_id = $1',
+      [runId]
+    );
+
+    if (current.rows.length === 0) {
+      return { released: false, restored: null };
+    }
+
+    const { source } = current.rows[0];
+    const previous = await executor.query(
+      `SELECT h.* FROM source_watermark_history h
+       LEFT JOIN ingestion_runs r ON r.id = h.run_id
+       WHERE h.source = $1
+         AND h.id <= (SELECT MAX(id) FROM source_watermark_history
+                      WHERE source = $1 AND superseded_by_run_id = $2)
+         AND r.rolled_back_at IS NULL
+       ORDER BY h.id DESC
+       LIMIT 1`,
+      [source, runId]
+    );
+
+    await executor.query(
+      'DELETE FROM source_watermark_history WHERE source = $1 AND superseded_by_run_id = $2',
+      [source, runId]
+    );
+
+    if (previous.rows.length === 0) {
+      await executor.query('DELETE FROM source_watermarks WHERE source = $1', [source]);
+      return { released: true, restored: null };
+    }
+
+    const { published_at: publishedAt, cursor, run_id: previousRunId } = previous.rows[0];
+    const restored = await executor.query(
+      `UPDATE source_watermarks SET
+         published_at = $2,
+         cursor = $3,
+         run_id = $4,
+         updated_at = NOW()
+       WHERE source = $1
+       RETURNING *`,
+      [source, publishedAt, cursor, previousRunId]
+    );
+
+    return { released: true, restored: restored.rows[0] };
+  }
+
+  /**
+   * Track the furthest point a batch of written records reached. Records that
+   * failed to write (dead-lettered) do not count: failedAt keeps the earliest
+   * of them, and the cursor stops moving at the first one.
+   * @param {Object} reached - { publishedAt, cursor, failedAt }, updated in place
+   * @param {Object[]} results - the batch's per-record results ({ success, sourceKey })
+   */
+  track(reached, records, results = []) {
+    const failed = new Set(
+      results.filter(result => result.success === false).map(result => result.sourceKey)
+    );
+
+    for (const record of records) {
+      const publishedAt = new Date(record.published_at);
+      const valid = !isNaN(publishedAt.getTime());
+
+      if (failed.has(record.source_key)) {
+        if (valid && (!reached.failedAt || publishedAt < reached.failedAt)) {
+          reached.failedAt = publishedAt;
+        }
+        reached.stalled = true;
+        continue;
+      }
+
+      if (valid && (!reached.publishedAt || publishedAt > reached.publishedAt)) {
+        reached.publishedAt = publishedAt;
+      }
+
+      if (record.source_cursor && !reached.stalled) {
+        reached.cursor = String(record.source_cursor);
+      }
+    }
+
+    return reached;
+  }
+}
+
+// Export singleton instance
+const watermarkService = new WatermarkService();
+
+module.exports = watermarkService;